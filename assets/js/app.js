@@ -2,6 +2,17 @@ import { DataManager } from './modules/data-manager.js';
 import { APIManager } from './modules/api-manager.js';
 import { UIRenderer } from './modules/ui-renderer.js';
 import { Utils } from './modules/utils.js';
+import { Metals } from './modules/metals.js';
+import { Portfolio, GiftAmountError } from './modules/portfolio.js';
+import { FXRates } from './modules/fx-rates.js';
+import { PriceRefresher } from './modules/price-refresher.js';
+import { SettingsPanel } from './modules/settings-panel.js';
+import { ConfigValidator } from './modules/config-validator.js';
+import { GiftTokens } from './modules/gift-tokens.js';
+import { I18n } from './modules/i18n.js';
+import { SafeHTML } from './modules/safe-html.js';
+
+const { html } = SafeHTML;
 
 /**
  * Main Silver Gift Application - Simplified and Modular
@@ -11,51 +22,271 @@ class SilverGiftApp {
         this.dataManager = new DataManager();
         this.apiManager = new APIManager(this.dataManager);
         this.uiRenderer = new UIRenderer();
+
+        // Read-only view of the same cache, for rendering before anything is fetched
+        this.cachedDataManager = new DataManager({ cacheOnly: true });
+        this.cachedAPIManager = new APIManager(this.cachedDataManager);
+
+        this.settingsPanel = new SettingsPanel(document.getElementById('settings'), this.apiManager.keys,
+            () => this.loadAndRender(this.dataManager, this.apiManager));
+
+        this.lastRender = null;
+        this.refresher = null;
     }
 
     /**
-     * Initialize the application
+     * Initialize the application: render from the cache straight away when it
+     * has everything needed, then refresh from the network
      */
     async init() {
         try {
-            await this.loadAndRender();
+            await this.loadAndRender(this.cachedDataManager, this.cachedAPIManager, { fromCache: true });
+        } catch (error) {
+            // A broken cache only costs the early render; the network pass still runs
+            console.warn('⚠️ Failed to render from the cache:', error);
+        }
+
+        try {
+            await this.importKeysFromUrl();
+            await this.loadAndRender(this.dataManager, this.apiManager);
+            this.settingsPanel.render(await this.apiManager.getKeyNames(), this.uiRenderer.i18n);
         } catch (error) {
             console.error('Failed to initialize app:', error);
-            this.uiRenderer.showError('Failed to load the application. Please refresh the page.');
+            this.uiRenderer.showError(this.uiRenderer.i18n.t('errors.load'));
         }
     }
 
     /**
-     * Load data and render the appropriate UI
+     * Load data and render the appropriate UI. The gift page is shown with the
+     * stored price as soon as it is loaded, and updated when a live price
+     * arrives. When rendering `fromCache`, nothing is shown unless the cache
+     * has the recipient and a price, so messages and errors always come from
+     * fresh data.
      */
-    async loadAndRender() {
-        const recipientId = Utils.getRecipientFromUrl();
+    async loadAndRender(dataManager, apiManager, { fromCache = false } = {}) {
+        const found = await this.findRecipient(dataManager);
 
-        // Load application data
-        const { recipients, dailyPrices } = await this.dataManager.loadAppData();
+        if (!found.config) {
+            if (fromCache) return;
 
-        // Check if valid recipient
-        if (!recipientId || !recipients[recipientId]) {
-            this.uiRenderer.showRecipientSelector(recipients);
+            if (found.private) {
+                this.uiRenderer.showGiftLinkNeeded(Boolean(found.token));
+            } else {
+                this.uiRenderer.showRecipientSelector(found.recipients);
+            }
             return;
         }
 
-        // Get current price data
-        const currentPriceData = await this.apiManager.getCurrentPrice();
+        const { id: recipientId } = found;
+        let { config } = found;
+        this.uiRenderer.setLocale(config.locale);
+        const { errors, warnings } = ConfigValidator.partition(
+            ConfigValidator.validateRecipients({ [recipientId]: config }, await dataManager.loadSchema('recipients'), recipientId)
+        );
+
+        if (!fromCache) warnings.forEach(warning => console.warn(`⚠️ recipients.json ${ConfigValidator.format(warning)}`));
+
+        if (errors.length > 0) {
+            errors.forEach(error => console.error(`❌ recipients.json ${ConfigValidator.format(error)}`));
+            if (!fromCache) this.uiRenderer.showConfigErrors(recipientId, errors);
+            return;
+        }
+
+        let metal;
+
+        try {
+            metal = Metals.get(config.metal);
+            Portfolio.getGifts(config);
+        } catch (error) {
+            if (!fromCache) this.uiRenderer.showError(this.uiRenderer.i18n.t('errors.setup', { message: this.describeSetupError(error) }));
+            return;
+        }
+
+        // Gifts that have arrived before their initialPrice was filled in use the stored price on the day
+        if (Portfolio.getGifts(config).some(gift => Portfolio.needsStoredPrice(gift))) {
+            config = Portfolio.withStoredPrices(config, await dataManager.loadPriceHistories(metal.id));
+        }
+
+        const currency = this.getDisplayCurrency(config);
+        const firstGiftDate = Portfolio.getGifts(config)[0].giftDate;
+
+        // A quote cached in the last few minutes is used as it is; otherwise the
+        // page shows the last known price while a live one is fetched
+        const cachedPrice = apiManager.getCachedPrice(metal.id);
+
+        // Get price history since the first gift, the stored price and exchange rates for the recipient's metal
+        const [priceHistory, storedPrice, previousClose, fxHistory] = await Promise.all([
+            dataManager.loadPriceHistory(metal.id, firstGiftDate),
+            cachedPrice || apiManager.getLastKnownPrice(metal.id),
+            dataManager.getPreviousClose(metal.id),
+            dataManager.loadFXRates()
+        ]);
 
-        // Render the gift page
-        this.uiRenderer.renderGiftPage(recipients[recipientId], dailyPrices, currentPriceData);
+        // The page is shown in the stored exchange rate, however old, rather than waiting for a live one
+        const storedFx = this.getStoredExchangeRate(currency, fxHistory, apiManager);
+        let fx = storedFx;
+
+        const withClose = priceData => priceData && { ...priceData, previousClose };
+        const loadHistory = (fromDate, resolution) => this.dataManager.loadPriceHistory(metal.id, fromDate, resolution);
+
+        // Skip re-rendering when the network brought nothing new
+        const renderKey = JSON.stringify([config, priceHistory, storedPrice, previousClose, fx?.rate]);
+
+        if (storedPrice && renderKey !== this.lastRender) {
+            this.lastRender = renderKey;
+            this.uiRenderer.renderGiftPage(config, metal, priceHistory, withClose(storedPrice), fx, loadHistory);
+        }
+
+        if (fromCache) return;
+
+        // An old or missing rate is fetched alongside the live price, and swapped in when it arrives
+        if (!storedFx.isRecent) {
+            this.loadExchangeRate(currency, fxHistory, apiManager).then(liveFx => {
+                if (!liveFx || liveFx.rate === fx.rate) return;
+
+                fx = liveFx;
+                this.uiRenderer.updateExchangeRate(liveFx);
+            }).catch(error => console.warn('⚠️ Failed to show the live exchange rate:', error.message));
+        }
+
+        if (!cachedPrice) {
+            // Swap in the live price when it arrives, showing progress until then
+            const stopTracking = this.uiRenderer.trackPriceProgress(apiManager, metal.symbol);
+            let livePrice;
+
+            try {
+                livePrice = await apiManager.getLivePrice(metal.id);
+            } finally {
+                stopTracking();
+            }
+
+            if (storedPrice && livePrice) {
+                this.uiRenderer.updateCurrentPrice(withClose(livePrice));
+            } else if (!storedPrice) {
+                this.uiRenderer.renderGiftPage(config, metal, priceHistory, withClose(livePrice), fx, loadHistory);
+            }
+        }
+
+        if (Utils.getQueryParam('view') === 'certificate') this.uiRenderer.showCertificate();
+
+        this.startRefresh(config, metal, price => this.uiRenderer.showRefreshedPrice(withClose(price)));
     }
-}
 
-/**
- * Global function for recipient selection
- */
-window.selectRecipient = function (recipientId) {
-    if (recipientId) {
-        window.location.href = `?recipient=${recipientId}`;
+    /**
+     * Finds the recipient the link is for. Once data/gifts.json is published,
+     * gifts only open from a ?gift= token and there is no selector; otherwise
+     * recipients are opened by ?recipient= ID from recipients.json.
+     * Returns { id, config }, or what to show instead when there is no recipient.
+     */
+    async findRecipient(dataManager) {
+        const token = Utils.getQueryParam('gift');
+        const sealed = await dataManager.loadSealedGifts();
+
+        if (sealed || token) {
+            const gift = sealed && await GiftTokens.open(sealed, token);
+            return gift || { private: true, token };
+        }
+
+        const recipients = await dataManager.loadRecipients();
+        const id = Utils.getQueryParam('recipient');
+
+        return id && recipients[id] ? { id, config: recipients[id] } : { recipients };
+    }
+
+    /**
+     * Describes a problem with a recipient's settings in the page's language
+     */
+    describeSetupError(error) {
+        if (!(error instanceof GiftAmountError)) return error.message;
+
+        const i18n = this.uiRenderer.i18n;
+        const { giverName, giftDate, amount } = error.gift;
+
+        return i18n.t('errors.amount', {
+            giver: giverName || i18n.t('errors.unknownGiver'),
+            date: giftDate ? i18n.formatDate(giftDate) : i18n.t('errors.unknownDate'),
+            amount: amount ?? ''
+        });
+    }
+
+    /**
+     * Polls for live prices when ?refresh= (or the recipient's `refresh`
+     * setting) asks for it, e.g. ?refresh=5 for every five minutes
+     */
+    startRefresh(config, metal, onPrice) {
+        const intervalMinutes = PriceRefresher.parseInterval(Utils.getQueryParam('refresh') ?? config.refresh);
+
+        this.refresher?.stop();
+        this.refresher = null;
+
+        if (!intervalMinutes) return;
+
+        this.refresher = new PriceRefresher({
+            intervalMinutes,
+            fetchPrice: () => this.apiManager.getCurrentPrice(metal.id, { maxAgeMinutes: 0 }),
+            onPrice
+        });
+        this.refresher.start();
+    }
+
+    /**
+     * Picks the display currency: ?currency= overrides the recipient's setting
+     */
+    getDisplayCurrency(config) {
+        const requested = Utils.getQueryParam('currency') || config.currency;
+        const currency = FXRates.normalise(requested);
+
+        if (requested && !currency) {
+            console.warn(`⚠️ Ignoring invalid currency "${requested}", showing ${FXRates.BASE}`);
+        }
+
+        return currency || FXRates.BASE;
+    }
+
+    /**
+     * Moves API keys from old links into this browser's settings before any
+     * price is fetched. Only the key names of providers in apis.json are
+     * moved, so other parameters in the link are left alone.
+     */
+    async importKeysFromUrl() {
+        try {
+            this.apiManager.keys.importFromUrl(await this.apiManager.getKeyNames());
+        } catch (error) {
+            console.warn('⚠️ Could not move keys from the link:', error.message);
+        }
+    }
+
+    /**
+     * Gets the stored exchange rate for the display currency. Without one,
+     * values are shown in US dollars, noting the `missing` currency.
+     */
+    getStoredExchangeRate(currency, history, apiManager = this.apiManager) {
+        const fx = apiManager.getStoredExchangeRate(currency, history);
+        if (fx) return fx;
+
+        console.warn(`⚠️ No stored exchange rate for ${currency}, showing ${FXRates.BASE} until one is available`);
+        return { currency: FXRates.BASE, rate: 1, date: null, history, isRecent: false, missing: currency };
     }
-};
+
+    /**
+     * Fetches a live exchange rate for the display currency, or null if there is none
+     */
+    async loadExchangeRate(currency, history, apiManager = this.apiManager) {
+        try {
+            return await apiManager.getExchangeRate(currency, history);
+        } catch (error) {
+            console.warn(`⚠️ Failed to load the ${currency} exchange rate:`, error.message);
+            return null;
+        }
+    }
+}
+
+// Cache the page and its data for offline visits
+if ('serviceWorker' in navigator) {
+    navigator.serviceWorker.register('sw.js').catch(error => {
+        console.warn('Service worker registration failed:', error);
+    });
+}
 
 // Initialize when DOM is ready
 document.addEventListener('DOMContentLoaded', () => {
@@ -64,10 +295,12 @@ document.addEventListener('DOMContentLoaded', () => {
         app.init();
     } catch (error) {
         console.error('Critical initialization error:', error);
-        document.getElementById('content').innerHTML = `
+        const i18n = new I18n(I18n.browserLocale());
+
+        document.getElementById('content').innerHTML = html`
             <div class="error">
-                <h3>⚠️ Critical Error</h3>
-                <p>The application failed to start. Please refresh the page.</p>
+                <h3>${i18n.t('errors.critical')}</h3>
+                <p>${i18n.t('errors.start')}</p>
             </div>
         `;
     }
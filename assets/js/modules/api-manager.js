@@ -1,240 +1,299 @@
+import { PriceProvider } from './price-provider.js';
+import { Metals } from './metals.js';
+import { FXRates } from './fx-rates.js';
+import { Utils } from './utils.js';
+import { KeyStore } from './key-store.js';
+import { ConfigValidator } from './config-validator.js';
+
 /**
- * Manages API configurations and price fetching
+ * Browser adapter around PriceProvider: reads API keys from the KeyStore
+ * and configuration through the DataManager. Providers marked
+ * `"collector-only": true` in apis.json are never called from the page; the
+ * price the collector last published in latest-prices.json is used instead.
+ * The last live quote for each metal is cached, and reused without asking
+ * the APIs for `quoteTTLMinutes`. Providers that don't match
+ * data/schemas/apis.schema.json are left out, with each problem logged once.
+ *
+ * While quotes are fetched it emits progress events to listeners added with
+ * onProgress(), each with a `type` and the `asset` being quoted:
+ * - provider-started: { source, index, total }
+ * - attempt-failed: { source, attempt, maxAttempts, error }
+ * - waiting: { source, delay, next } where `next` is 'attempt' or 'provider'
+ * - succeeded: { source, price }
+ * - failed: no live price could be fetched
  */
 export class APIManager {
-    constructor(dataManager) {
+    constructor(dataManager, { quoteTTLMinutes = 10, keyStore = new KeyStore() } = {}) {
         this.dataManager = dataManager;
-        this.apiTimeout = 5000;
+        this.cache = dataManager.cache;
+        this.keys = keyStore;
+        this.quoteTTLMinutes = quoteTTLMinutes;
+        this.listeners = new Set();
+        this.reportedConfigErrors = new Set();
+        this.provider = new PriceProvider({
+            getKey: name => this.keys.get(name),
+            fetch: (url, options) => fetch(url, { ...options, mode: 'cors' }),
+            timeout: 5000,
+            onProviderStarted: (api, index, total) =>
+                this.emitProgress('provider-started', api.asset, { source: api.name, index, total }),
+            onAttemptFailed: (api, attempt, error) =>
+                this.emitProgress('attempt-failed', api.asset, { source: api.name, attempt, maxAttempts: this.provider.maxAttempts, error }),
+            onWaiting: (api, delay, next) =>
+                this.emitProgress('waiting', api.asset, { source: api.name, delay, next }),
+            onSucceeded: (api, result) =>
+                this.emitProgress('succeeded', api.asset, { source: api.name, price: result.price })
+        });
+        this.maxFXAgeDays = 3;
     }
 
     /**
-     * Loads and processes API configuration
+     * Adds a listener for progress events, returning a function that removes it
      */
-    async loadAPIConfig() {
-        try {
-            console.log('🔄 Loading API configuration...');
-            const config = await this.dataManager.loadWithFallback('data/apis.json', null, 2);
+    onProgress(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
 
-            if (!config || !Array.isArray(config)) {
-                console.warn('⚠️ APIs config invalid, using fallback');
-                return this.getFallbackAPIConfig();
+    /**
+     * Sends a progress event to every listener
+     */
+    emitProgress(type, asset, detail = {}) {
+        for (const listener of this.listeners) {
+            try {
+                listener({ type, asset, ...detail });
+            } catch (error) {
+                console.warn('⚠️ Progress listener failed:', error);
             }
+        }
+    }
 
-            const availableAPIs = config
-                .sort((a, b) => a.priority - b.priority)
-                .filter(api => this.isAPIAvailable(api));
-
-            console.log(`✅ Loaded ${availableAPIs.length} available APIs:`, availableAPIs.map(api => api.name));
+    /**
+     * Loads and processes API configuration
+     */
+    async loadAPIConfig(metal = Metals.DEFAULT) {
+        return await this.loadProviderConfig(Metals.get(metal).symbol);
+    }
 
-            return availableAPIs.length > 0 ? availableAPIs : this.getFallbackAPIConfig();
+    /**
+     * Loads API configuration for a metal symbol or currency code
+     */
+    async loadProviderConfig(symbol) {
+        try {
+            console.log('🔄 Loading API configuration...');
+            const config = APIManager.forBrowser(await this.loadValidConfig());
+            return this.provider.prepareConfig(config, symbol);
         } catch (error) {
             console.warn('❌ Failed to load API config:', error);
-            return this.getFallbackAPIConfig();
+            return this.provider.prepareConfig(null, symbol);
         }
     }
 
     /**
-     * Checks if API is available based on authentication
+     * Loads apis.json without the providers that have configuration errors,
+     * logging each error the first time it is found
      */
-    isAPIAvailable(api) {
-        if (api.authentication === 'none') return true;
+    async loadValidConfig() {
+        const raw = await this.dataManager.loadWithFallback('data/apis.json', null, 2);
+
+        if (raw === null) {
+            if (!this.dataManager.isOffline()) console.error('❌ data/apis.json could not be loaded, using the default provider');
+            return null;
+        }
 
-        const urlParams = new URLSearchParams(window.location.search);
-        const hasKey = urlParams.has(api.authentication);
+        const errors = ConfigValidator.validateAPIs(raw, await this.dataManager.loadSchema('apis'));
 
-        if (!hasKey) {
-            console.log(`⏭️ Skipping ${api.name} - requires ${api.authentication} key`);
+        for (const message of errors.map(ConfigValidator.format)) {
+            if (this.reportedConfigErrors.has(message)) continue;
+
+            this.reportedConfigErrors.add(message);
+            console.error(`❌ apis.json ${message}`);
         }
 
-        return hasKey;
+        return APIManager.withoutProviders(raw, errors.map(error => /^(?:providers)?\[(\d+)\]/.exec(error.path)?.[1]));
     }
 
     /**
-     * Provides fallback API configuration
+     * Drops the providers at the given indexes from an apis.json configuration
      */
-    getFallbackAPIConfig() {
-        return [{
-            name: "gold-api",
-            url: "https://api.gold-api.com/price/XAG",
-            "price-path": "price",
-            "time-path": "updatedAt",
-            authentication: "none",
-            priority: 1,
-            description: "Fallback API configuration"
-        }];
+    static withoutProviders(raw, indexes) {
+        const dropped = new Set(indexes.filter(index => index !== undefined).map(Number));
+        const kept = (api, index) => !dropped.has(index);
+
+        if (Array.isArray(raw)) return raw.filter(kept);
+        if (Array.isArray(raw?.providers)) return { ...raw, providers: raw.providers.filter(kept) };
+
+        return raw;
     }
 
     /**
-     * Builds API URL with authentication
+     * Drops the providers marked collector-only from an apis.json configuration
      */
-    buildAPIUrl(api) {
-        let url = api.url;
+    static forBrowser(raw) {
+        const usable = api => !api['collector-only'];
 
-        if (api.authentication !== 'none') {
-            const urlParams = new URLSearchParams(window.location.search);
-            const apiKey = urlParams.get(api.authentication);
+        if (Array.isArray(raw)) return raw.filter(usable);
+        if (Array.isArray(raw?.providers)) return { ...raw, providers: raw.providers.filter(usable) };
 
-            if (!apiKey) {
-                throw new Error(`Missing API key for ${api.name}: ${api.authentication}`);
-            }
+        return raw;
+    }
 
-            url = url.replace(`{${api.authentication}}`, apiKey);
-        }
+    /**
+     * Gets the key names (`authentication` fields) the page's providers use
+     */
+    static keyNames(raw) {
+        const providers = Array.isArray(raw) ? raw : raw?.providers || [];
+        const names = providers
+            .map(api => api.authentication)
+            .filter(name => name && name !== 'none');
 
-        return url;
+        return [...new Set(names)];
     }
 
     /**
-     * Parses JSON path for complex key structures
+     * Gets the key names that can be entered in the settings panel
      */
-    parseJSONPath(pathString) {
-        const complexPaths = {
-            "Global Quote.05. price": ["Global Quote", "05. price"],
-            "Global Quote.07. latest trading day": ["Global Quote", "07. latest trading day"],
-            "rates.XAG": ["rates", "XAG"],
-            "rates.USDXAG": ["rates", "USDXAG"]
-        };
+    async getKeyNames() {
+        return APIManager.keyNames(APIManager.forBrowser(await this.loadValidConfig()));
+    }
 
-        if (complexPaths[pathString]) {
-            return complexPaths[pathString];
-        }
+    /**
+     * Attempts to get current price from all available APIs. A cached quote
+     * is used if it is no older than `maxAgeMinutes`.
+     */
+    async getCurrentPrice(metal = Metals.DEFAULT, { maxAgeMinutes = this.quoteTTLMinutes } = {}) {
+        return this.getCachedPrice(metal, maxAgeMinutes) ||
+            await this.getLivePrice(metal) ||
+            await this.getLastKnownPrice(metal);
+    }
 
-        if (pathString.includes('Global Quote')) {
-            const parts = pathString.split('Global Quote.');
-            if (parts.length === 2) {
-                return ['Global Quote', parts[1]];
-            }
-        }
+    /**
+     * Gets the last live quote if it was cached within `maxAgeMinutes`
+     */
+    getCachedPrice(metal = Metals.DEFAULT, maxAgeMinutes = this.quoteTTLMinutes) {
+        const cached = this.cache?.get(`quote:${metal}`);
+        if (!cached || cached.ageMinutes > maxAgeMinutes) return null;
 
-        return pathString.split('.');
+        console.log(`📦 Using ${metal} price cached ${Math.round(cached.ageMinutes)} minutes ago`);
+        return cached.value;
     }
 
     /**
-     * Extracts price from API response
+     * Fetches a live price from the APIs and caches it, or returns null
+     * when offline or when every API failed
      */
-    extractPrice(data, api) {
-        try {
-            const path = this.parseJSONPath(api['price-path']);
-            let value = data;
-
-            for (const key of path) {
-                if (value && typeof value === 'object' && key in value) {
-                    value = value[key];
-                } else {
-                    console.warn(`Path segment "${key}" not found`);
-                    return null;
-                }
-            }
+    async getLivePrice(metal = Metals.DEFAULT) {
+        if (this.dataManager.isOffline()) return null;
 
-            let price = parseFloat(value);
+        // A recent enough price from the collector saves calling the APIs at all
+        const published = await this.getPublishedPrice(metal);
 
-            if (isNaN(price)) return null;
+        if (published?.isLive) {
+            this.cache?.set(`quote:${metal}`, published);
+            this.emitProgress('succeeded', Metals.get(metal).symbol, { source: published.source, price: published.price });
+            return published;
+        }
 
-            if (api.rate_conversion === 'invert') {
-                price = 1 / price;
-            }
+        console.log(`🎯 Starting ${metal} price fetch...`);
+        const quoted = await this.tryAllLiveAPIs(metal);
 
-            return price;
-        } catch (error) {
-            console.warn(`Failed to extract price from ${api.name}:`, error);
-            return null;
+        // Without a live quote, the fresher of a delayed quote and the published price
+        const livePrice = quoted?.isLive || !published || quoted?.timestamp > published.timestamp ? quoted : published;
+
+        if (livePrice) {
+            this.cache?.set(`quote:${metal}`, livePrice);
+
+            if (livePrice === published) {
+                this.emitProgress('succeeded', Metals.get(metal).symbol, { source: published.source, price: published.price });
+            }
+        } else {
+            this.emitProgress('failed', Metals.get(metal).symbol);
         }
+
+        return livePrice;
     }
 
     /**
-     * Attempts to get current price from all available APIs
+     * Gets the price the collector last published for a metal, marked delayed
+     * once it is older than the usual maximum quote age, or null
      */
-    async getCurrentPrice() {
-        console.log('🎯 Starting price fetch...');
+    async getPublishedPrice(metal = Metals.DEFAULT) {
+        const latest = await this.dataManager.loadWithFallback('data/latest-prices.json', {}, 1);
+        const entry = latest?.[metal];
+        const quoteTime = Utils.parseTimestamp(entry?.timestamp);
 
-        // Try live APIs first
-        const livePrice = await this.tryAllLiveAPIs();
-        if (livePrice) return livePrice;
+        if (!entry?.price || !quoteTime) return null;
 
-        // Fallback to last known price
-        console.log('📚 Trying last known price...');
-        return await this.dataManager.getLastKnownPrice();
+        console.log(`📰 Collector published ${metal} at $${entry.price} from ${entry.source}, quoted ${entry.timestamp}`);
+        return { ...this.provider.createResult(entry.price, quoteTime, { name: entry.source }), published: true };
     }
 
     /**
-     * Tries all configured APIs
+     * Gets the last known price: the stored daily price, or an older cached
+     * quote if it is more recent
      */
-    async tryAllLiveAPIs() {
-        const apiConfigs = await this.loadAPIConfig();
+    async getLastKnownPrice(metal = Metals.DEFAULT) {
+        console.log('📚 Trying last known price...');
+        const lastKnown = await this.dataManager.getLastKnownPrice(metal);
+        const cached = this.cache?.get(`quote:${metal}`);
+        const cachedQuote = cached && { ...cached.value, isLive: false, isDelayed: false, isLastKnown: true, reliable: false };
+
+        if (cachedQuote && (!lastKnown || cachedQuote.timestamp > lastKnown.timestamp)) {
+            return cachedQuote;
+        }
 
-        console.log(`🔄 Trying ${apiConfigs.length} APIs...`);
+        return lastKnown;
+    }
 
-        for (let i = 0; i < apiConfigs.length; i++) {
-            const api = apiConfigs[i];
+    /**
+     * Tries all configured APIs
+     */
+    async tryAllLiveAPIs(metal = Metals.DEFAULT) {
+        const config = await this.loadAPIConfig(metal);
 
-            try {
-                console.log(`🔄 API ${i + 1}/${apiConfigs.length}: ${api.name}...`);
+        // Validation rules and consensus mode compare quotes with the last stored price
+        const lastKnown = await this.dataManager.getLastKnownPrice(metal);
 
-                const result = await this.tryIndividualAPI(api);
-                if (result) {
-                    console.log(`✅ SUCCESS: ${api.name} - $${result.price}`);
-                    return result;
-                }
-            } catch (error) {
-                console.warn(`❌ ${api.name} failed:`, error.message);
-            }
+        return await this.provider.getPrice(config, lastKnown && { price: lastKnown.price, date: lastKnown.timestamp });
+    }
 
-            if (i < apiConfigs.length - 1) {
-                await new Promise(resolve => setTimeout(resolve, 1000));
-            }
+    /**
+     * Gets the last stored exchange rate from US dollars to a currency, without
+     * fetching anything. Returns { currency, rate, date, history, isRecent },
+     * where `isRecent` means it is no more than maxFXAgeDays old, or null if
+     * no rate is stored.
+     */
+    getStoredExchangeRate(currency, history) {
+        if (currency === FXRates.BASE) {
+            return { currency, rate: 1, date: null, history, isRecent: true };
         }
 
-        return null;
+        const stored = FXRates.latest(history, currency);
+        if (!stored) return null;
+
+        const ageDays = (Date.now() - new Date(stored.date)) / (1000 * 60 * 60 * 24);
+        return { currency, ...stored, history, isRecent: ageDays <= this.maxFXAgeDays };
     }
 
     /**
-     * Tries individual API with retries
+     * Gets the exchange rate from US dollars to a currency: the stored rate if it
+     * is recent, otherwise a live rate, otherwise the last stored rate.
+     * Returns { currency, rate, date, history } or null if no rate is available.
      */
-    async tryIndividualAPI(api) {
-        const maxAttempts = 3;
+    async getExchangeRate(currency, history) {
+        const stored = this.getStoredExchangeRate(currency, history);
 
-        for (let attempt = 1; attempt <= maxAttempts; attempt++) {
-            try {
-                const url = this.buildAPIUrl(api);
-                const headers = api.headers || {};
-
-                const controller = new AbortController();
-                const timeoutId = setTimeout(() => controller.abort(), this.apiTimeout);
-
-                const response = await fetch(url, {
-                    signal: controller.signal,
-                    mode: 'cors',
-                    headers: headers
-                });
-
-                clearTimeout(timeoutId);
-
-                if (!response.ok) {
-                    throw new Error(`HTTP ${response.status}`);
-                }
-
-                const data = await response.json();
-                const price = this.extractPrice(data, api);
-
-                if (price && price >= 10 && price <= 200) {
-                    return {
-                        price: price,
-                        source: api.name,
-                        timestamp: new Date().toISOString(),
-                        isLive: true,
-                        reliable: true
-                    };
-                } else {
-                    throw new Error(`Invalid price: ${price}`);
-                }
+        if (stored?.isRecent || this.dataManager.isOffline()) {
+            return stored;
+        }
 
-            } catch (error) {
-                if (attempt < maxAttempts) {
-                    await new Promise(resolve => setTimeout(resolve, 500 * attempt));
-                }
-            }
+        console.log(`💱 No recent stored ${currency} rate, trying live APIs...`);
+        const config = await this.loadProviderConfig(currency);
+        const live = await this.provider.getPrice(config, stored && { price: stored.rate, date: stored.date });
+
+        if (live) {
+            return { currency, rate: live.price, date: live.timestamp.slice(0, 10), history, isRecent: true };
         }
 
-        return null;
+        return stored;
     }
 }
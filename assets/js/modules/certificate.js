@@ -0,0 +1,215 @@
+import { I18n } from './i18n.js';
+
+/**
+ * Draws a printable gift certificate on a canvas from the details the gift
+ * page shows, and exports it as a PNG or a one-page A4 PDF. Everything is
+ * rendered in the browser; nothing is uploaded.
+ *
+ * `details` is { recipientName, giverNames, amount, given, value, change,
+ * changePercent, pricePerOunce, valuedOn, metal, prices, baseline }, with
+ * text already formatted in the display currency and `prices` the numbers
+ * for the mini chart. The certificate's own wording comes from `i18n`.
+ */
+export class Certificate {
+    // A4 landscape proportions
+    static WIDTH = 1600;
+    static HEIGHT = 1131;
+
+    static COLORS = {
+        silver: '#7f8c8d',
+        gold: '#b8860b',
+        platinum: '#5d6d7e',
+        palladium: '#8e7f6f'
+    };
+
+    constructor(details, i18n = new I18n()) {
+        this.details = details;
+        this.i18n = i18n;
+    }
+
+    /**
+     * Draws the certificate, returning the canvas
+     */
+    draw(canvas = document.createElement('canvas')) {
+        const { WIDTH: width, HEIGHT: height } = Certificate;
+        const { details, i18n } = this;
+        const metal = i18n.metal(details.metal);
+        const accent = Certificate.COLORS[details.metal.id] || Certificate.COLORS.silver;
+
+        canvas.width = width;
+        canvas.height = height;
+
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = '#fffdf7';
+        ctx.fillRect(0, 0, width, height);
+
+        ctx.strokeStyle = accent;
+        ctx.lineWidth = 14;
+        ctx.strokeRect(40, 40, width - 80, height - 80);
+        ctx.lineWidth = 2;
+        ctx.strokeRect(70, 70, width - 140, height - 140);
+
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'alphabetic';
+
+        const line = (text, y, size, { weight = '', color = '#2c3e50' } = {}) => {
+            if (!text) return;
+            ctx.fillStyle = color;
+            ctx.font = Certificate.fitFont(ctx, text, size, weight, width - 260);
+            ctx.fillText(text, width / 2, y);
+        };
+
+        line(i18n.t('certificate.title', { metal }).toLocaleUpperCase(i18n.locale), 200, 64, { weight: 'bold', color: accent });
+        line(i18n.t('certificate.certifies'), 280, 34, { weight: 'italic' });
+        line(details.recipientName, 380, 84, { weight: 'bold' });
+        line(i18n.t('certificate.given', { amount: details.amount, givers: details.giverNames }), 460, 38);
+        line(details.given, 515, 38);
+
+        if (details.value) {
+            line(i18n.t('certificate.worth', { value: details.value, date: details.valuedOn }), 610, 50, { weight: 'bold' });
+            line(details.change, 665, 34, { color: details.changePercent >= 0 ? '#27ae60' : '#c0392b' });
+        }
+
+        this.drawChart(ctx, { x: 260, y: 710, width: width - 520, height: 230 }, accent);
+
+        line(details.pricePerOunce && i18n.t('certificate.price', { metal, price: details.pricePerOunce }), 1010, 26, { color: '#7f8c8d' });
+
+        return canvas;
+    }
+
+    /**
+     * Draws the price since the gift as a line, with the price when given dashed
+     */
+    drawChart(ctx, box, accent) {
+        const prices = this.details.prices.filter(Number.isFinite);
+        if (prices.length < 2) return;
+
+        const baseline = this.details.baseline;
+        const values = Number.isFinite(baseline) ? [...prices, baseline] : prices;
+        const min = Math.min(...values);
+        const span = Math.max(...values) - min || 1;
+        const x = index => box.x + index / (prices.length - 1) * box.width;
+        const y = value => box.y + box.height - (value - min) / span * box.height;
+
+        ctx.beginPath();
+        prices.forEach((price, index) => index === 0 ? ctx.moveTo(x(index), y(price)) : ctx.lineTo(x(index), y(price)));
+        ctx.lineTo(x(prices.length - 1), box.y + box.height);
+        ctx.lineTo(box.x, box.y + box.height);
+        ctx.closePath();
+        ctx.globalAlpha = 0.12;
+        ctx.fillStyle = accent;
+        ctx.fill();
+        ctx.globalAlpha = 1;
+
+        ctx.beginPath();
+        prices.forEach((price, index) => index === 0 ? ctx.moveTo(x(index), y(price)) : ctx.lineTo(x(index), y(price)));
+        ctx.strokeStyle = accent;
+        ctx.lineWidth = 4;
+        ctx.stroke();
+
+        if (Number.isFinite(baseline)) {
+            ctx.beginPath();
+            ctx.setLineDash([12, 10]);
+            ctx.moveTo(box.x, y(baseline));
+            ctx.lineTo(box.x + box.width, y(baseline));
+            ctx.strokeStyle = '#95a5a6';
+            ctx.lineWidth = 2;
+            ctx.stroke();
+            ctx.setLineDash([]);
+        }
+    }
+
+    /**
+     * Gets a font for a line of text, shrunk until the text fits the width
+     */
+    static fitFont(ctx, text, size, weight, maxWidth) {
+        let font;
+
+        for (let fitted = size; fitted >= 12; fitted -= 2) {
+            font = `${weight} ${fitted}px Georgia, 'Times New Roman', serif`.trim();
+            ctx.font = font;
+            if (ctx.measureText(text).width <= maxWidth) break;
+        }
+
+        return font;
+    }
+
+    /**
+     * Exports the certificate as a PNG
+     */
+    async toPNG(canvas = this.draw()) {
+        return await new Promise((resolve, reject) => {
+            canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('Could not create the image')), 'image/png');
+        });
+    }
+
+    /**
+     * Exports the certificate as a one-page A4 landscape PDF
+     */
+    async toPDF(canvas = this.draw()) {
+        const jpeg = Uint8Array.from(atob(canvas.toDataURL('image/jpeg', 0.92).split(',')[1]), char => char.charCodeAt(0));
+        return new Blob(Certificate.buildPDF(jpeg, canvas.width, canvas.height), { type: 'application/pdf' });
+    }
+
+    /**
+     * Builds the parts of a PDF with a single page filled by a JPEG image
+     */
+    static buildPDF(jpeg, width, height) {
+        const page = { width: 842, height: 595 };
+        const content = `q ${page.width} 0 0 ${page.height} 0 0 cm /Im0 Do Q`;
+        const objects = [
+            '<< /Type /Catalog /Pages 2 0 R >>',
+            '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+            `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${page.width} ${page.height}] /Resources << /XObject << /Im0 4 0 R >> >> /Contents 5 0 R >>`,
+            [
+                `<< /Type /XObject /Subtype /Image /Width ${width} /Height ${height} /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${jpeg.length} >>\nstream\n`,
+                jpeg,
+                '\nendstream'
+            ],
+            `<< /Length ${content.length} >>\nstream\n${content}\nendstream`
+        ];
+
+        const encoder = new TextEncoder();
+        const parts = [];
+        const offsets = [];
+        let length = 0;
+
+        const push = part => {
+            const bytes = typeof part === 'string' ? encoder.encode(part) : part;
+            parts.push(bytes);
+            length += bytes.length;
+        };
+
+        push('%PDF-1.4\n');
+
+        objects.forEach((object, index) => {
+            offsets.push(length);
+            push(`${index + 1} 0 obj\n`);
+            [].concat(object).forEach(push);
+            push('\nendobj\n');
+        });
+
+        const xref = length;
+        const entries = offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+        push(`xref\n0 ${objects.length + 1}\n0000000000 65535 f \n${entries}`);
+        push(`trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`);
+
+        return parts;
+    }
+
+    /**
+     * Saves a file through a temporary download link
+     */
+    static download(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+}
@@ -0,0 +1,341 @@
+import { Utils } from './utils.js';
+import { I18n } from './i18n.js';
+
+/**
+ * Checks recipients.json and apis.json against the JSON schemas in
+ * data/schemas, plus the few rules a schema can't express (amounts that must
+ * parse as weights, initial prices that gifts which have come should have).
+ * Each error is { path, key, params, message }, with paths such as
+ * `bart.gifts[1].giftDate`, and `warning: true` for one that doesn't stop the
+ * page working (see partition).
+ * `message` is in English, for scripts and the console; the page shows the
+ * `validation.{key}` message in the recipient's language (see describe).
+ *
+ * Only the schema keywords those files use are supported: type, enum,
+ * pattern, format "date", minLength, minimum, exclusiveMinimum, minItems,
+ * required, properties, additionalProperties, propertyNames, items, $ref to
+ * #/definitions and if/then/else.
+ */
+export class ConfigValidator {
+    static english = new I18n('en');
+
+    /**
+     * Validates a value against a schema, returning a list of errors
+     */
+    static validate(value, schema, path = '', root = schema) {
+        if (!schema || schema === true) return [];
+        if (schema === false) return [ConfigValidator.error(path, 'notAllowed')];
+        if (schema.$ref) return ConfigValidator.validate(value, ConfigValidator.resolve(schema.$ref, root), path, root);
+
+        const errors = [];
+        const error = (key, params) => errors.push(ConfigValidator.error(path, key, params));
+
+        if (schema.type && !ConfigValidator.hasType(value, schema.type)) {
+            error('type', { expected: [].concat(schema.type), actual: ConfigValidator.typeOf(value) });
+            return errors;
+        }
+
+        if (schema.enum && !schema.enum.includes(value)) {
+            error('enum', { options: schema.enum.map(option => JSON.stringify(option)).join(', '), value: JSON.stringify(value) });
+        }
+
+        if (typeof value === 'string') {
+            if (value.length < (schema.minLength ?? 0)) {
+                error(value.length === 0 ? 'empty' : 'minLength', { count: schema.minLength });
+            }
+            if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+                error('pattern', { value, pattern: schema.pattern });
+            }
+            if (schema.format === 'date' && !ConfigValidator.isDate(value)) {
+                error('date', { value });
+            }
+        }
+
+        if (typeof value === 'number') {
+            if (schema.minimum !== undefined && value < schema.minimum) {
+                error('minimum', { minimum: schema.minimum, value });
+            }
+            if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+                error('exclusiveMinimum', { minimum: schema.exclusiveMinimum, value });
+            }
+        }
+
+        if (Array.isArray(value)) {
+            if (value.length < (schema.minItems ?? 0)) {
+                error('minItems', { count: schema.minItems });
+            }
+            if (schema.items) {
+                value.forEach((item, index) => {
+                    errors.push(...ConfigValidator.validate(item, schema.items, ConfigValidator.childPath(path, index), root));
+                });
+            }
+        }
+
+        if (ConfigValidator.typeOf(value) === 'object') {
+            errors.push(...ConfigValidator.validateObject(value, schema, path, root));
+        }
+
+        if (schema.if) {
+            const branch = ConfigValidator.validate(value, schema.if, path, root).length === 0 ? schema.then : schema.else;
+            errors.push(...ConfigValidator.validate(value, branch, path, root));
+        }
+
+        return errors;
+    }
+
+    /**
+     * Validates the keys and properties of an object
+     */
+    static validateObject(value, schema, path, root) {
+        const errors = [];
+        const properties = schema.properties || {};
+
+        for (const key of schema.required || []) {
+            if (value[key] === undefined) {
+                errors.push(ConfigValidator.error(ConfigValidator.childPath(path, key), 'required'));
+            }
+        }
+
+        for (const [key, child] of Object.entries(value)) {
+            const childPath = ConfigValidator.childPath(path, key);
+
+            if (schema.propertyNames) {
+                errors.push(...ConfigValidator.validate(key, schema.propertyNames, childPath, root)
+                    .map(reason => ConfigValidator.error(childPath, 'invalidName', { reason })));
+            }
+
+            if (key in properties) {
+                errors.push(...ConfigValidator.validate(child, properties[key], childPath, root));
+            } else if (schema.additionalProperties === false) {
+                const suggestion = ConfigValidator.suggest(key, Object.keys(properties));
+                errors.push(ConfigValidator.error(childPath, suggestion ? 'unknownSuggest' : 'unknown', { suggestion }));
+            } else {
+                errors.push(...ConfigValidator.validate(child, schema.additionalProperties, childPath, root));
+            }
+        }
+
+        return errors;
+    }
+
+    /**
+     * Validates recipients.json, or a single recipient when given its ID
+     */
+    static validateRecipients(recipients, schema, id = null) {
+        if (id !== null) {
+            const recipientSchema = schema?.additionalProperties;
+            return [
+                ...ConfigValidator.validate(recipients[id], recipientSchema, id, schema),
+                ...ConfigValidator.checkRecipient(id, recipients[id])
+            ];
+        }
+
+        const errors = ConfigValidator.validate(recipients, schema);
+
+        if (ConfigValidator.typeOf(recipients) === 'object') {
+            for (const [recipientId, config] of Object.entries(recipients)) {
+                errors.push(...ConfigValidator.checkRecipient(recipientId, config));
+            }
+        }
+
+        return errors;
+    }
+
+    /**
+     * Checks the part of a recipient a schema can't: amounts must parse as
+     * weights. A gift still to come has no initialPrice until the price on the
+     * day is known; once it has arrived, a missing one is a warning, as the
+     * page falls back to the stored price on the gift date.
+     */
+    static checkRecipient(id, config, today = new Date()) {
+        if (ConfigValidator.typeOf(config) !== 'object') {
+            return config === undefined ? [ConfigValidator.error(id, 'notFound')] : [];
+        }
+
+        const errors = [];
+        const gifts = Array.isArray(config.gifts)
+            ? config.gifts.map((gift, index) => [ConfigValidator.childPath(`${id}.gifts`, index), gift])
+            : [[id, config]];
+
+        for (const [path, gift] of gifts) {
+            if (ConfigValidator.typeOf(gift) !== 'object') continue;
+
+            const amountKey = gift.amount === undefined && gift.silverAmount !== undefined ? 'silverAmount' : 'amount';
+            const amount = gift[amountKey];
+
+            if (amount === undefined && path === id) {
+                errors.push(ConfigValidator.error(`${path}.amount`, 'required'));
+            } else if (amount !== undefined && amount !== '' && !Utils.parseQuantity(amount)) {
+                errors.push(ConfigValidator.error(`${path}.${amountKey}`, 'amount', { amount }));
+            }
+
+            if (gift.initialPrice === undefined && !Utils.getTimeDifference(gift.giftDate, today)?.future) {
+                errors.push(ConfigValidator.warning(`${path}.initialPrice`, 'missingPrice'));
+            }
+        }
+
+        return errors;
+    }
+
+    /**
+     * Validates apis.json. Besides the schema, provider names must be unique and
+     * a provider that needs a key must have a {placeholder} for it in its url.
+     */
+    static validateAPIs(config, schema) {
+        const errors = ConfigValidator.validate(config, schema);
+        const providers = Array.isArray(config) ? config : config?.providers;
+        const prefix = Array.isArray(config) ? '' : 'providers';
+        const seen = new Set();
+
+        if (!Array.isArray(providers)) return errors;
+
+        providers.forEach((provider, index) => {
+            if (ConfigValidator.typeOf(provider) !== 'object') return;
+
+            const path = ConfigValidator.childPath(prefix, index);
+            const auth = provider.authentication;
+
+            if (seen.has(provider.name)) {
+                errors.push(ConfigValidator.error(`${path}.name`, 'duplicateName', { name: provider.name }));
+            }
+            seen.add(provider.name);
+
+            if (typeof auth === 'string' && auth !== 'none' && typeof provider.url === 'string' && !provider.url.includes(`{${auth}}`)) {
+                errors.push(ConfigValidator.error(`${path}.url`, 'keyPlaceholder', { placeholder: `{${auth}}`, auth }));
+            }
+        });
+
+        return errors;
+    }
+
+    /**
+     * Creates an error, with its message in English
+     */
+    static error(path, key, params = {}) {
+        const error = { path, key, params };
+        return { ...error, message: ConfigValidator.describe(error, ConfigValidator.english) };
+    }
+
+    /**
+     * Creates a warning: an error marked `warning: true` for something that
+     * still works but is worth fixing
+     */
+    static warning(path, key, params = {}) {
+        return { ...ConfigValidator.error(path, key, params), warning: true };
+    }
+
+    /**
+     * Splits errors into { errors, warnings }
+     */
+    static partition(errors) {
+        return {
+            errors: errors.filter(error => !error.warning),
+            warnings: errors.filter(error => error.warning)
+        };
+    }
+
+    /**
+     * Describes an error in an I18n's language, e.g. "must be a string, not a number"
+     */
+    static describe(error, i18n) {
+        if (!error.key) return error.message;
+
+        const { expected, actual, reason, ...params } = error.params || {};
+
+        return i18n.t(`validation.${error.key}`, {
+            ...params,
+            ...(expected && { expected: i18n.formatList(expected.map(type => ConfigValidator.describeType(type, i18n)), 'disjunction') }),
+            ...(actual && { actual: ConfigValidator.describeType(actual, i18n) }),
+            ...(reason && { reason: ConfigValidator.describe(reason, i18n) })
+        });
+    }
+
+    /**
+     * Formats an error as "path: message"
+     */
+    static format(error) {
+        return error.path ? `${error.path}: ${error.message}` : error.message;
+    }
+
+    /**
+     * Resolves a "#/definitions/..." reference
+     */
+    static resolve(ref, root) {
+        if (!ref.startsWith('#/')) throw new Error(`Unsupported schema reference "${ref}"`);
+
+        const target = ref.slice(2).split('/').reduce((node, key) => node?.[key], root);
+        if (target === undefined) throw new Error(`Schema reference "${ref}" not found`);
+
+        return target;
+    }
+
+    /**
+     * Checks a value against a JSON schema type or list of types
+     */
+    static hasType(value, type) {
+        return [].concat(type).some(name => {
+            const actual = ConfigValidator.typeOf(value);
+            return actual === name || (name === 'number' && actual === 'integer');
+        });
+    }
+
+    /**
+     * Gets the JSON schema type of a value
+     */
+    static typeOf(value) {
+        if (value === null) return 'null';
+        if (Array.isArray(value)) return 'array';
+        if (Number.isInteger(value)) return 'integer';
+        return typeof value;
+    }
+
+    /**
+     * Describes a type in an I18n's language, e.g. "an object"
+     */
+    static describeType(type, i18n) {
+        return i18n.t(`validation.types.${type === 'undefined' ? 'null' : type}`);
+    }
+
+    /**
+     * Checks that a string is a real YYYY-MM-DD calendar date
+     */
+    static isDate(value) {
+        if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+
+        const date = new Date(`${value}T00:00:00Z`);
+        return !isNaN(date) && date.toISOString().slice(0, 10) === value;
+    }
+
+    /**
+     * Appends a key or array index to a path
+     */
+    static childPath(path, key) {
+        if (typeof key === 'number') return `${path}[${key}]`;
+        if (!/^[A-Za-z_$][\w$-]*$/.test(key)) return `${path}[${JSON.stringify(key)}]`;
+        return path ? `${path}.${key}` : key;
+    }
+
+    /**
+     * Finds the known key closest to a misspelt one, if any is close enough
+     */
+    static suggest(key, known) {
+        const distance = (a, b) => {
+            let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+            for (let i = 1; i <= a.length; i++) {
+                const current = [i];
+                for (let j = 1; j <= b.length; j++) {
+                    current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+                }
+                previous = current;
+            }
+
+            return previous[b.length];
+        };
+
+        const scored = known
+            .map(name => ({ name, score: distance(key.toLowerCase(), name.toLowerCase()) }))
+            .sort((a, b) => a.score - b.score);
+
+        return scored[0] && scored[0].score <= Math.max(2, Math.floor(key.length / 4)) ? scored[0].name : null;
+    }
+}
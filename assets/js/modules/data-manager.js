@@ -1,29 +1,60 @@
+import { Metals } from './metals.js';
+import { PriceHistory } from './price-history.js';
+import { LocalCache } from './local-cache.js';
+
 /**
  * Handles data loading, caching, and file operations
+ *
+ * Every file loaded is kept in a LocalCache. Files cached within the last
+ * `cacheTTLMinutes` are used without a request, and the cached copy is used
+ * when the network fails or the browser is offline. With `cacheOnly` nothing
+ * is requested at all, which lets the page render from the cache at once.
  */
 export class DataManager {
-    constructor() {
+    constructor({ cache = new LocalCache(), cacheOnly = false, cacheTTLMinutes = 5 } = {}) {
         this.maxRetries = 3;
         this.retryDelay = 500;
         this.apiTimeout = 5000;
+        this.maxPreviousCloseDays = 4;
+        this.cache = cache;
+        this.cacheOnly = cacheOnly;
+        this.cacheTTLMinutes = cacheTTLMinutes;
+    }
+
+    /**
+     * Checks whether data can only come from the cache
+     */
+    isOffline() {
+        return this.cacheOnly || globalThis.navigator?.onLine === false;
     }
 
     /**
-     * Loads data from URL with retry logic and fallback
+     * Loads data from URL with retry logic, using the cached copy when it is
+     * fresh or the network fails, and the fallback when there is neither
      */
     async loadWithFallback(url, fallback, retries = this.maxRetries) {
-        const controller = new AbortController();
-        const { signal } = controller;
+        const cached = this.cache?.get(url);
+
+        if (cached && (this.isOffline() || cached.ageMinutes <= this.cacheTTLMinutes)) {
+            return cached.value;
+        }
+
+        if (this.isOffline()) {
+            return fallback;
+        }
 
         for (let attempt = 1; attempt <= retries; attempt++) {
+            const controller = new AbortController();
             const timeoutId = setTimeout(() => controller.abort(), this.apiTimeout);
 
             try {
-                const response = await fetch(url, { signal, cache: 'no-cache' });
+                const response = await fetch(url, { signal: controller.signal, cache: 'no-cache' });
                 clearTimeout(timeoutId);
 
                 if (!response.ok) {
-                    throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+                    const error = new Error(`HTTP ${response.status}: ${response.statusText}`);
+                    error.status = response.status;
+                    throw error;
                 }
 
                 const data = await response.json();
@@ -31,12 +62,25 @@ export class DataManager {
                     throw new Error('Invalid JSON data received');
                 }
 
+                this.cache?.set(url, data);
                 return data;
             } catch (error) {
                 clearTimeout(timeoutId);
+
+                // A missing file won't appear on a retry, and any cached copy is out of date
+                if (error.status === 404) {
+                    console.log(`📭 ${url} not found, using fallback`);
+                    return fallback;
+                }
+
                 console.warn(`Attempt ${attempt}/${retries} failed for ${url}:`, error.message);
 
                 if (attempt === retries) {
+                    if (cached) {
+                        console.warn(`📦 All attempts failed for ${url}, using copy cached ${Math.round(cached.ageMinutes)} minutes ago`);
+                        return cached.value;
+                    }
+
                     console.error(`All attempts failed for ${url}, using fallback`);
                     return fallback;
                 }
@@ -49,30 +93,165 @@ export class DataManager {
     }
 
     /**
-     * Loads all required application data
+     * Loads the gift recipients
+     */
+    async loadRecipients() {
+        return await this.loadWithFallback('data/recipients.json', {});
+    }
+
+    /**
+     * Loads the encrypted gifts published for private links, or null when
+     * recipients are opened by ID
+     */
+    async loadSealedGifts() {
+        return await this.loadWithFallback('data/gifts.json', null, 1);
+    }
+
+    /**
+     * Loads a JSON schema from data/schemas, or null if it can't be loaded
+     */
+    async loadSchema(name) {
+        return await this.loadWithFallback(`data/schemas/${name}.schema.json`, null, 1);
+    }
+
+    /**
+     * Loads the daily price history for a metal
      */
-    async loadAppData() {
-        const [recipients, priceData] = await Promise.allSettled([
-            this.loadWithFallback('data/recipients.json', {}),
-            this.loadWithFallback('data/daily-prices.json', [])
+    async loadDailyPrices(metal = Metals.DEFAULT) {
+        return await this.loadWithFallback(`data/${Metals.pricesFile(metal)}`, []);
+    }
+
+    /**
+     * Loads a metal's stored daily, weekly and monthly prices, for finding the
+     * price on a date with PriceHistory.priceOn
+     */
+    async loadPriceHistories(metal = Metals.DEFAULT) {
+        const [daily, weekly, monthly] = await Promise.all([
+            this.loadDailyPrices(metal),
+            this.loadWithFallback(`data/${Metals.pricesFile(metal, 'weekly')}`, [], 1),
+            this.loadWithFallback(`data/${Metals.pricesFile(metal, 'monthly')}`, [], 1)
         ]);
 
-        return {
-            recipients: recipients.status === 'fulfilled' ? recipients.value : {},
-            dailyPrices: priceData.status === 'fulfilled' ? priceData.value : []
-        };
+        return { daily, weekly, monthly };
+    }
+
+    /**
+     * Loads the price history to chart from a date until today, or the whole
+     * stored history when no date is given. The resolution suits the range:
+     * daily for up to two years, then weekly, then monthly. Falls back to a
+     * coarser resolution when the daily prices have been trimmed past the start
+     * date, and to daily prices when no aggregate file exists yet. Passing
+     * 'intraday' as the resolution loads the collector's recent samples instead.
+     * Returns { resolution, prices }.
+     */
+    async loadPriceHistory(metal = Metals.DEFAULT, fromDate = null, resolution = null) {
+        if (resolution === 'intraday') {
+            return { resolution, prices: await this.loadIntradayPrices(metal, fromDate) };
+        }
+
+        const wholeHistory = !fromDate;
+
+        if (wholeHistory) {
+            // Monthly prices are never trimmed, so they start with the oldest stored price
+            const monthly = await this.loadWithFallback(`data/${Metals.pricesFile(metal, 'monthly')}`, [], 1);
+            fromDate = monthly[0]?.date ?? null;
+        }
+
+        resolution = PriceHistory.chooseResolution(fromDate);
+        let prices;
+
+        if (resolution === 'daily') {
+            const dailyPrices = await this.loadDailyPrices(metal);
+            const dailyStart = dailyPrices[0]?.date ?? fromDate;
+
+            // The whole history starts on the first of a month, which daily prices may not
+            const coversRange = !fromDate ||
+                (wholeHistory ? PriceHistory.periodStart(dailyStart, 'monthly') : dailyStart) <= fromDate;
+
+            if (coversRange || dailyPrices.length === 0) {
+                prices = dailyPrices;
+            } else {
+                resolution = 'weekly';
+            }
+        }
+
+        if (!prices) {
+            const entries = await this.loadWithFallback(`data/${Metals.pricesFile(metal, resolution)}`, []);
+
+            if (Array.isArray(entries) && entries.length > 0) {
+                prices = PriceHistory.toSeries(entries);
+            } else {
+                console.log(`📚 No ${resolution} prices yet, using daily prices`);
+                resolution = 'daily';
+                prices = await this.loadDailyPrices(metal);
+            }
+        }
+
+        if (fromDate) {
+            const start = PriceHistory.periodStart(fromDate, resolution);
+            prices = prices.filter(entry => entry.date >= start);
+        }
+
+        return { resolution, prices };
+    }
+
+    /**
+     * Loads the intraday price samples since a date as a { date, price } series,
+     * where each date is the sample's full timestamp
+     */
+    async loadIntradayPrices(metal = Metals.DEFAULT, fromDate = null) {
+        const samples = await this.loadWithFallback(`data/${Metals.pricesFile(metal, 'intraday')}`, []);
+
+        return (Array.isArray(samples) ? samples : [])
+            .filter(sample => !fromDate || sample.timestamp >= fromDate)
+            .map(sample => ({ date: sample.timestamp, price: sample.price, source: sample.source }));
+    }
+
+    /**
+     * Gets the closing price of the last day before today, for today's change,
+     * or null if the last stored day is too old to compare with.
+     * Days collected before closes were stored use their only price.
+     */
+    async getPreviousClose(metal = Metals.DEFAULT) {
+        const now = new Date();
+        const today = now.toISOString().slice(0, 10);
+        const dailyPrices = await this.loadDailyPrices(metal);
+
+        const previous = (Array.isArray(dailyPrices) ? dailyPrices : [])
+            .filter(entry => entry?.date < today && entry.price > 0)
+            .reduce((latest, entry) => !latest || entry.date > latest.date ? entry : latest, null);
+
+        // Allow for weekends and holidays without a collected price
+        const ageDays = previous ? (now - new Date(`${previous.date}T00:00:00Z`)) / (1000 * 60 * 60 * 24) : Infinity;
+        if (ageDays > this.maxPreviousCloseDays) return null;
+
+        return { price: previous.close ?? previous.price, date: previous.date };
+    }
+
+    /**
+     * Loads the stored daily exchange rates
+     */
+    async loadFXRates() {
+        return await this.loadWithFallback('data/fx-rates.json', []);
     }
 
     /**
      * Gets the most recent price from historical data
      */
-    async getLastKnownPrice() {
+    async getLastKnownPrice(metal = Metals.DEFAULT) {
         try {
-            console.log('📚 Loading last known price from daily-prices.json...');
-            const dailyPrices = await this.loadWithFallback('data/daily-prices.json', [], 2);
+            const file = Metals.pricesFile(metal);
+            console.log(`📚 Loading last known price from ${file}...`);
+            const dailyPrices = await this.loadWithFallback(`data/${file}`, [], 2);
+
+            // Entries may be out of order or broken, so take the latest valid one
+            const lastEntry = Array.isArray(dailyPrices)
+                ? dailyPrices
+                    .filter(entry => entry?.date && entry.price > 0)
+                    .reduce((latest, entry) => !latest || entry.date > latest.date ? entry : latest, null)
+                : null;
 
-            if (Array.isArray(dailyPrices) && dailyPrices.length > 0) {
-                const lastEntry = dailyPrices[dailyPrices.length - 1];
+            if (lastEntry) {
                 console.log(`✅ Found last known price: $${lastEntry.price} from ${lastEntry.date}`);
 
                 return {
@@ -0,0 +1,71 @@
+/**
+ * Looks up stored exchange rates from fx-rates.json.
+ * Each entry holds the rates for one day, in units of currency per US dollar:
+ * { "date": "2025-10-20", "rates": { "GBP": 0.745, "PLN": 3.64 }, "source": "frankfurter" }
+ */
+export class FXRates {
+    static BASE = 'USD';
+
+    /**
+     * Normalises a currency code, returning null if it isn't a three-letter code
+     */
+    static normalise(currency) {
+        const code = String(currency || '').trim().toUpperCase();
+        return /^[A-Z]{3}$/.test(code) ? code : null;
+    }
+
+    /**
+     * Gets the rate for a currency on a date: the last stored rate on or before
+     * that date, or the earliest stored rate if the date is before all of them.
+     * Returns { rate, date } or null if the currency has no stored rates.
+     */
+    static rateOn(history, currency, date) {
+        if (currency === FXRates.BASE) return { rate: 1, date };
+
+        const entries = FXRates.entriesFor(history, currency);
+        if (entries.length === 0) return null;
+
+        let match = entries[0];
+        for (const entry of entries) {
+            if (entry.date > date) break;
+            match = entry;
+        }
+
+        return { rate: match.rates[currency], date: match.date };
+    }
+
+    /**
+     * Gets the most recent stored rate for a currency
+     */
+    static latest(history, currency) {
+        if (currency === FXRates.BASE) return { rate: 1, date: null };
+
+        const entries = FXRates.entriesFor(history, currency);
+        const last = entries[entries.length - 1];
+
+        return last ? { rate: last.rates[currency], date: last.date } : null;
+    }
+
+    /**
+     * Converts a USD price series into another currency using each day's rate
+     */
+    static convertSeries(prices, history, currency) {
+        if (currency === FXRates.BASE) return prices;
+
+        return prices.map(entry => ({
+            ...entry,
+            price: entry.price * (FXRates.rateOn(history, currency, entry.date)?.rate ?? NaN)
+        }));
+    }
+
+    /**
+     * Gets the stored entries that have a rate for a currency, oldest first
+     */
+    static entriesFor(history, currency) {
+        if (!Array.isArray(history)) return [];
+
+        return history
+            .filter(entry => entry?.rates?.[currency] > 0)
+            .sort((a, b) => a.date.localeCompare(b.date));
+    }
+}
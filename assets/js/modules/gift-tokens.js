@@ -0,0 +1,94 @@
+/**
+ * Private gift links. Each recipient is given a random token, and their
+ * settings are published in data/gifts.json encrypted (AES-GCM) with a key
+ * derived from it, filed under a hash of it. Without the link nobody can find
+ * or read a gift. Uses Web Crypto, so it runs in Node and in browsers on
+ * HTTPS or localhost.
+ */
+export class GiftTokens {
+    static TOKEN_BYTES = 16;
+
+    /**
+     * Makes a new random token for a ?gift= link
+     */
+    static generate() {
+        return GiftTokens.toBase64(crypto.getRandomValues(new Uint8Array(GiftTokens.TOKEN_BYTES)))
+            .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    /**
+     * Checks that a value looks like a token
+     */
+    static isToken(value) {
+        return typeof value === 'string' && /^[A-Za-z0-9_-]{22,}$/.test(value);
+    }
+
+    /**
+     * Gets the gifts.json entry name for a token
+     */
+    static async lookupId(token) {
+        const hash = await GiftTokens.digest('gift-id', token);
+        return [...hash.slice(0, 16)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    /**
+     * Encrypts a recipient's settings with their token, adding the public
+     * fields the collector needs to know which prices to fetch
+     */
+    static async seal(id, config, token, publicFields = {}) {
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const plain = new TextEncoder().encode(JSON.stringify({ id, config }));
+        const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, await GiftTokens.key(token, 'encrypt'), plain);
+
+        return { ...publicFields, iv: GiftTokens.toBase64(iv), data: GiftTokens.toBase64(data) };
+    }
+
+    /**
+     * Finds and decrypts the gift a token opens in gifts.json, returning
+     * { id, config } or null if the token doesn't open any
+     */
+    static async open(sealed, token) {
+        if (!GiftTokens.isToken(token)) return null;
+
+        const entry = sealed?.gifts?.[await GiftTokens.lookupId(token)];
+        if (!entry) return null;
+
+        try {
+            const iv = GiftTokens.fromBase64(entry.iv);
+            const plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv }, await GiftTokens.key(token, 'decrypt'), GiftTokens.fromBase64(entry.data));
+            return JSON.parse(new TextDecoder().decode(plain));
+        } catch (error) {
+            console.error('❌ Could not open gift:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Derives the AES key for a token. Tokens are 128 random bits, so a
+     * single hash is enough; there is no password to stretch.
+     */
+    static async key(token, usage) {
+        return await crypto.subtle.importKey('raw', await GiftTokens.digest('gift-key', token), 'AES-GCM', false, [usage]);
+    }
+
+    /**
+     * Hashes a token with a label, so the lookup ID and key differ
+     */
+    static async digest(label, token) {
+        return new Uint8Array(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(`${label}:${token}`)));
+    }
+
+    /**
+     * Encodes bytes as base64
+     */
+    static toBase64(bytes) {
+        return btoa(String.fromCharCode(...new Uint8Array(bytes)));
+    }
+
+    /**
+     * Decodes base64 into bytes
+     */
+    static fromBase64(text) {
+        return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+    }
+}
@@ -0,0 +1,225 @@
+import { Messages } from './messages.js';
+import { SafeHTML } from './safe-html.js';
+import { Utils } from './utils.js';
+
+/**
+ * Translates the page's text and formats dates, numbers and money for a
+ * locale, such as a recipient's `locale` setting or the browser's language.
+ * Text comes from Messages for the locale's language, falling back to
+ * English; formatting uses Intl with the full locale, so "en-GB" and "en-US"
+ * share their text but not their number formats.
+ *
+ *   const i18n = new I18n('pl');
+ *   i18n.t('units.year', { count: 5 });          // "5 lat"
+ *   i18n.html('gift.hello', { name: html`<strong>${name}</strong>` });
+ */
+export class I18n {
+    static DEFAULT_LOCALE = 'en';
+
+    constructor(locale = I18n.DEFAULT_LOCALE) {
+        this.locale = I18n.resolve(locale);
+        this.language = this.locale.split('-')[0];
+        this.messages = Messages[this.language] || {};
+        this.plurals = new Intl.PluralRules(this.locale);
+    }
+
+    /**
+     * Gets the browser's preferred language, or English outside a browser
+     */
+    static browserLocale() {
+        return globalThis.navigator?.languages?.[0] || globalThis.navigator?.language || I18n.DEFAULT_LOCALE;
+    }
+
+    /**
+     * Canonicalises a locale such as "pl-pl", falling back to English if it isn't valid
+     */
+    static resolve(locale) {
+        try {
+            return Intl.getCanonicalLocales(locale || I18n.DEFAULT_LOCALE)[0];
+        } catch (error) {
+            console.warn(`⚠️ Ignoring invalid locale "${locale}", showing ${I18n.DEFAULT_LOCALE}`);
+            return I18n.DEFAULT_LOCALE;
+        }
+    }
+
+    /**
+     * Finds a message by key, in English if this language doesn't have it
+     */
+    lookup(key) {
+        const find = messages => key.split('.').reduce((node, part) => node?.[part], messages);
+        return find(this.messages) ?? find(Messages.en) ?? key;
+    }
+
+    /**
+     * Translates a message as plain text. `count` picks the plural form.
+     */
+    t(key, params = {}) {
+        return this.fill(key, params, text => text, value => String(value)).join('');
+    }
+
+    /**
+     * Translates a message as markup: its text is escaped and parameters are
+     * inserted like `html` template values, so they can be SafeHTML
+     */
+    html(key, params = {}) {
+        return new SafeHTML(this.fill(key, params, SafeHTML.escape, SafeHTML.toMarkup).join(''));
+    }
+
+    /**
+     * Splits a message into its text and filled-in placeholders, converting each
+     */
+    fill(key, params, text, value) {
+        let message = this.lookup(key);
+
+        if (typeof message === 'object') {
+            message = message[this.plurals.select(params.count)] ?? message.other;
+        }
+
+        return String(message).split(/(\{\w+(?:\.\w+)?\})/).map((part, index) => {
+            if (index % 2 === 0) return text(part);
+
+            const [name, form] = part.slice(1, -1).split('.');
+            let param = params[name];
+
+            if (form) param = param?.[form] ?? param?.name;
+            if (typeof param === 'number') param = this.formatNumber(param);
+
+            return param === undefined ? text(part) : value(param);
+        });
+    }
+
+    /**
+     * Gets the forms of a metal's name for messages, e.g. {metal.lower}
+     */
+    metal(metal) {
+        const forms = this.lookup(`metals.${metal?.id ?? 'gift'}`);
+        return typeof forms === 'object' ? forms : { name: metal.name, lower: metal.name.toLowerCase() };
+    }
+
+    /**
+     * Upper-cases the first letter, for text that starts a sentence
+     */
+    capitalise(text) {
+        return text.charAt(0).toLocaleUpperCase(this.locale) + text.slice(1);
+    }
+
+    /**
+     * Formats a number
+     */
+    formatNumber(value, options = {}) {
+        return new Intl.NumberFormat(this.locale, options).format(value);
+    }
+
+    /**
+     * Formats an amount of money in a currency given by its ISO code
+     */
+    formatCurrency(amount, currency = 'USD') {
+        return this.formatNumber(Number(amount), { style: 'currency', currency });
+    }
+
+    /**
+     * Formats a percentage such as 4.2 as "4.2%", or "+4.2%" when `signed`
+     */
+    formatPercent(percent, { signed = false, digits = 1 } = {}) {
+        return this.formatNumber(percent / 100, {
+            style: 'percent',
+            minimumFractionDigits: digits,
+            maximumFractionDigits: digits,
+            signDisplay: signed ? 'always' : 'auto'
+        });
+    }
+
+    /**
+     * Formats a quantity of metal in the unit it was given in, e.g. "100 g"
+     */
+    formatQuantity(quantity) {
+        return Utils.formatQuantity(quantity, this.locale);
+    }
+
+    /**
+     * Formats a list of names, e.g. "Mum, Dad and Sam", or of choices
+     * with the 'disjunction' type, e.g. "a string or a number"
+     */
+    formatList(items, type = 'conjunction') {
+        return new Intl.ListFormat(this.locale, { type }).format(items);
+    }
+
+    /**
+     * Formats a date such as "2025-12-25". English uses the "25th Dec, 2025"
+     * pattern from its messages; other languages, including those without
+     * messages, use their usual Intl format.
+     */
+    formatDate(value) {
+        const isDay = typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value);
+        const date = isDay ? new Date(`${value}T00:00:00Z`) : new Date(value);
+        if (isNaN(date.getTime())) return String(value);
+
+        // Bare dates are calendar days, so they mustn't shift with the time zone
+        const format = new Intl.DateTimeFormat(this.locale, {
+            day: 'numeric',
+            month: 'short',
+            year: 'numeric',
+            ...(isDay && { timeZone: 'UTC' })
+        });
+
+        if (!this.messages.date) return format.format(date);
+
+        const parts = Object.fromEntries(format.formatToParts(date).map(part => [part.type, part.value]));
+        parts.day = this.formatOrdinal(Number(parts.day));
+
+        return this.messages.date.replace(/\{(\w+)\}/g, (match, name) => parts[name] ?? match);
+    }
+
+    /**
+     * Formats a number as an ordinal such as "2nd", or as a plain number in
+     * languages without ordinal suffixes, whose messages add their own
+     */
+    formatOrdinal(number) {
+        const suffixes = this.messages.ordinals;
+        const suffix = suffixes ? suffixes[new Intl.PluralRules(this.locale, { type: 'ordinal' }).select(number)] : '';
+
+        return `${this.formatNumber(number)}${suffix}`;
+    }
+
+    /**
+     * Formats a date and time with Intl options
+     */
+    formatDateTime(value, options) {
+        return new Date(value).toLocaleString(this.locale, options);
+    }
+
+    /**
+     * Describes the time since a gift in calendar years, months and days,
+     * e.g. "2 years, 1 month and 3 days ago", "yesterday", or "in 3 days"
+     * for a gift that hasn't arrived yet
+     */
+    describeTimeSince(giftDate, today = new Date()) {
+        const difference = Utils.getTimeDifference(giftDate, today);
+        if (!difference) return this.t('time.unknown');
+
+        const { years, months, days, totalDays, future } = difference;
+        if (totalDays === 0) return this.t('time.today');
+        if (totalDays === 1) return this.t(future ? 'time.tomorrow' : 'time.yesterday');
+
+        const parts = [
+            years > 0 && this.t('units.year', { count: years }),
+            months > 0 && this.t('units.month', { count: months }),
+            days > 0 && this.t('units.day', { count: days })
+        ].filter(Boolean);
+
+        return this.t(future ? 'time.in' : 'time.ago', { time: this.formatList(parts) });
+    }
+
+    /**
+     * Describes how long ago a timestamp was, e.g. "5 minutes ago"
+     */
+    describeTimeAgo(timestamp) {
+        const elapsed = Utils.getTimeAgo(timestamp);
+
+        if (!elapsed) return this.t('time.unknown');
+        if (elapsed.unit === 'now') return this.t('time.justNow');
+        if (elapsed.unit === 'future') return this.t('time.recently');
+
+        return this.t('time.ago', { time: this.t(`units.${elapsed.unit}`, { count: elapsed.count }) });
+    }
+}
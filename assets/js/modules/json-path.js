@@ -0,0 +1,220 @@
+/**
+ * Small JSON path evaluator for the `price-path` and `time-path` fields in apis.json
+ *
+ * Supported syntax:
+ * - `price`, `data.price`, `$.data.price`: dot-separated keys
+ * - `['Global Quote']['05. price']`: bracket-quoted keys for names with dots or spaces
+ * - `data[0].price`, `data[-1]`: array indexes, negative indexes count from the end
+ * - `rates[?(@.symbol == 'XAG')].price`: first array element matching a filter
+ *   (operators ==, !=, <, <=, >, >=; values are quoted strings, numbers, true, false or null)
+ */
+export class JSONPath {
+    static cache = new Map();
+
+    /**
+     * Parses a path string into a list of segments
+     */
+    static parse(path) {
+        if (JSONPath.cache.has(path)) return JSONPath.cache.get(path);
+
+        const segments = new PathParser(path).parsePath();
+        JSONPath.cache.set(path, segments);
+        return segments;
+    }
+
+    /**
+     * Evaluates a path against data, returning undefined when any segment is missing
+     */
+    static evaluate(data, path) {
+        const segments = typeof path === 'string' ? JSONPath.parse(path) : path;
+        let value = data;
+
+        for (const segment of segments) {
+            value = JSONPath.applySegment(value, segment);
+            if (value === undefined) return undefined;
+        }
+
+        return value;
+    }
+
+    /**
+     * Applies a single parsed segment to a value
+     */
+    static applySegment(value, segment) {
+        if (value === null || typeof value !== 'object') return undefined;
+
+        switch (segment.type) {
+            case 'key':
+                return Object.prototype.hasOwnProperty.call(value, segment.key) ? value[segment.key] : undefined;
+            case 'index': {
+                if (!Array.isArray(value)) return undefined;
+                const index = segment.index < 0 ? value.length + segment.index : segment.index;
+                return value[index];
+            }
+            case 'filter': {
+                const items = Array.isArray(value) ? value : Object.values(value);
+                return items.find(item => JSONPath.matches(item, segment));
+            }
+            default:
+                return undefined;
+        }
+    }
+
+    /**
+     * Checks whether an item satisfies a filter segment
+     */
+    static matches(item, { field, operator, operand }) {
+        const actual = JSONPath.evaluate(item, field);
+
+        switch (operator) {
+            case '==': return actual == operand;
+            case '!=': return actual != operand;
+            case '<': return actual < operand;
+            case '<=': return actual <= operand;
+            case '>': return actual > operand;
+            case '>=': return actual >= operand;
+            default: return false;
+        }
+    }
+}
+
+/**
+ * Recursive-descent parser behind JSONPath.parse
+ */
+class PathParser {
+    constructor(path) {
+        if (typeof path !== 'string' || path.trim() === '') {
+            throw new Error('JSON path must be a non-empty string');
+        }
+
+        this.path = path.trim();
+        this.pos = 0;
+    }
+
+    parsePath() {
+        const segments = [];
+
+        // "$" refers to the document root and "@" to the current item in a filter
+        if (this.peek() === '$' || this.peek() === '@') this.pos++;
+
+        while (this.pos < this.path.length) {
+            const char = this.peek();
+
+            if (char === '.') {
+                this.pos++;
+                segments.push(this.parseKey());
+            } else if (char === '[') {
+                segments.push(this.parseBracket());
+            } else if (segments.length === 0) {
+                segments.push(this.parseKey());
+            } else {
+                this.fail(`unexpected "${char}"`);
+            }
+        }
+
+        return segments;
+    }
+
+    parseKey() {
+        const start = this.pos;
+
+        while (this.pos < this.path.length && !'.['.includes(this.peek())) {
+            this.pos++;
+        }
+
+        const key = this.path.slice(start, this.pos).trim();
+        if (!key) this.fail('empty key');
+
+        return { type: 'key', key };
+    }
+
+    parseBracket() {
+        this.expect('[');
+        this.skipSpaces();
+
+        let segment;
+        const char = this.peek();
+
+        if (char === '"' || char === "'") {
+            segment = { type: 'key', key: this.parseString() };
+        } else if (char === '?') {
+            segment = this.parseFilter();
+        } else {
+            const match = /^-?\d+/.exec(this.path.slice(this.pos));
+            if (!match) this.fail('expected a quoted key, an index or a filter');
+
+            this.pos += match[0].length;
+            segment = { type: 'index', index: parseInt(match[0], 10) };
+        }
+
+        this.skipSpaces();
+        this.expect(']');
+        return segment;
+    }
+
+    parseFilter() {
+        this.expect('?');
+        this.skipSpaces();
+        this.expect('(');
+        this.skipSpaces();
+
+        const match = /^(@(?:\.[^\s=!<>\[\]]+|\[[^\]]+\])*)\s*(==|!=|<=|>=|<|>)\s*/.exec(this.path.slice(this.pos));
+        if (!match) this.fail('expected a filter like ?(@.symbol == \'XAG\')');
+
+        this.pos += match[0].length;
+        const field = new PathParser(match[1]).parsePath();
+        const operand = this.parseLiteral();
+
+        this.skipSpaces();
+        this.expect(')');
+
+        return { type: 'filter', field, operator: match[2], operand };
+    }
+
+    parseLiteral() {
+        const char = this.peek();
+        if (char === '"' || char === "'") return this.parseString();
+
+        const match = /^(-?\d+(?:\.\d+)?|true|false|null)/.exec(this.path.slice(this.pos));
+        if (!match) this.fail('expected a string, number, true, false or null');
+
+        this.pos += match[0].length;
+        return JSON.parse(match[0]);
+    }
+
+    parseString() {
+        const quote = this.path[this.pos++];
+        let result = '';
+
+        while (this.pos < this.path.length) {
+            const char = this.path[this.pos++];
+
+            if (char === '\\') {
+                result += this.path[this.pos++] ?? '';
+            } else if (char === quote) {
+                return result;
+            } else {
+                result += char;
+            }
+        }
+
+        this.fail('unterminated string');
+    }
+
+    peek() {
+        return this.path[this.pos];
+    }
+
+    skipSpaces() {
+        while (this.peek() === ' ') this.pos++;
+    }
+
+    expect(char) {
+        if (this.peek() !== char) this.fail(`expected "${char}"`);
+        this.pos++;
+    }
+
+    fail(reason) {
+        throw new Error(`Invalid JSON path "${this.path}" at position ${this.pos}: ${reason}`);
+    }
+}
@@ -0,0 +1,81 @@
+import { LocalCache } from './local-cache.js';
+
+/**
+ * Keeps API keys in this browser's localStorage, named after each provider's
+ * `authentication` field. Keys are entered in the settings panel, so gift
+ * links never carry them into shared URLs, browser history or referrers.
+ */
+export class KeyStore {
+    static PREFIX = 'gift-tracker-key:';
+
+    constructor(storage = LocalCache.defaultStorage()) {
+        this.storage = storage;
+    }
+
+    /**
+     * Gets a stored key, or null
+     */
+    get(name) {
+        try {
+            return this.storage?.getItem(KeyStore.PREFIX + name) || null;
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Stores a key, or removes it when the value is empty
+     */
+    set(name, value) {
+        try {
+            if (value) {
+                this.storage?.setItem(KeyStore.PREFIX + name, value);
+            } else {
+                this.storage?.removeItem(KeyStore.PREFIX + name);
+            }
+            return true;
+        } catch (error) {
+            console.warn(`⚠️ Could not save the ${name} key:`, error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Removes every stored key
+     */
+    clear() {
+        try {
+            Object.keys(this.storage || {})
+                .filter(key => key.startsWith(KeyStore.PREFIX))
+                .forEach(key => this.storage.removeItem(key));
+        } catch {
+            // Nothing stored that can be removed
+        }
+    }
+
+    /**
+     * Moves keys given in the page's query string (the old way of passing
+     * them) into the store and removes them from the address bar. Only the
+     * key `names` providers use are moved, so other parameters such as
+     * utm_source stay in the link.
+     * Returns the names of the keys that were moved.
+     */
+    importFromUrl(names, location = globalThis.location, history = globalThis.history) {
+        if (!location) return [];
+
+        const url = new URL(location.href);
+        const imported = [...new Set(names)].filter(name => url.searchParams.get(name));
+
+        if (imported.length === 0) return [];
+
+        for (const name of imported) {
+            this.set(name, url.searchParams.get(name));
+            url.searchParams.delete(name);
+        }
+
+        history?.replaceState(history.state, '', url.pathname + url.search + url.hash);
+        console.warn(`🔐 Moved ${imported.join(', ')} key${imported.length === 1 ? '' : 's'} from the link into this browser's settings`);
+
+        return imported;
+    }
+}
@@ -0,0 +1,74 @@
+/**
+ * Keeps JSON values in localStorage along with when they were saved, so the
+ * page can render straight away and still show something offline.
+ * Storage errors (private browsing, a full quota) are ignored: the cache is
+ * only ever a shortcut, never the sole copy of anything.
+ */
+export class LocalCache {
+    static PREFIX = 'gift-tracker:';
+
+    constructor(storage = LocalCache.defaultStorage()) {
+        this.storage = storage;
+    }
+
+    /**
+     * Gets localStorage, or null where it isn't available
+     */
+    static defaultStorage() {
+        try {
+            return globalThis.localStorage ?? null;
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Gets a cached value as { value, savedAt, ageMinutes }, or null
+     */
+    get(key) {
+        try {
+            const item = JSON.parse(this.storage?.getItem(LocalCache.PREFIX + key) ?? 'null');
+            if (!item || !('value' in item)) return null;
+
+            return {
+                value: item.value,
+                savedAt: item.savedAt,
+                ageMinutes: (Date.now() - new Date(item.savedAt)) / 60000
+            };
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Caches a value, clearing older entries once if storage is full
+     */
+    set(key, value) {
+        const item = JSON.stringify({ value, savedAt: new Date().toISOString() });
+
+        for (let attempt = 1; attempt <= 2; attempt++) {
+            try {
+                this.storage?.setItem(LocalCache.PREFIX + key, item);
+                return true;
+            } catch (error) {
+                console.warn(`📦 Could not cache ${key}:`, error.message);
+                if (attempt === 1) this.clear();
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Removes every entry this cache saved
+     */
+    clear() {
+        try {
+            Object.keys(this.storage || {})
+                .filter(key => key.startsWith(LocalCache.PREFIX))
+                .forEach(key => this.storage.removeItem(key));
+        } catch {
+            // Nothing cached that can be removed
+        }
+    }
+}
@@ -0,0 +1,458 @@
+/**
+ * The page's text in each language, looked up by I18n with keys such as
+ * `gift.hello`. `{name}` placeholders are filled in from parameters, and
+ * `{metal.genitive}` picks a form of a parameter (see `metals`). Messages
+ * that depend on a number are objects keyed by Intl.PluralRules category:
+ * English only needs `one` and `other`, Polish also `few` and `many`.
+ * Missing messages fall back to English.
+ */
+export class Messages {
+    static en = {
+        // Dates are written "25th Dec, 2025", with these ordinal suffixes
+        date: '{day} {month}, {year}',
+        ordinals: { one: 'st', two: 'nd', few: 'rd', other: 'th' },
+
+        metals: {
+            silver: { name: 'Silver', lower: 'silver' },
+            gold: { name: 'Gold', lower: 'gold' },
+            platinum: { name: 'Platinum', lower: 'platinum' },
+            palladium: { name: 'Palladium', lower: 'palladium' },
+            gift: { name: 'Gift', lower: 'gift' }
+        },
+
+        units: {
+            minute: { one: '{count} minute', other: '{count} minutes' },
+            hour: { one: '{count} hour', other: '{count} hours' },
+            day: { one: '{count} day', other: '{count} days' },
+            week: { one: '{count} week', other: '{count} weeks' },
+            month: { one: '{count} month', other: '{count} months' },
+            year: { one: '{count} year', other: '{count} years' }
+        },
+
+        time: {
+            ago: '{time} ago',
+            in: 'in {time}',
+            today: 'today',
+            yesterday: 'yesterday',
+            tomorrow: 'tomorrow',
+            justNow: 'just now',
+            recently: 'recently',
+            unknown: 'unknown time'
+        },
+
+        loading: {
+            gift: 'Loading your gift...',
+            connecting: 'Connecting to price data sources',
+            api: 'API {attempt}/{total}',
+            apiFrom: '{source}, API {attempt}/{total}',
+            trying: 'Fetching live price data ({api})',
+            retrying: 'No answer yet, retrying ({api})',
+            waiting: 'API {attempt}/{total} failed, trying next...'
+        },
+
+        gift: {
+            hello: 'Hello {name},',
+            gaveYou: '{time}, {giver} gave you {amount}.',
+            arriving: '{giver} is giving you {amount}, arriving {time}.',
+            anniversary: 'Happy {ordinal} gift anniversary!',
+            amount: '{quantity} of {metal.name}',
+            portfolio: 'Since {date} you have been given {gifts} of {metal.lower}, {total} in total.',
+            gifts: { one: '{count} gift', other: '{count} gifts' },
+            unavailable: '{metal.name} price data is temporarily unavailable.',
+            stillValuable: "Your {metal.lower} is still valuable - we just can't show the price right now.",
+            valueOfThat: '{label} of that {metal.lower}:',
+            valueOfYours: '{label} of your {metal.lower}:',
+            changeSince: "That's {change} since {date}!",
+            changeOnCost: "That's {change} on the {cost} it cost!",
+            fxNote: '{currency} exchange rates are only stored from {date}, so earlier gifts are costed at that rate.',
+            fxMissing: 'Values are in US dollars until a {currency} exchange rate is available.'
+        },
+
+        change: {
+            increase: 'an increase of {percent}',
+            decrease: 'a decrease of {percent}'
+        },
+
+        price: {
+            perOunce: '{price}/oz',
+            description: '{metal.name} price: {price}/oz',
+            only: '({description})',
+            withChange: '({description}, {change} today)'
+        },
+
+        value: {
+            current: 'Current value',
+            delayed: 'Value as quoted {time}',
+            lastKnown: 'Last known value'
+        },
+
+        status: {
+            none: 'No price data available',
+            live: 'Live price from {source}',
+            delayed: 'Delayed price from {source}',
+            quoted: 'Quoted: {time}',
+            lastKnown: 'Last known price from {source}',
+            updated: 'Updated: {time}',
+            cached: 'Cached price from {source}'
+        },
+
+        consensus: {
+            agreed: { one: '{count} source agreed within {spread}:', other: '{count} sources agreed within {spread}:' },
+            notEnough: 'Only {count} of {required} required sources agreed:',
+            discarded: 'Discarded:'
+        },
+
+        table: {
+            date: 'Date',
+            from: 'From',
+            amount: 'Amount',
+            priceThen: 'Price then',
+            valueNow: 'Value now',
+            change: 'Change'
+        },
+
+        chart: {
+            modes: { price: 'Price per oz', value: 'Your holding' },
+            ranges: { '7d': '7D', '1m': '1M', '6m': '6M', '1y': '1Y', gift: 'Since gift', all: 'All' },
+            periods: { weekly: ', weekly close', monthly: ', monthly close' },
+            title: "{metal.name} Price History - {name}'s Gift",
+            price: '{metal.name} Price ({currency}/oz{period})',
+            value: 'Value of your {metal.lower} ({currency}{period})',
+            priceWhenGiven: 'Price when given',
+            whatItCost: 'What it cost',
+            priceAxis: 'Price ({currency}/oz)',
+            valueAxis: 'Value ({currency})',
+            date: 'Date',
+            heading: '📈 Price History Chart',
+            unavailable: 'Chart temporarily unavailable',
+            stillTracked: "Your {metal.lower}'s value is still being tracked!",
+            noData: 'No historical price data available yet',
+            checkBack: "Check back in a few days to see your {metal.lower}'s price history!",
+            arriving: '🎁 Your gift arrives on {date}',
+            startsThen: "Your {metal.lower}'s price history starts that day."
+        },
+
+        certificate: {
+            button: '📜 Gift certificate',
+            print: '🖨️ Print',
+            close: 'Close',
+            alt: 'Gift certificate for {name}',
+            title: '{metal.name} gift certificate',
+            certifies: 'This certifies that',
+            given: 'was given {amount} by {givers}',
+            on: 'on {date}',
+            between: 'between {first} and {last}',
+            worth: 'Worth {value} on {date}',
+            change: "That's {change} on the {cost} it cost",
+            price: '{metal.name} price {price}/oz'
+        },
+
+        preview: {
+            title: "{name}'s {metal.lower} gift",
+            description: '{givers} gave {name} {amount} on {date}.',
+            worthUp: "It's worth {value} today, up {percent}.",
+            worthDown: "It's worth {value} today, down {percent}.",
+            open: 'Open {title}'
+        },
+
+        selector: {
+            title: 'Select Your Gift',
+            choose: 'Choose recipient...'
+        },
+
+        giftLink: {
+            title: '🎁 Open Your Gift From Its Link',
+            broken: "This gift link doesn't work. Please check it was copied in full, or ask the giver for a new one.",
+            needed: 'Each gift has its own private link. Ask the person who gave you the gift for yours.'
+        },
+
+        errors: {
+            title: '⚠️ Error',
+            retry: 'Try Again',
+            load: 'Failed to load the application. Please refresh the page.',
+            setup: 'This gift is not set up correctly: {message}',
+            configTitle: '⚠️ This gift is not set up correctly',
+            configFix: 'Please fix these settings for {id} in data/recipients.json:',
+            amount: 'The gift from {giver} on {date} has an invalid amount "{amount}". Use a weight such as "5 oz", "100 g", "1 kg" or "1/10 oz coin".',
+            unknownGiver: 'unknown',
+            unknownDate: 'an unknown date',
+            critical: '⚠️ Critical Error',
+            start: 'The application failed to start. Please refresh the page.'
+        },
+
+        // Errors in recipients.json and apis.json, from ConfigValidator
+        validation: {
+            types: {
+                object: 'an object',
+                array: 'an array',
+                string: 'a string',
+                number: 'a number',
+                integer: 'an integer',
+                boolean: 'a boolean',
+                null: 'missing'
+            },
+            notAllowed: 'is not allowed',
+            type: 'must be {expected}, not {actual}',
+            enum: 'must be one of {options}, not {value}',
+            empty: 'must not be empty',
+            minLength: { one: 'must be at least {count} character', other: 'must be at least {count} characters' },
+            pattern: '"{value}" doesn\'t match the pattern {pattern}',
+            date: '"{value}" is not a valid date, use YYYY-MM-DD',
+            minimum: 'must be at least {minimum}, not {value}',
+            exclusiveMinimum: 'must be more than {minimum}, not {value}',
+            minItems: { one: 'must have at least {count} entry', other: 'must have at least {count} entries' },
+            required: 'is required',
+            missingPrice: 'is missing, so the stored price on the gift date is used; run fill-initial-prices.mjs to save it',
+            invalidName: 'is not a valid name: {reason}',
+            unknown: 'is not a known setting',
+            unknownSuggest: 'is not a known setting, did you mean "{suggestion}"?',
+            notFound: 'is not in recipients.json',
+            amount: '"{amount}" is not a weight, use one such as "5 oz", "100 g", "1 kg" or "1/10 oz coin"',
+            duplicateName: '"{name}" is used by more than one provider',
+            keyPlaceholder: 'needs {placeholder} where the {auth} key goes'
+        },
+
+        settings: {
+            title: '⚙️ API keys',
+            about: "Keys are kept in this browser only and are never added to gift links. Providers marked collector-only in {file} don't need one here.",
+            saved: 'Saved - type to replace',
+            notSet: 'Not set',
+            save: 'Save',
+            forget: 'Forget keys',
+            forgotten: 'Keys removed from this browser',
+            savedKeys: 'Saved {names}',
+            nothing: 'Nothing to save'
+        }
+    };
+
+    static pl = {
+        // Polish metal names are declined, so messages pick the form they need
+        metals: {
+            silver: { name: 'Srebro', lower: 'srebro', genitive: 'srebra' },
+            gold: { name: 'Złoto', lower: 'złoto', genitive: 'złota' },
+            platinum: { name: 'Platyna', lower: 'platyna', genitive: 'platyny' },
+            palladium: { name: 'Pallad', lower: 'pallad', genitive: 'palladu' },
+            gift: { name: 'Prezent', lower: 'prezent', genitive: 'prezentu' }
+        },
+
+        // Forms used after "za" (in) and before "temu" (ago): "1 minutę", "2 minuty", "5 minut", "1,5 minuty"
+        units: {
+            minute: { one: '{count} minutę', few: '{count} minuty', many: '{count} minut', other: '{count} minuty' },
+            hour: { one: '{count} godzinę', few: '{count} godziny', many: '{count} godzin', other: '{count} godziny' },
+            day: { one: '{count} dzień', few: '{count} dni', many: '{count} dni', other: '{count} dnia' },
+            week: { one: '{count} tydzień', few: '{count} tygodnie', many: '{count} tygodni', other: '{count} tygodnia' },
+            month: { one: '{count} miesiąc', few: '{count} miesiące', many: '{count} miesięcy', other: '{count} miesiąca' },
+            year: { one: '{count} rok', few: '{count} lata', many: '{count} lat', other: '{count} roku' }
+        },
+
+        time: {
+            ago: '{time} temu',
+            in: 'za {time}',
+            today: 'dzisiaj',
+            yesterday: 'wczoraj',
+            tomorrow: 'jutro',
+            justNow: 'przed chwilą',
+            recently: 'niedawno',
+            unknown: 'nieznany czas'
+        },
+
+        loading: {
+            gift: 'Wczytywanie prezentu...',
+            connecting: 'Łączenie ze źródłami cen',
+            api: 'API {attempt}/{total}',
+            apiFrom: '{source}, API {attempt}/{total}',
+            trying: 'Pobieranie aktualnej ceny ({api})',
+            retrying: 'Brak odpowiedzi, ponawianie ({api})',
+            waiting: 'API {attempt}/{total} nie odpowiada, próba kolejnego...'
+        },
+
+        gift: {
+            hello: 'Cześć {name},',
+            gaveYou: '{time} {giver} podarował(a) Ci {amount}.',
+            arriving: '{giver} podaruje Ci {amount}, prezent dotrze {time}.',
+            anniversary: 'Wszystkiego najlepszego z okazji {count}. rocznicy prezentu!',
+            amount: '{quantity} {metal.genitive}',
+            portfolio: 'Od {date} otrzymałeś(-aś) {gifts}, łącznie {total} {metal.genitive}.',
+            gifts: { one: '{count} prezent', few: '{count} prezenty', many: '{count} prezentów', other: '{count} prezentu' },
+            unavailable: 'Cena {metal.genitive} jest chwilowo niedostępna.',
+            stillValuable: 'Prezent nadal ma swoją wartość - po prostu nie możemy teraz pokazać ceny.',
+            valueOfThat: '{label} tego prezentu:',
+            valueOfYours: '{label} Twoich prezentów:',
+            changeSince: 'To {change} od {date}!',
+            changeOnCost: 'To {change} względem kosztu {cost}!',
+            fxNote: 'Kursy {currency} są zapisane dopiero od {date}, więc wcześniejsze prezenty wyceniono według tego kursu.',
+            fxMissing: 'Wartości są podane w dolarach amerykańskich, dopóki kurs {currency} nie będzie dostępny.'
+        },
+
+        change: {
+            increase: 'wzrost o {percent}',
+            decrease: 'spadek o {percent}'
+        },
+
+        price: {
+            perOunce: '{price}/oz',
+            description: 'Cena {metal.genitive}: {price}/oz',
+            only: '({description})',
+            withChange: '({description}, {change} dzisiaj)'
+        },
+
+        value: {
+            current: 'Aktualna wartość',
+            delayed: 'Wartość z notowania {time}',
+            lastKnown: 'Ostatnia znana wartość'
+        },
+
+        status: {
+            none: 'Brak danych o cenie',
+            live: 'Cena na żywo: {source}',
+            delayed: 'Opóźniona cena: {source}',
+            quoted: 'Notowanie: {time}',
+            lastKnown: 'Ostatnia znana cena: {source}',
+            updated: 'Aktualizacja: {time}',
+            cached: 'Cena z pamięci podręcznej: {source}'
+        },
+
+        consensus: {
+            agreed: {
+                one: '{count} źródło zgodne w granicach {spread}:',
+                few: '{count} źródła zgodne w granicach {spread}:',
+                many: '{count} źródeł zgodnych w granicach {spread}:',
+                other: '{count} źródła zgodne w granicach {spread}:'
+            },
+            notEnough: 'Zgodne tylko {count} z {required} wymaganych źródeł:',
+            discarded: 'Odrzucone:'
+        },
+
+        table: {
+            date: 'Data',
+            from: 'Od',
+            amount: 'Ilość',
+            priceThen: 'Cena wtedy',
+            valueNow: 'Wartość teraz',
+            change: 'Zmiana'
+        },
+
+        chart: {
+            modes: { price: 'Cena za oz', value: 'Wartość prezentów' },
+            ranges: { '7d': '7 dni', '1m': '1 mies.', '6m': '6 mies.', '1y': '1 rok', gift: 'Od prezentu', all: 'Wszystko' },
+            periods: { weekly: ', zamknięcie tygodniowe', monthly: ', zamknięcie miesięczne' },
+            title: 'Historia ceny {metal.genitive} - {name}',
+            price: 'Cena {metal.genitive} ({currency}/oz{period})',
+            value: 'Wartość prezentów ({currency}{period})',
+            priceWhenGiven: 'Cena w dniu prezentu',
+            whatItCost: 'Koszt',
+            priceAxis: 'Cena ({currency}/oz)',
+            valueAxis: 'Wartość ({currency})',
+            date: 'Data',
+            heading: '📈 Historia cen',
+            unavailable: 'Wykres jest chwilowo niedostępny',
+            stillTracked: 'Wartość prezentu jest nadal śledzona!',
+            noData: 'Nie ma jeszcze historii cen',
+            checkBack: 'Zajrzyj za kilka dni, aby zobaczyć historię cen!',
+            arriving: '🎁 Twój prezent dotrze {date}',
+            startsThen: 'Historia ceny {metal.genitive} zacznie się tego dnia.'
+        },
+
+        certificate: {
+            button: '📜 Certyfikat prezentu',
+            print: '🖨️ Drukuj',
+            close: 'Zamknij',
+            alt: 'Certyfikat prezentu: {name}',
+            title: 'Certyfikat prezentu - {metal.name}',
+            certifies: 'Niniejszym potwierdza się, że',
+            given: 'otrzymał(a) {amount} od {givers}',
+            on: 'dnia {date}',
+            between: 'między {first} a {last}',
+            worth: 'Wartość {value} na dzień {date}',
+            change: 'To {change} względem kosztu {cost}',
+            price: 'Cena {metal.genitive} {price}/oz'
+        },
+
+        preview: {
+            title: '{name} - {metal.lower} w prezencie',
+            description: '{name} otrzymał(a) {amount} od {givers} ({date}).',
+            worthUp: 'Dziś warte {value}, wzrost o {percent}.',
+            worthDown: 'Dziś warte {value}, spadek o {percent}.',
+            open: 'Otwórz: {title}'
+        },
+
+        selector: {
+            title: 'Wybierz swój prezent',
+            choose: 'Wybierz odbiorcę...'
+        },
+
+        giftLink: {
+            title: '🎁 Otwórz prezent ze swojego linku',
+            broken: 'Ten link do prezentu nie działa. Sprawdź, czy został skopiowany w całości, albo poproś darczyńcę o nowy.',
+            needed: 'Każdy prezent ma własny prywatny link. Poproś osobę, która dała Ci prezent, o Twój link.'
+        },
+
+        errors: {
+            title: '⚠️ Błąd',
+            retry: 'Spróbuj ponownie',
+            load: 'Nie udało się wczytać aplikacji. Odśwież stronę.',
+            setup: 'Ten prezent nie jest poprawnie skonfigurowany: {message}',
+            configTitle: '⚠️ Ten prezent nie jest poprawnie skonfigurowany',
+            configFix: 'Popraw te ustawienia dla {id} w data/recipients.json:',
+            amount: 'Prezent od {giver} ({date}) ma niepoprawną ilość "{amount}". Podaj wagę, np. "5 oz", "100 g", "1 kg" lub "1/10 oz coin".',
+            unknownGiver: 'nieznanej osoby',
+            unknownDate: 'data nieznana',
+            critical: '⚠️ Błąd krytyczny',
+            start: 'Nie udało się uruchomić aplikacji. Odśwież stronę.'
+        },
+
+        // Type names are in the instrumental case, for "musi być {expected}, a nie {actual}"
+        validation: {
+            types: {
+                object: 'obiektem',
+                array: 'listą',
+                string: 'tekstem',
+                number: 'liczbą',
+                integer: 'liczbą całkowitą',
+                boolean: 'wartością logiczną',
+                null: 'pustą wartością'
+            },
+            notAllowed: 'jest niedozwolone',
+            type: 'musi być {expected}, a nie {actual}',
+            enum: 'musi być jedną z wartości {options}, a nie {value}',
+            empty: 'nie może być puste',
+            minLength: {
+                one: 'musi mieć co najmniej {count} znak',
+                few: 'musi mieć co najmniej {count} znaki',
+                many: 'musi mieć co najmniej {count} znaków',
+                other: 'musi mieć co najmniej {count} znaku'
+            },
+            pattern: '"{value}" nie pasuje do wzorca {pattern}',
+            date: '"{value}" nie jest poprawną datą, użyj formatu RRRR-MM-DD',
+            minimum: 'musi wynosić co najmniej {minimum}, a nie {value}',
+            exclusiveMinimum: 'musi być większe niż {minimum}, a nie {value}',
+            minItems: {
+                one: 'musi mieć co najmniej {count} pozycję',
+                few: 'musi mieć co najmniej {count} pozycje',
+                many: 'musi mieć co najmniej {count} pozycji',
+                other: 'musi mieć co najmniej {count} pozycji'
+            },
+            required: 'jest wymagane',
+            missingPrice: 'brakuje, więc używana jest zapisana cena z dnia prezentu; uruchom fill-initial-prices.mjs, aby ją zapisać',
+            invalidName: 'nie jest poprawną nazwą: {reason}',
+            unknown: 'nie jest znanym ustawieniem',
+            unknownSuggest: 'nie jest znanym ustawieniem, czy chodziło o "{suggestion}"?',
+            notFound: 'nie ma w recipients.json',
+            amount: '"{amount}" nie jest wagą, podaj np. "5 oz", "100 g", "1 kg" lub "1/10 oz coin"',
+            duplicateName: '"{name}" jest używane przez więcej niż jednego dostawcę',
+            keyPlaceholder: 'wymaga {placeholder} w miejscu klucza {auth}'
+        },
+
+        settings: {
+            title: '⚙️ Klucze API',
+            about: 'Klucze są przechowywane tylko w tej przeglądarce i nigdy nie trafiają do linków do prezentów. Dostawcy oznaczeni jako collector-only w {file} ich tu nie potrzebują.',
+            saved: 'Zapisany - wpisz, aby zastąpić',
+            notSet: 'Nie ustawiono',
+            save: 'Zapisz',
+            forget: 'Usuń klucze',
+            forgotten: 'Klucze usunięto z tej przeglądarki',
+            savedKeys: 'Zapisano: {names}',
+            nothing: 'Nie ma nic do zapisania'
+        }
+    };
+}
@@ -0,0 +1,35 @@
+/**
+ * Precious metals that can be given, with their price symbols and data files
+ */
+export class Metals {
+    static DEFAULT = 'silver';
+
+    static definitions = {
+        silver: { id: 'silver', name: 'Silver', symbol: 'XAG', color: '#3498db', fill: 'rgba(52, 152, 219, 0.1)' },
+        gold: { id: 'gold', name: 'Gold', symbol: 'XAU', color: '#d4ac0d', fill: 'rgba(212, 172, 13, 0.1)' },
+        platinum: { id: 'platinum', name: 'Platinum', symbol: 'XPT', color: '#7f8c8d', fill: 'rgba(127, 140, 141, 0.1)' },
+        palladium: { id: 'palladium', name: 'Palladium', symbol: 'XPD', color: '#8e44ad', fill: 'rgba(142, 68, 173, 0.1)' }
+    };
+
+    /**
+     * Gets a metal definition by id, defaulting to silver
+     */
+    static get(metal = Metals.DEFAULT) {
+        const definition = Metals.definitions[String(metal || Metals.DEFAULT).toLowerCase()];
+
+        if (!definition) {
+            throw new Error(`Unknown metal "${metal}". Use one of: ${Object.keys(Metals.definitions).join(', ')}`);
+        }
+
+        return definition;
+    }
+
+    /**
+     * Gets the name of a metal's price file. Silver keeps the original
+     * unsuffixed names, e.g. daily-prices.json and daily-prices-gold.json
+     */
+    static pricesFile(metal = Metals.DEFAULT, resolution = 'daily') {
+        const { id } = Metals.get(metal);
+        return id === Metals.DEFAULT ? `${resolution}-prices.json` : `${resolution}-prices-${id}.json`;
+    }
+}
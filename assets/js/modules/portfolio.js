@@ -0,0 +1,136 @@
+import { Utils } from './utils.js';
+import { FXRates } from './fx-rates.js';
+import { PriceHistory } from './price-history.js';
+
+/**
+ * Raised when a gift's amount isn't a weight. The message is in English;
+ * the page describes the `gift` in the recipient's language.
+ */
+export class GiftAmountError extends Error {
+    constructor(gift) {
+        super(
+            `The gift from ${gift.giverName || 'unknown'} on ${gift.giftDate || 'an unknown date'} has an invalid amount ` +
+            `"${gift.amount ?? ''}". Use a weight such as "5 oz", "100 g", "1 kg" or "1/10 oz coin".`
+        );
+        this.name = 'GiftAmountError';
+        this.gift = gift;
+    }
+}
+
+/**
+ * Works out a recipient's holdings from the gifts they have been given
+ */
+export class Portfolio {
+    /**
+     * Gets a recipient's gifts, oldest first, with each amount parsed into a
+     * `quantity`. Recipients written before gift lists existed keep a single
+     * gift in giverName/giftDate/silverAmount/initialPrice.
+     * Throws if a gift's amount can't be understood.
+     */
+    static getGifts(config) {
+        const gifts = Array.isArray(config.gifts)
+            ? config.gifts
+            : [{
+                giverName: config.giverName,
+                giftDate: config.giftDate,
+                amount: config.amount ?? config.silverAmount,
+                initialPrice: config.initialPrice
+            }];
+
+        return gifts
+            .map(gift => Portfolio.parseGift({ ...gift, amount: gift.amount ?? gift.silverAmount }))
+            .sort((a, b) => String(a.giftDate).localeCompare(String(b.giftDate)));
+    }
+
+    /**
+     * Gets a copy of a recipient's config where gifts that have arrived without
+     * an initialPrice take the stored price on their date, rounded to cents.
+     * `histories` is { daily, weekly, monthly } as PriceHistory.priceOn takes.
+     * Gifts still to come, or with no stored price, are left as they are.
+     */
+    static withStoredPrices(config, histories, today = new Date()) {
+        const fill = gift => {
+            if (!Portfolio.needsStoredPrice(gift, today)) return gift;
+
+            const stored = PriceHistory.priceOn(gift.giftDate, histories);
+            return stored ? { ...gift, initialPrice: Math.round(stored.price * 100) / 100 } : gift;
+        };
+
+        return Array.isArray(config.gifts) ? { ...config, gifts: config.gifts.map(fill) } : fill(config);
+    }
+
+    /**
+     * Checks whether a gift has arrived without an initialPrice
+     */
+    static needsStoredPrice(gift, today = new Date()) {
+        const since = Utils.getTimeDifference(gift.giftDate, today);
+        return gift.initialPrice === undefined && Boolean(since) && !since.future;
+    }
+
+    /**
+     * Parses a gift's amount, throwing a GiftAmountError if it is invalid
+     */
+    static parseGift(gift) {
+        const quantity = Utils.parseQuantity(gift.amount);
+
+        if (!quantity) throw new GiftAmountError(gift);
+
+        return { ...gift, quantity };
+    }
+
+    /**
+     * Calculates the percentage change from an initial value
+     */
+    static calculateChange(currentValue, initialValue) {
+        return (currentValue - initialValue) / initialValue * 100;
+    }
+
+    /**
+     * Values each gift and the whole holding at the current price. With `fx`
+     * ({ currency, rate, history }), values are in that currency: the current
+     * value uses today's rate and each gift's cost the stored rate on its date.
+     * A null current price gives null values and changes. A gift still to
+     * come may have no initialPrice yet: its cost and change are null, and the
+     * totals' cost and change only cover the `costedOunces` with a cost.
+     */
+    static summarise(gifts, currentPrice, fx = null) {
+        const currentRate = fx?.rate ?? 1;
+
+        const rows = gifts.map(gift => {
+            const giftRate = fx ? FXRates.rateOn(fx.history, fx.currency, gift.giftDate) : null;
+            const rate = giftRate?.rate ?? currentRate;
+            const ounces = gift.quantity.troyOunces;
+            const priceThen = gift.initialPrice === undefined ? null : gift.initialPrice * rate;
+            const cost = priceThen === null ? null : ounces * priceThen;
+            const value = currentPrice === null ? null : ounces * currentPrice * currentRate;
+
+            return {
+                ...gift,
+                ounces,
+                priceThen,
+                cost,
+                value,
+                rateDate: giftRate?.date ?? null,
+                change: value === null || cost === null ? null : Portfolio.calculateChange(value, cost)
+            };
+        });
+
+        const costed = rows.filter(row => row.cost !== null);
+        const total = (list, key) => list.reduce((sum, row) => sum + row[key], 0);
+
+        const totalOunces = total(rows, 'ounces');
+        const costBasis = costed.length > 0 ? total(costed, 'cost') : null;
+        const currentValue = currentPrice === null ? null : total(rows, 'value');
+        const costedValue = currentValue === null || costBasis === null ? null : total(costed, 'value');
+
+        return {
+            gifts: rows,
+            totalOunces,
+            costedOunces: total(costed, 'ounces'),
+            costBasis,
+            currentValue,
+            gain: costedValue === null ? null : costedValue - costBasis,
+            change: costedValue === null ? null : Portfolio.calculateChange(costedValue, costBasis)
+        };
+    }
+}
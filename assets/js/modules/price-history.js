@@ -0,0 +1,130 @@
+/**
+ * Rolls daily prices up into weekly and monthly summaries, and picks which
+ * resolution to chart for a time range.
+ *
+ * Aggregate entries are keyed by the first day of their period (the Monday for
+ * weeks): { "date": "2025-10-20", "open": 46.5, "high": 47.1, "low": 46.5,
+ *           "close": 46.9, "average": 46.81, "days": 4 }
+ */
+export class PriceHistory {
+    static RESOLUTIONS = ['daily', 'weekly', 'monthly'];
+
+    // Longest range, in days, charted from daily and then weekly prices
+    static DAILY_RANGE_DAYS = 730;
+    static WEEKLY_RANGE_DAYS = 1830;
+
+    // Longest gap, in days, before a date that priceOn looks back for a daily price
+    static MAX_PRICE_GAP_DAYS = 7;
+
+    /**
+     * Gets the first day of the week (Monday) or month containing a date
+     */
+    static periodStart(date, resolution) {
+        if (resolution === 'monthly') return `${date.slice(0, 7)}-01`;
+        if (resolution !== 'weekly') return date;
+
+        const day = new Date(`${date}T00:00:00Z`);
+        day.setUTCDate(day.getUTCDate() - (day.getUTCDay() + 6) % 7);
+        return day.toISOString().slice(0, 10);
+    }
+
+    /**
+     * Summarises daily { date, price } entries into one entry per period. Days
+     * with their own open/high/low/close contribute those; the average is of
+     * each day's price.
+     */
+    static aggregate(dailyPrices, resolution) {
+        const periods = new Map();
+
+        const sorted = [...dailyPrices]
+            .filter(entry => entry?.date && entry.price > 0)
+            .sort((a, b) => a.date.localeCompare(b.date));
+
+        for (const entry of sorted) {
+            const start = PriceHistory.periodStart(entry.date, resolution);
+            if (!periods.has(start)) periods.set(start, []);
+            periods.get(start).push(entry);
+        }
+
+        return [...periods].map(([date, days]) => ({
+            date,
+            open: days[0].open ?? days[0].price,
+            high: Math.max(...days.map(day => day.high ?? day.price)),
+            low: Math.min(...days.map(day => day.low ?? day.price)),
+            close: days[days.length - 1].close ?? days[days.length - 1].price,
+            average: PriceHistory.round(days.reduce((sum, day) => sum + day.price, 0) / days.length),
+            days: days.length
+        }));
+    }
+
+    /**
+     * Updates stored aggregates from the daily prices. Periods the daily file
+     * fully covers are recalculated; older periods, whose daily prices may have
+     * been trimmed, are kept as they are.
+     */
+    static merge(existing, dailyPrices, resolution) {
+        const fresh = PriceHistory.aggregate(dailyPrices, resolution);
+        if (fresh.length === 0) return existing;
+
+        const firstDaily = dailyPrices.map(entry => entry.date).sort()[0];
+        const kept = existing.filter(entry => entry.date < firstDaily);
+        const keptDates = new Set(kept.map(entry => entry.date));
+        const added = fresh.filter(entry => !keptDates.has(entry.date));
+
+        return [...kept, ...added].sort((a, b) => a.date.localeCompare(b.date));
+    }
+
+    /**
+     * Finds the price on a date: the daily price that day or on the last day
+     * before it with a price (up to a week before, to cover weekends and
+     * holidays), otherwise the average for its week or month.
+     * Returns { price, date, resolution } or null if none is stored.
+     */
+    static priceOn(date, { daily = [], weekly = [], monthly = [] }) {
+        const earliest = new Date(`${date}T00:00:00Z`);
+        earliest.setUTCDate(earliest.getUTCDate() - PriceHistory.MAX_PRICE_GAP_DAYS);
+        const from = earliest.toISOString().slice(0, 10);
+
+        const day = daily
+            .filter(entry => entry.date <= date && entry.date >= from)
+            .reduce((latest, entry) => !latest || entry.date > latest.date ? entry : latest, null);
+
+        if (day) return { price: day.price, date: day.date, resolution: 'daily' };
+
+        for (const [resolution, entries] of [['weekly', weekly], ['monthly', monthly]]) {
+            const start = PriceHistory.periodStart(date, resolution);
+            const period = entries.find(entry => entry.date === start);
+
+            if (period) return { price: period.average, date: period.date, resolution };
+        }
+
+        return null;
+    }
+
+    /**
+     * Picks the resolution to chart from a date until today
+     */
+    static chooseResolution(fromDate, today = new Date()) {
+        if (!fromDate) return 'daily';
+
+        const days = (today - new Date(`${fromDate}T00:00:00Z`)) / (1000 * 60 * 60 * 24);
+
+        if (days <= PriceHistory.DAILY_RANGE_DAYS) return 'daily';
+        if (days <= PriceHistory.WEEKLY_RANGE_DAYS) return 'weekly';
+        return 'monthly';
+    }
+
+    /**
+     * Turns aggregate entries into a { date, price } series using closing prices
+     */
+    static toSeries(entries) {
+        return entries.map(entry => ({ ...entry, price: entry.close }));
+    }
+
+    /**
+     * Rounds an average to the precision prices are stored with
+     */
+    static round(value) {
+        return Math.round(value * 1e6) / 1e6;
+    }
+}
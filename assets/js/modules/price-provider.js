@@ -0,0 +1,691 @@
+import { JSONPath } from './json-path.js';
+import { Units } from './units.js';
+import { Utils } from './utils.js';
+import { Metals } from './metals.js';
+
+/**
+ * Raised when a provider returns a price that breaks the configured validation rules.
+ * These are not retried: the same provider would return the same value again.
+ */
+export class PriceValidationError extends Error {
+    constructor(api, reason, value = null) {
+        super(`Rejected ${api.name} price${value !== null ? ` ${value}` : ''}: ${reason}`);
+        this.name = 'PriceValidationError';
+        this.api = api;
+        this.reason = reason;
+        this.value = value;
+    }
+}
+
+/**
+ * Environment-agnostic price provider logic shared by the page and Node scripts.
+ *
+ * Everything that depends on the host is injected:
+ * - getKey(name): returns the API key for an `authentication` name, or null
+ * - fetch(url, options): a fetch implementation
+ * - now(): returns the current Date
+ * - sleep(ms): resolves after the given delay
+ *
+ * Optional hooks report progress: onProviderStarted(api, index, total),
+ * onAttemptFailed(api, attempt, error), onWaiting(api, ms, next) where `next`
+ * is 'attempt' or 'provider', onSucceeded(api, result) and onRejected(api, error).
+ */
+export class PriceProvider {
+    constructor({
+        getKey = () => null,
+        fetch = (...args) => globalThis.fetch(...args),
+        now = () => new Date(),
+        sleep = ms => new Promise(resolve => setTimeout(resolve, ms)),
+        timeout = 5000,
+        maxAttempts = 3,
+        retryDelay = 500,
+        providerDelay = 1000,
+        maxAgeMinutes = 60,
+        onProviderStarted = null,
+        onAttemptFailed = null,
+        onWaiting = null,
+        onSucceeded = null,
+        onRejected = null
+    } = {}) {
+        this.getKey = getKey;
+        this.fetch = fetch;
+        this.now = now;
+        this.sleep = sleep;
+        this.timeout = timeout;
+        this.maxAttempts = maxAttempts;
+        this.retryDelay = retryDelay;
+        this.providerDelay = providerDelay;
+        this.maxAgeMinutes = maxAgeMinutes;
+        this.onProviderStarted = onProviderStarted;
+        this.onAttemptFailed = onAttemptFailed;
+        this.onWaiting = onWaiting;
+        this.onSucceeded = onSucceeded;
+        this.onRejected = onRejected;
+    }
+
+    static defaultConsensus = {
+        enabled: false,
+        minSources: 2,
+        maxDeviationPercent: 2,
+        maxChangePercent: 30
+    };
+
+    // Last prices older than this aren't compared with, only the absolute bounds apply
+    static maxChangeAgeDays = 7;
+
+    static defaultAsset = 'XAG';
+
+    /**
+     * Normalises apis.json (a provider list, or an object with `providers`,
+     * `consensus` and `validation`) and selects the providers that can be used
+     * for an asset such as XAG or XAU
+     */
+    prepareConfig(raw, asset = PriceProvider.defaultAsset) {
+        const providers = Array.isArray(raw) ? raw : raw?.providers;
+        const assetProviders = Array.isArray(providers)
+            ? providers.filter(api => this.supportsAsset(api, asset)).map(api => this.resolveForAsset(api, asset))
+            : null;
+
+        return {
+            asset,
+            providers: this.selectAPIs(assetProviders, asset),
+            consensus: { ...PriceProvider.defaultConsensus, ...(raw?.consensus || {}) },
+            validation: raw?.validation || {}
+        };
+    }
+
+    /**
+     * Gets a price using consensus mode if enabled, otherwise the first working API.
+     * `lastPrice` is the last stored price as { price, date }, for the change checks.
+     */
+    async getPrice(config, lastPrice = null) {
+        const context = { lastPrice, validation: config.validation };
+
+        if (config.consensus.enabled) {
+            return await this.tryConsensus(config.providers, config.consensus, context);
+        }
+
+        return await this.tryAll(config.providers, context);
+    }
+
+    /**
+     * Resolves the validation rules for an API: its asset's rules overridden by its own
+     */
+    getValidationRules(api, validation = {}) {
+        return {
+            ...(validation[api.asset || PriceProvider.defaultAsset] || {}),
+            ...(api.validation || {})
+        };
+    }
+
+    /**
+     * Checks a price against the validation rules, throwing PriceValidationError if it breaks one
+     */
+    validatePrice(price, data, api, { lastPrice = null, validation = {} } = {}) {
+        const rules = this.getValidationRules(api, validation);
+
+        for (const field of rules.required || []) {
+            const path = field === 'price-path' || field === 'time-path' ? api[field] : field;
+            const value = path ? this.extractValue(data, path, api) : undefined;
+
+            if (value === undefined || value === null || value === '') {
+                throw new PriceValidationError(api, `required field "${path || field}" missing`, price);
+            }
+        }
+
+        if (!Number.isFinite(price) || price <= 0) {
+            throw new PriceValidationError(api, 'not a positive number', price);
+        }
+
+        if (rules.min !== undefined && price < rules.min) {
+            throw new PriceValidationError(api, `below minimum of ${rules.min}`, price);
+        }
+
+        if (rules.max !== undefined && price > rules.max) {
+            throw new PriceValidationError(api, `above maximum of ${rules.max}`, price);
+        }
+
+        const jump = this.checkChange(price, lastPrice, rules.maxDailyChangePercent);
+
+        if (jump) {
+            throw new PriceValidationError(
+                api,
+                `${jump.change.toFixed(1)}% change from last stored price ${lastPrice.price} (${jump.days} days ago) exceeds ${jump.allowed}%`,
+                price
+            );
+        }
+    }
+
+    /**
+     * Compares a price with the last stored one ({ price, date }). The allowed
+     * change is `maxPercent` per day since that price, so a gap in collection
+     * or one large move doesn't reject every later quote, and a last price more
+     * than `maxChangeAgeDays` old isn't compared with at all.
+     * Returns { change, allowed, days } if the change is too large, otherwise null.
+     */
+    checkChange(price, lastPrice, maxPercent) {
+        const lastDate = Utils.parseTimestamp(lastPrice?.date);
+        if (maxPercent === undefined || !(lastPrice?.price > 0) || !lastDate) return null;
+
+        const day = 24 * 60 * 60 * 1000;
+        const days = Math.max(1, Math.round(
+            (Date.parse(this.now().toISOString().slice(0, 10)) - Date.parse(lastDate.toISOString().slice(0, 10))) / day
+        ));
+
+        if (days > PriceProvider.maxChangeAgeDays) return null;
+
+        const change = Math.abs(price - lastPrice.price) / lastPrice.price * 100;
+        const allowed = maxPercent * days;
+
+        return change > allowed ? { change, allowed, days } : null;
+    }
+
+    /**
+     * Provides fallback API configuration
+     */
+    getFallbackConfig(asset = PriceProvider.defaultAsset) {
+        // The fallback only quotes metals; there is no built-in exchange rate source
+        if (!PriceProvider.isMetal(asset)) return [];
+
+        return [this.resolveForAsset({
+            name: "gold-api",
+            url: "https://api.gold-api.com/price/{symbol}",
+            "price-path": "price",
+            "time-path": "updatedAt",
+            authentication: "none",
+            priority: 1,
+            description: "Fallback API configuration"
+        }, asset)];
+    }
+
+    /**
+     * Checks whether an API quotes the given asset (`assets` list, or a single `asset`)
+     */
+    supportsAsset(api, asset) {
+        // Exchange rate providers quote any currency against the US dollar
+        if (api.type === 'fx') return !PriceProvider.isMetal(asset);
+
+        const assets = api.assets || [api.asset || PriceProvider.defaultAsset];
+        return assets.includes(asset);
+    }
+
+    /**
+     * Checks whether a symbol is a metal (XAG, XAU...) rather than a currency
+     */
+    static isMetal(asset) {
+        return Object.values(Metals.definitions).some(metal => metal.symbol === asset);
+    }
+
+    /**
+     * Fills the `{symbol}` placeholder in an API's URL and paths, and in its
+     * `history` settings, with an asset symbol
+     */
+    resolveForAsset(api, asset) {
+        const fill = value => typeof value === 'string' ? value.replaceAll('{symbol}', asset) : value;
+
+        return {
+            ...api,
+            asset,
+            url: fill(api.url),
+            'price-path': fill(api['price-path']),
+            'time-path': fill(api['time-path']),
+            ...(api.history && {
+                history: Object.fromEntries(Object.entries(api.history).map(([key, value]) => [key, fill(value)]))
+            })
+        };
+    }
+
+    /**
+     * Orders APIs by priority and drops those without a key
+     */
+    selectAPIs(config, asset = PriceProvider.defaultAsset) {
+        if (!config || !Array.isArray(config)) {
+            console.warn('⚠️ APIs config invalid, using fallback');
+            return this.getFallbackConfig(asset);
+        }
+
+        const availableAPIs = [...config]
+            .sort((a, b) => a.priority - b.priority)
+            .filter(api => this.isAPIAvailable(api));
+
+        console.log(`✅ Loaded ${availableAPIs.length} available ${asset} APIs:`, availableAPIs.map(api => api.name));
+
+        return availableAPIs.length > 0 ? availableAPIs : this.getFallbackConfig(asset);
+    }
+
+    /**
+     * Checks if API is available based on authentication
+     */
+    isAPIAvailable(api) {
+        if (api.authentication === 'none') return true;
+
+        const hasKey = Boolean(this.getKey(api.authentication));
+
+        if (!hasKey) {
+            console.log(`⏭️ Skipping ${api.name} - requires ${api.authentication} key`);
+        }
+
+        return hasKey;
+    }
+
+    /**
+     * Builds API URL with authentication
+     */
+    buildAPIUrl(api) {
+        let url = api.url;
+
+        if (api.authentication !== 'none') {
+            const apiKey = this.getKey(api.authentication);
+
+            if (!apiKey) {
+                throw new Error(`Missing API key for ${api.name}: ${api.authentication}`);
+            }
+
+            url = url.replace(`{${api.authentication}}`, apiKey);
+        }
+
+        return url;
+    }
+
+    /**
+     * Reads a value from an API response using a path from apis.json
+     */
+    extractValue(data, path, api) {
+        if (!path) return undefined;
+
+        try {
+            const value = JSONPath.evaluate(data, path);
+
+            if (value === undefined) {
+                console.warn(`Path "${path}" not found in ${api.name} response`);
+            }
+
+            return value;
+        } catch (error) {
+            console.warn(`Failed to read "${path}" from ${api.name}:`, error.message);
+            return undefined;
+        }
+    }
+
+    /**
+     * Extracts price from API response
+     */
+    extractPrice(data, api) {
+        const price = parseFloat(this.extractValue(data, api['price-path'], api));
+
+        if (isNaN(price)) return null;
+
+        return this.applyTransforms(price, api);
+    }
+
+    /**
+     * Applies the API's `rate_conversion` and `transforms` to a raw price
+     */
+    applyTransforms(price, api) {
+        const transforms = [...(api.transforms || [])];
+
+        if (api.rate_conversion === 'invert') {
+            transforms.unshift({ type: 'invert' });
+        }
+
+        return transforms.reduce((value, transform) => {
+            switch (transform.type) {
+                case 'invert':
+                    return 1 / value;
+                case 'multiply':
+                    return value * transform.factor;
+                case 'convert':
+                    return Units.convertPrice(value, transform.from, transform.to || 'troy-ounce');
+                default:
+                    throw new Error(`Unknown transform "${transform.type}" for ${api.name}`);
+            }
+        }, price);
+    }
+
+    /**
+     * Extracts the quote time from API response
+     */
+    extractTimestamp(data, api) {
+        return Utils.parseTimestamp(this.extractValue(data, api['time-path'], api));
+    }
+
+    /**
+     * Builds a result, marking quotes older than the API's maximum age as delayed
+     */
+    createResult(price, quoteTime, api) {
+        const now = this.now();
+        const maxAgeMinutes = api['max-age-minutes'] ?? this.maxAgeMinutes;
+        const ageMinutes = quoteTime ? Math.max(0, (now - quoteTime) / 60000) : 0;
+        const isDelayed = ageMinutes > maxAgeMinutes;
+
+        return {
+            price: price,
+            source: api.name,
+            timestamp: (quoteTime || now).toISOString(),
+            fetchedAt: now.toISOString(),
+            ageMinutes: Math.round(ageMinutes),
+            isLive: !isDelayed,
+            isDelayed: isDelayed,
+            reliable: !isDelayed
+        };
+    }
+
+    /**
+     * Tries the given APIs in order until one returns a valid price
+     */
+    async tryAll(apiConfigs, context = {}) {
+        console.log(`🔄 Trying ${apiConfigs.length} APIs...`);
+
+        // Freshest quote that was older than its API's maximum age
+        let delayed = null;
+
+        for (let i = 0; i < apiConfigs.length; i++) {
+            const api = apiConfigs[i];
+
+            try {
+                console.log(`🔄 API ${i + 1}/${apiConfigs.length}: ${api.name}...`);
+                this.onProviderStarted?.(api, i, apiConfigs.length);
+
+                const result = await this.tryAPI(api, context);
+                if (result?.isLive) {
+                    console.log(`✅ SUCCESS: ${api.name} - $${result.price}`);
+                    return result;
+                }
+
+                if (result) {
+                    console.log(`⏳ ${api.name} quote is ${result.ageMinutes} minutes old, trying for a fresher one...`);
+                    if (!delayed || result.timestamp > delayed.timestamp) {
+                        delayed = result;
+                    }
+                }
+            } catch (error) {
+                console.warn(`❌ ${api.name} failed:`, error.message);
+            }
+
+            if (i < apiConfigs.length - 1) {
+                this.onWaiting?.(api, this.providerDelay, 'provider');
+                await this.sleep(this.providerDelay);
+            }
+        }
+
+        if (delayed) {
+            console.log(`⏳ Using delayed quote from ${delayed.source} - $${delayed.price}`);
+        }
+
+        return delayed;
+    }
+
+    /**
+     * Queries all APIs in parallel and returns the price they agree on.
+     * Quotes further than `maxDeviationPercent` from the median, or further than
+     * `maxChangePercent` from a recent last stored price (see checkChange), are
+     * discarded as outliers.
+     */
+    async tryConsensus(apiConfigs, options, context = {}) {
+        console.log(`🤝 Querying ${apiConfigs.length} APIs for consensus...`);
+
+        const { lastPrice } = context;
+        const settled = await Promise.all(apiConfigs.map((api, i) => {
+            this.onProviderStarted?.(api, i, apiConfigs.length);
+            return this.tryAPI(api, context).catch(() => null);
+        }));
+        const results = settled.filter(Boolean);
+
+        if (results.length === 0) return null;
+
+        const rejected = [];
+        let candidates = results;
+
+        if (lastPrice) {
+            candidates = candidates.filter(result => {
+                const jump = this.checkChange(result.price, lastPrice, options.maxChangePercent);
+                if (!jump) return true;
+
+                rejected.push({ source: result.source, price: result.price, reason: `${jump.change.toFixed(1)}% from last stored price` });
+                return false;
+            });
+        }
+
+        if (candidates.length === 0) {
+            rejected.forEach(r => console.warn(`🚫 Discarded ${r.source} - $${r.price} (${r.reason})`));
+            return null;
+        }
+
+        const median = PriceProvider.median(candidates.map(result => result.price));
+        const agreed = candidates.filter(result => {
+            const deviation = Math.abs(result.price - median) / median * 100;
+            if (deviation <= options.maxDeviationPercent) return true;
+
+            rejected.push({ source: result.source, price: result.price, reason: `${deviation.toFixed(1)}% from median` });
+            return false;
+        });
+
+        rejected.forEach(r => console.warn(`🚫 Discarded ${r.source} - $${r.price} (${r.reason})`));
+
+        if (agreed.length === 0) return null;
+
+        const price = PriceProvider.median(agreed.map(result => result.price));
+        const prices = agreed.map(result => result.price);
+        const isConsensus = agreed.length >= options.minSources;
+        const isDelayed = agreed.some(result => result.isDelayed);
+
+        if (!isConsensus) {
+            console.warn(`⚠️ Only ${agreed.length} of ${options.minSources} required sources agreed`);
+        } else {
+            console.log(`✅ CONSENSUS: $${price} from ${agreed.map(result => result.source).join(', ')}`);
+        }
+
+        return {
+            price: price,
+            source: agreed.map(result => result.source).join('+'),
+            timestamp: agreed.map(result => result.timestamp).sort()[0],
+            fetchedAt: this.now().toISOString(),
+            ageMinutes: Math.max(...agreed.map(result => result.ageMinutes)),
+            isLive: !isDelayed,
+            isDelayed: isDelayed,
+            reliable: isConsensus && !isDelayed,
+            consensus: {
+                agreed: isConsensus,
+                minSources: options.minSources,
+                spreadPercent: (Math.max(...prices) - Math.min(...prices)) / price * 100,
+                sources: agreed.map(result => ({
+                    source: result.source,
+                    price: result.price,
+                    deviationPercent: (result.price - price) / price * 100
+                })),
+                rejected: rejected
+            }
+        };
+    }
+
+    /**
+     * Returns the median of a list of numbers
+     */
+    static median(values) {
+        const sorted = [...values].sort((a, b) => a - b);
+        const middle = Math.floor(sorted.length / 2);
+
+        return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+    }
+
+    /**
+     * Tries individual API with retries
+     */
+    async tryAPI(api, context = {}) {
+        for (let attempt = 1; attempt <= this.maxAttempts; attempt++) {
+            try {
+                const data = await this.fetchJSON(this.buildAPIUrl(api), api.headers || {});
+                const price = this.extractPrice(data, api);
+
+                if (price === null) {
+                    throw new Error(`Invalid price: ${price}`);
+                }
+
+                this.validatePrice(price, data, api, context);
+
+                const result = this.createResult(price, this.extractTimestamp(data, api), api);
+                this.onSucceeded?.(api, result);
+                return result;
+
+            } catch (error) {
+                if (error instanceof PriceValidationError) {
+                    console.warn(`🚫 ${error.message}`);
+                    this.onRejected?.(api, error);
+                    return null;
+                }
+
+                console.warn(`⚠️ ${api.name} attempt ${attempt}/${this.maxAttempts} failed:`, error.message);
+                this.onAttemptFailed?.(api, attempt, error);
+
+                if (attempt < this.maxAttempts) {
+                    this.onWaiting?.(api, this.retryDelay * attempt, 'attempt');
+                    await this.sleep(this.retryDelay * attempt);
+                }
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Gets daily prices between two dates (YYYY-MM-DD, inclusive) from the
+     * providers with a `history` URL, in priority order. Ranges longer than a
+     * provider's `max-days` are split into several requests, and any request
+     * that fails is retried with the next provider.
+     * Returns { prices: [{ date, price, source }], missing: [[start, end]] }.
+     */
+    async getHistory(config, start, end) {
+        const apis = config.providers.filter(api => api.history?.url);
+        const prices = [];
+        let missing = [[start, end]];
+
+        if (apis.length === 0) {
+            console.warn(`⚠️ No available ${config.asset} API has a history URL`);
+        }
+
+        for (const api of apis) {
+            const ranges = missing.flatMap(([from, to]) => PriceProvider.splitRange(from, to, api.history['max-days']));
+            missing = [];
+
+            for (const [from, to] of ranges) {
+                const entries = await this.tryHistory(api, from, to, config.validation);
+
+                if (entries) {
+                    prices.push(...entries);
+                } else {
+                    missing.push([from, to]);
+                }
+            }
+
+            if (missing.length === 0) break;
+        }
+
+        return {
+            prices: prices.sort((a, b) => a.date.localeCompare(b.date)),
+            missing
+        };
+    }
+
+    /**
+     * Splits a date range into consecutive ranges of at most `maxDays` days
+     */
+    static splitRange(start, end, maxDays = null) {
+        if (!maxDays) return [[start, end]];
+
+        const ranges = [];
+        const day = 24 * 60 * 60 * 1000;
+        let from = new Date(`${start}T00:00:00Z`);
+        const last = new Date(`${end}T00:00:00Z`);
+
+        while (from <= last) {
+            const to = new Date(Math.min(from.getTime() + (maxDays - 1) * day, last.getTime()));
+            ranges.push([from.toISOString().slice(0, 10), to.toISOString().slice(0, 10)]);
+            from = new Date(to.getTime() + day);
+        }
+
+        return ranges;
+    }
+
+    /**
+     * Fetches one range of daily prices from an API's `history` URL, with retries.
+     * Prices that break the validation rules are left out.
+     */
+    async tryHistory(api, start, end, validation = {}) {
+        const history = api.history;
+        const url = history.url.replaceAll('{start}', start).replaceAll('{end}', end);
+
+        // Validation rules such as required "price-path" apply to each entry of the series
+        const entryApi = { ...api, url, 'price-path': history['price-path'], 'time-path': history['date-path'] };
+
+        for (let attempt = 1; attempt <= this.maxAttempts; attempt++) {
+            try {
+                const data = await this.fetchJSON(this.buildAPIUrl(entryApi), api.headers || {});
+                const series = this.extractValue(data, history['series-path'] || '$', api);
+
+                if (!series || typeof series !== 'object') {
+                    throw new Error(`No price series at "${history['series-path']}"`);
+                }
+
+                // A series is either an object keyed by date or a list with a `date-path`
+                const items = Array.isArray(series)
+                    ? series.map(item => [Utils.parseTimestamp(this.extractValue(item, history['date-path'], api)), item])
+                    : Object.entries(series).map(([date, item]) => [Utils.parseTimestamp(date), item]);
+
+                const prices = [];
+
+                for (const [timestamp, item] of items) {
+                    const date = timestamp?.toISOString().slice(0, 10);
+                    const price = this.extractPrice(item, entryApi);
+
+                    if (!date || date < start || date > end || price === null) continue;
+
+                    try {
+                        this.validatePrice(price, item, entryApi, { validation });
+                        prices.push({ date, price, source: api.name });
+                    } catch (error) {
+                        if (!(error instanceof PriceValidationError)) throw error;
+
+                        console.warn(`🚫 ${error.message} (${date})`);
+                        this.onRejected?.(api, error);
+                    }
+                }
+
+                console.log(`📜 ${api.name}: ${prices.length} prices from ${start} to ${end}`);
+                return prices;
+
+            } catch (error) {
+                console.warn(`⚠️ ${api.name} history attempt ${attempt}/${this.maxAttempts} failed:`, error.message);
+                this.onAttemptFailed?.(api, attempt, error);
+
+                if (attempt < this.maxAttempts) {
+                    await this.sleep(this.retryDelay * attempt);
+                }
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Fetches a JSON document with a timeout
+     */
+    async fetchJSON(url, headers = {}) {
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+
+        try {
+            const response = await this.fetch(url, {
+                signal: controller.signal,
+                headers: headers
+            });
+
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+
+            return await response.json();
+        } finally {
+            clearTimeout(timeoutId);
+        }
+    }
+}
@@ -0,0 +1,128 @@
+/**
+ * Polls for a new price on an interval while the page is visible.
+ *
+ * `fetchPrice()` resolves to a price result; a result that is missing or only
+ * a last known price counts as a failure, and each failure in a row doubles
+ * the wait (up to `maxIntervalMinutes`) so providers that are down aren't
+ * hammered. `onPrice(result)` is called with every live or delayed price.
+ */
+export class PriceRefresher {
+    static MIN_INTERVAL_MINUTES = 1;
+
+    constructor({ intervalMinutes, fetchPrice, onPrice, maxIntervalMinutes = 60, document = globalThis.document }) {
+        this.intervalMinutes = Math.max(intervalMinutes, PriceRefresher.MIN_INTERVAL_MINUTES);
+        this.maxIntervalMinutes = Math.max(maxIntervalMinutes, this.intervalMinutes);
+        this.fetchPrice = fetchPrice;
+        this.onPrice = onPrice;
+        this.document = document;
+        this.failures = 0;
+        this.timer = null;
+        this.nextPollAt = null;
+        this.polling = false;
+        this.handleVisibility = () => this.document.hidden ? this.pause() : this.resume();
+    }
+
+    /**
+     * Reads a refresh interval in minutes from a setting such as "5", "on" or "off".
+     * Returns null when refreshing is off or the setting is invalid.
+     */
+    static parseInterval(value, defaultMinutes = 5) {
+        if (value === undefined || value === null || value === '' || value === false) return null;
+        if (value === true || value === 'on' || value === 'true') return defaultMinutes;
+        if (value === 'off' || value === 'false') return null;
+
+        const minutes = Number(value);
+
+        if (!Number.isFinite(minutes) || minutes <= 0) {
+            console.warn(`⚠️ Ignoring invalid refresh interval "${value}"`);
+            return null;
+        }
+
+        return Math.max(minutes, PriceRefresher.MIN_INTERVAL_MINUTES);
+    }
+
+    /**
+     * Starts polling after one interval
+     */
+    start() {
+        this.document?.addEventListener('visibilitychange', this.handleVisibility);
+        console.log(`🔁 Refreshing the price every ${this.intervalMinutes} minutes`);
+
+        if (!this.document?.hidden) this.schedule(this.currentInterval());
+    }
+
+    /**
+     * Stops polling for good
+     */
+    stop() {
+        this.document?.removeEventListener('visibilitychange', this.handleVisibility);
+        this.pause();
+        this.nextPollAt = null;
+    }
+
+    /**
+     * Stops the timer while the tab is hidden, remembering when the next poll was due
+     */
+    pause() {
+        clearTimeout(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Restarts the timer when the tab is shown again, polling at once if a poll is overdue
+     */
+    resume() {
+        if (this.timer || this.polling) return;
+
+        const due = this.nextPollAt ? this.nextPollAt - Date.now() : 0;
+        this.schedule(Math.max(0, due) / 60000);
+    }
+
+    /**
+     * Gets the wait before the next poll, doubled for each failure in a row
+     */
+    currentInterval() {
+        return Math.min(this.intervalMinutes * 2 ** this.failures, this.maxIntervalMinutes);
+    }
+
+    /**
+     * Sets the timer for the next poll
+     */
+    schedule(minutes) {
+        clearTimeout(this.timer);
+        this.nextPollAt = Date.now() + minutes * 60000;
+        this.timer = setTimeout(() => this.poll(), minutes * 60000);
+    }
+
+    /**
+     * Fetches a price, hands it on and schedules the next poll
+     */
+    async poll() {
+        this.timer = null;
+        this.polling = true;
+
+        try {
+            const result = await this.fetchPrice();
+
+            if (result?.price && !result.isLastKnown) {
+                this.failures = 0;
+                this.onPrice(result);
+            } else {
+                this.failures++;
+                console.warn(`⚠️ Price refresh failed, next try in ${this.currentInterval()} minutes`);
+            }
+        } catch (error) {
+            this.failures++;
+            console.warn(`⚠️ Price refresh failed, next try in ${this.currentInterval()} minutes:`, error);
+        } finally {
+            this.polling = false;
+        }
+
+        if (this.nextPollAt !== null && !this.document?.hidden) {
+            this.schedule(this.currentInterval());
+        } else if (this.nextPollAt !== null) {
+            // Hidden while polling: the next poll is due as soon as the tab is shown
+            this.nextPollAt = Date.now();
+        }
+    }
+}
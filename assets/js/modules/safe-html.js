@@ -0,0 +1,55 @@
+/**
+ * Markup built with the `html` tagged template. Every value interpolated into
+ * the template is escaped, so names from recipients.json, provider names and
+ * error messages always render as text. Values that are themselves SafeHTML
+ * (or lists of SafeHTML) are inserted as they are, which is how templates nest.
+ *
+ *   const { html } = SafeHTML;
+ *   element.innerHTML = html`<strong>${config.recipientName}</strong>`;
+ */
+export class SafeHTML {
+    static ESCAPES = {
+        '&': '&amp;',
+        '<': '&lt;',
+        '>': '&gt;',
+        '"': '&quot;',
+        "'": '&#39;',
+        '`': '&#96;'
+    };
+
+    constructor(markup) {
+        this.markup = markup;
+    }
+
+    toString() {
+        return this.markup;
+    }
+
+    /**
+     * Escapes a value for use in HTML text or a quoted attribute
+     */
+    static escape(value) {
+        return String(value ?? '').replace(/[&<>"'`]/g, char => SafeHTML.ESCAPES[char]);
+    }
+
+    /**
+     * Tagged template that escapes its values. null, undefined and false insert nothing.
+     */
+    static html(strings, ...values) {
+        const markup = strings.reduce((result, string, i) =>
+            result + string + (i < values.length ? SafeHTML.toMarkup(values[i]) : ''), '');
+
+        return new SafeHTML(markup);
+    }
+
+    /**
+     * Converts an interpolated value to markup
+     */
+    static toMarkup(value) {
+        if (value instanceof SafeHTML) return value.markup;
+        if (Array.isArray(value)) return value.map(SafeHTML.toMarkup).join('');
+        if (value === null || value === undefined || value === false) return '';
+
+        return SafeHTML.escape(value);
+    }
+}
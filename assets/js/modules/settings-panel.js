@@ -0,0 +1,94 @@
+import { SafeHTML } from './safe-html.js';
+import { I18n } from './i18n.js';
+
+const { html } = SafeHTML;
+
+/**
+ * Small settings panel for entering API keys, shown below the gift page.
+ * Keys go straight into the KeyStore; the inputs never show a saved key.
+ */
+export class SettingsPanel {
+    constructor(container, keyStore, onSave = null) {
+        this.container = container;
+        this.keyStore = keyStore;
+        this.onSave = onSave;
+        this.i18n = new I18n(I18n.browserLocale());
+    }
+
+    /**
+     * Renders a password input for each key name, or nothing if no provider
+     * needs a key, in the language of `i18n` (the page's, once it is known)
+     */
+    render(names, i18n = this.i18n) {
+        if (!this.container) return;
+
+        this.i18n = i18n;
+
+        if (names.length === 0) {
+            this.container.innerHTML = '';
+            return;
+        }
+
+        const inputs = names.map(name => html`
+            <label>
+                <span>${name}</span>
+                <input type="password" name="${name}" autocomplete="off" spellcheck="false"
+                    placeholder="${i18n.t(this.keyStore.get(name) ? 'settings.saved' : 'settings.notSet')}">
+            </label>
+        `);
+
+        this.container.innerHTML = html`
+            <details class="settings">
+                <summary>${i18n.t('settings.title')}</summary>
+                <form class="settings-form">
+                    <p>${i18n.html('settings.about', { file: html`<code>data/apis.json</code>` })}</p>
+                    ${inputs}
+                    <div class="settings-actions">
+                        <button type="submit">${i18n.t('settings.save')}</button>
+                        <button type="button" data-settings-action="clear">${i18n.t('settings.forget')}</button>
+                    </div>
+                    <div class="settings-status" aria-live="polite"></div>
+                </form>
+            </details>
+        `;
+
+        const form = this.container.querySelector('form');
+
+        form.addEventListener('submit', event => {
+            event.preventDefault();
+            this.save(form, names);
+        });
+
+        form.querySelector('[data-settings-action="clear"]').addEventListener('click', () => {
+            this.keyStore.clear();
+            this.render(names);
+            this.showStatus(i18n.t('settings.forgotten'));
+            this.onSave?.();
+        });
+    }
+
+    /**
+     * Stores the keys typed into the form; blank inputs keep the saved key
+     */
+    save(form, names) {
+        const entered = names.filter(name => form.elements[name].value.trim());
+
+        entered.forEach(name => this.keyStore.set(name, form.elements[name].value.trim()));
+
+        this.render(names);
+        this.showStatus(entered.length > 0
+            ? this.i18n.t('settings.savedKeys', { names: this.i18n.formatList(entered) })
+            : this.i18n.t('settings.nothing'));
+
+        if (entered.length > 0) this.onSave?.();
+    }
+
+    /**
+     * Shows a short message under the form
+     */
+    showStatus(message) {
+        const status = this.container.querySelector('.settings-status');
+        if (status) status.textContent = message;
+        this.container.querySelector('details')?.setAttribute('open', '');
+    }
+}
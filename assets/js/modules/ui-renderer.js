@@ -1,27 +1,68 @@
 import { Utils } from './utils.js';
+import { Portfolio } from './portfolio.js';
+import { FXRates } from './fx-rates.js';
+import { PriceHistory } from './price-history.js';
+import { SafeHTML } from './safe-html.js';
+import { Certificate } from './certificate.js';
+import { I18n } from './i18n.js';
+import { ConfigValidator } from './config-validator.js';
+
+const { html } = SafeHTML;
 
 /**
- * Handles all UI rendering and DOM manipulation
+ * Handles all UI rendering and DOM manipulation. Markup is built with the
+ * escaping `html` template, so names and messages are always shown as text.
+ * Text and formats come from `this.i18n`, in the recipient's locale.
  */
 export class UIRenderer {
+    // Button labels are the chart.ranges and chart.modes messages
+    static CHART_RANGES = [
+        { id: '7d', days: 7, resolution: 'intraday' },
+        { id: '1m', months: 1 },
+        { id: '6m', months: 6 },
+        { id: '1y', months: 12 },
+        { id: 'gift' },
+        { id: 'all' }
+    ];
+
+    static CHART_MODES = [
+        { id: 'price' },
+        { id: 'value' }
+    ];
+
     constructor() {
         this.contentDiv = document.getElementById('content');
+        this.chart = null;
+
+        // Prices from auto-refresh, oldest first, added to the end of the chart
+        this.livePoints = [];
+        this.i18n = new I18n(I18n.browserLocale());
     }
 
     /**
-     * Shows loading state with retry indicators
+     * Sets the language and formats, from a recipient's `locale` or else the browser's
      */
-    showLoadingWithRetry(currentAttempt, maxAttempts, status = 'trying') {
-        if (!this.contentDiv?.classList.contains('loading')) return;
-
-        const messages = {
-            trying: `Fetching live price data (API ${currentAttempt}/${maxAttempts})`,
-            waiting: `API ${currentAttempt}/${maxAttempts} failed, trying next...`
-        };
+    setLocale(locale) {
+        this.i18n = new I18n(locale || I18n.browserLocale());
+        document.documentElement.lang = this.i18n.locale;
+    }
 
+    /**
+     * Shows live price progress: on the loading screen while nothing has been
+     * rendered yet, otherwise in the gift page's status line
+     */
+    showLoadingWithRetry(currentAttempt, maxAttempts, status = 'trying', source = null) {
+        const attempt = { attempt: currentAttempt, total: maxAttempts, source };
+        const api = this.i18n.t(source ? 'loading.apiFrom' : 'loading.api', attempt);
         const retryInfo = currentAttempt === 0
-            ? 'Connecting to price data sources'
-            : messages[status] || messages.trying;
+            ? this.i18n.t('loading.connecting')
+            : this.i18n.t(`loading.${['retrying', 'waiting'].includes(status) ? status : 'trying'}`, { ...attempt, api });
+
+        if (!this.contentDiv?.classList.contains('loading')) {
+            const statusLine = this.contentDiv?.querySelector('.live-status');
+            if (statusLine) statusLine.textContent = `${retryInfo}...`;
+            return;
+        }
 
         const progressDots = Array.from(
             { length: maxAttempts },
@@ -29,13 +70,13 @@ export class UIRenderer {
                 let state = 'pending';
                 if (i < currentAttempt - 1) state = 'completed';
                 else if (i === currentAttempt - 1) state = 'current';
-                return `<div class="retry-dot ${state}"></div>`;
+                return html`<div class="retry-dot ${state}"></div>`;
             }
-        ).join('');
+        );
 
-        this.contentDiv.innerHTML = `
+        this.contentDiv.innerHTML = html`
             <div class="loading-retry">
-                Loading your silver gift...
+                ${this.i18n.t('loading.gift')}
                 <div class="retry-info">${retryInfo}</div>
                 <div class="retry-progress">${progressDots}</div>
             </div>
@@ -47,30 +88,334 @@ export class UIRenderer {
      */
     clearLoading() {
         if (this.contentDiv?.classList.contains('loading')) {
-            this.contentDiv.innerHTML = `
+            this.contentDiv.innerHTML = html`
                 <div class="loading">
-                    Loading your silver gift...
+                    ${this.i18n.t('loading.gift')}
                 </div>
             `;
+        } else {
+            const statusLine = this.contentDiv?.querySelector('.live-status');
+            if (statusLine) statusLine.textContent = '';
         }
     }
 
     /**
-     * Renders the main gift page
+     * Shows the APIManager's progress while it fetches a live price for an
+     * asset such as XAG. Returns a function that stops listening.
      */
-    renderGiftPage(config, dailyPrices, currentPriceData) {
+    trackPriceProgress(apiManager, asset) {
+        let provider = { index: 0, total: 1 };
+
+        return apiManager.onProgress(event => {
+            if (event.asset !== asset) return;
+
+            switch (event.type) {
+                case 'provider-started':
+                    provider = event;
+                    this.showLoadingWithRetry(event.index + 1, event.total, 'trying', event.source);
+                    break;
+                case 'attempt-failed':
+                    if (event.attempt < event.maxAttempts) {
+                        this.showLoadingWithRetry(provider.index + 1, provider.total, 'retrying', event.source);
+                    }
+                    break;
+                case 'waiting':
+                    if (event.next === 'provider') {
+                        this.showLoadingWithRetry(provider.index + 1, provider.total, 'waiting');
+                    }
+                    break;
+                case 'succeeded':
+                case 'failed':
+                    this.clearLoading();
+                    break;
+            }
+        });
+    }
+
+    /**
+     * Renders the main gift page. `priceHistory` is { resolution, prices } from
+     * DataManager.loadPriceHistory, starting at the first gift, and
+     * `loadHistory(fromDate, resolution)` loads other ranges for the chart's
+     * range buttons. `currentPriceData.previousClose` gives today's change.
+     * `fx` ({ currency, rate, history }) sets the currency values are shown in;
+     * without it they are shown in US dollars. An `fx` in US dollars with a
+     * `missing` currency notes that values are in dollars until its rate arrives.
+     */
+    renderGiftPage(config, metal, priceHistory, currentPriceData, fx = null, loadHistory = null) {
         this.contentDiv.classList.remove('loading');
+        this.page = { config, metal, priceHistory, fx, loadHistory, currentPriceData };
+        this.metal = metal;
+        this.fx = fx || { currency: FXRates.BASE, rate: 1, history: [] };
 
-        const timeDescription = Utils.getTimeDifference(config.giftDate);
-        const silverAmount = parseFloat(config.silverAmount);
-        const silverDescription = silverAmount === 1 ? '1 oz of Silver' : `${config.silverAmount} oz of Silver`;
-        const formattedGiftDate = Utils.formatBritishDate(config.giftDate);
+        const gifts = Portfolio.getGifts(config);
+
+        this.contentDiv.innerHTML = html`
+            <div class="live-status" aria-live="polite"></div>
+            <div class="gift-summary">${this.createSummary(config, metal, currentPriceData)}</div>
+            <div class="gift-actions">
+                <button type="button" data-action="certificate">${this.i18n.t('certificate.button')}</button>
+            </div>
+            <div class="gift-certificate"></div>
+            ${this.createChartSection()}
+        `;
+
+        this.contentDiv.querySelector('[data-action="certificate"]').addEventListener('click', () => this.showCertificate());
+
+        this.chartState = {
+            recipientName: config.recipientName,
+            gifts: Portfolio.summarise(gifts, null, this.fx).gifts,
+            history: priceHistory,
+            range: 'gift',
+            mode: 'price',
+            loadHistory
+        };
+        this.bindChartControls();
+        this.createChart(priceHistory, config.recipientName, metal);
+    }
 
+    /**
+     * Creates the greeting, value and gain text (and gift table) for the current price
+     */
+    createSummary(config, metal, currentPriceData) {
+        const gifts = Portfolio.getGifts(config);
         const statusIcon = this.createStatusIcon(currentPriceData);
-        const content = this.createGiftContent(config, currentPriceData, timeDescription, silverDescription, formattedGiftDate, statusIcon);
 
-        this.contentDiv.innerHTML = content;
-        this.createChart(dailyPrices, config.recipientName);
+        if (gifts.length > 1) {
+            return this.createPortfolioContent(config, gifts, metal, currentPriceData, statusIcon);
+        }
+
+        const gift = { recipientName: config.recipientName, ...gifts[0] };
+        const timeDescription = this.i18n.describeTimeSince(gift.giftDate);
+        const metalDescription = this.describeAmount(gift.quantity, metal);
+        const formattedGiftDate = this.i18n.formatDate(gift.giftDate);
+
+        return this.createGiftContent(gift, metal, currentPriceData, timeDescription, metalDescription, formattedGiftDate, statusIcon);
+    }
+
+    /**
+     * Updates the value, gain text and status icon for a refreshed price
+     * without rebuilding the page, and adds the price to the end of the chart
+     */
+    showRefreshedPrice(currentPriceData) {
+        const summary = this.contentDiv.querySelector('.gift-summary');
+        if (!this.page || !summary) return;
+
+        const { config, metal } = this.page;
+        summary.innerHTML = this.createSummary(config, metal, currentPriceData);
+        this.page.currentPriceData = currentPriceData;
+
+        const { price, timestamp, isLastKnown } = currentPriceData;
+        const latest = this.livePoints[this.livePoints.length - 1];
+
+        if (price && timestamp && !isLastKnown && (!latest || timestamp > latest.timestamp)) {
+            this.livePoints.push({ timestamp, price });
+            this.updateChart();
+        }
+    }
+
+    /**
+     * Adds the refreshed prices to the end of a chart series: as new points for
+     * intraday samples, otherwise as the latest close of their day, week or month
+     */
+    withLivePrice(prices, resolution) {
+        if (prices.length === 0) return prices;
+
+        return this.livePoints.reduce((series, live) => {
+            const last = series[series.length - 1];
+
+            if (resolution === 'intraday') {
+                return live.timestamp > last.date ? [...series, { date: live.timestamp, price: live.price }] : series;
+            }
+
+            const period = PriceHistory.periodStart(live.timestamp.slice(0, 10), resolution);
+
+            if (period < last.date) return series;
+            if (period === last.date) return [...series.slice(0, -1), { ...last, price: live.price, close: live.price }];
+
+            return [...series, { date: period, price: live.price, close: live.price }];
+        }, prices);
+    }
+
+    /**
+     * Re-renders the gift page with a new current price, such as a live quote
+     * arriving after the page was shown with the last known one. The chart
+     * keeps its selected range and mode.
+     */
+    updateCurrentPrice(currentPriceData) {
+        this.rerenderGiftPage({ currentPriceData });
+    }
+
+    /**
+     * Re-renders the gift page in a new exchange rate, such as a live rate
+     * arriving after the page was shown with the stored one
+     */
+    updateExchangeRate(fx) {
+        this.rerenderGiftPage({ fx });
+    }
+
+    /**
+     * Re-renders the gift page with some of its inputs replaced, keeping the
+     * chart's selected range and mode
+     */
+    rerenderGiftPage(changes) {
+        if (!this.page) return;
+
+        const { config, metal, priceHistory, currentPriceData, fx, loadHistory } = { ...this.page, ...changes };
+        const { range, mode, history } = this.chartState;
+
+        this.renderGiftPage(config, metal, priceHistory, currentPriceData, fx, loadHistory);
+
+        if (range !== this.chartState.range || mode !== this.chartState.mode) {
+            Object.assign(this.chartState, { range, mode, history });
+            this.markActiveButton('range', range);
+            this.markActiveButton('mode', mode);
+            this.createChart(history, config.recipientName, metal);
+        }
+    }
+
+    /**
+     * Gathers what the gift certificate shows from the rendered gift page
+     */
+    getCertificateDetails() {
+        const { config, metal, priceHistory, currentPriceData } = this.page;
+        const gifts = Portfolio.getGifts(config);
+        const summary = Portfolio.summarise(gifts, currentPriceData?.price ?? null, this.fx);
+        const givers = [...new Set(gifts.map(gift => gift.giverName))];
+        const first = this.i18n.formatDate(gifts[0].giftDate);
+        const last = this.i18n.formatDate(gifts[gifts.length - 1].giftDate);
+        const prices = FXRates.convertSeries(this.withLivePrice(priceHistory.prices, priceHistory.resolution), this.fx.history, this.fx.currency);
+
+        return {
+            recipientName: config.recipientName,
+            giverNames: this.i18n.formatList(givers),
+            amount: this.describeAmount(gifts.length > 1 ? Utils.createQuantity(1, summary.totalOunces, 'oz') : gifts[0].quantity, metal),
+            given: first === last ? this.i18n.t('certificate.on', { date: first }) : this.i18n.t('certificate.between', { first, last }),
+            value: summary.currentValue === null ? null : this.formatMoney(summary.currentValue),
+            change: summary.change === null
+                ? null
+                : this.i18n.t('certificate.change', { change: this.describeChange(summary.change), cost: this.formatMoney(summary.costBasis) }),
+            changePercent: summary.change,
+            pricePerOunce: currentPriceData?.price ? this.formatMoney(currentPriceData.price * this.fx.rate) : null,
+            valuedOn: this.i18n.formatDate(new Date().toISOString().slice(0, 10)),
+            metal,
+            prices: prices.map(entry => entry.price),
+            baseline: summary.costBasis === null ? null : summary.costBasis / summary.costedOunces
+        };
+    }
+
+    /**
+     * Shows the gift certificate with buttons to print it or save it as a PNG or PDF
+     */
+    showCertificate() {
+        const slot = this.contentDiv.querySelector('.gift-certificate');
+        if (!slot || !this.page) return;
+
+        const details = this.getCertificateDetails();
+        const certificate = new Certificate(details, this.i18n);
+        const canvas = certificate.draw();
+        const filename = `gift-certificate-${details.recipientName.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'gift'}`;
+
+        slot.innerHTML = html`
+            <figure class="certificate-view">
+                <img class="certificate-image" src="${canvas.toDataURL('image/png')}" alt="${this.i18n.t('certificate.alt', { name: details.recipientName })}">
+                <figcaption class="certificate-actions">
+                    <button type="button" data-certificate="print">${this.i18n.t('certificate.print')}</button>
+                    <button type="button" data-certificate="png">⬇️ PNG</button>
+                    <button type="button" data-certificate="pdf">⬇️ PDF</button>
+                    <button type="button" data-certificate="close">${this.i18n.t('certificate.close')}</button>
+                </figcaption>
+            </figure>
+        `;
+
+        const actions = {
+            print: () => {
+                document.body.classList.add('printing-certificate');
+                window.addEventListener('afterprint', () => document.body.classList.remove('printing-certificate'), { once: true });
+                window.print();
+            },
+            png: async () => Certificate.download(await certificate.toPNG(canvas), `${filename}.png`),
+            pdf: async () => Certificate.download(await certificate.toPDF(canvas), `${filename}.pdf`),
+            close: () => { slot.innerHTML = ''; }
+        };
+
+        slot.querySelectorAll('[data-certificate]').forEach(button => {
+            button.addEventListener('click', () => Promise.resolve(actions[button.dataset.certificate]()).catch(error => {
+                console.error('❌ Certificate export failed:', error);
+            }));
+        });
+
+        slot.scrollIntoView?.({ behavior: 'smooth', block: 'start' });
+    }
+
+    /**
+     * Formats an amount already converted into the display currency
+     */
+    formatMoney(amount) {
+        return this.i18n.formatCurrency(amount, this.fx.currency);
+    }
+
+    /**
+     * Describes the current metal price per ounce in the display currency,
+     * with its change since the previous day's close for a live or delayed price
+     */
+    describePrice(metal, currentPriceData) {
+        const { price, previousClose, isLastKnown } = currentPriceData;
+        const description = this.i18n.t('price.description', { metal: this.i18n.metal(metal), price: this.formatMoney(price * this.fx.rate) });
+
+        if (isLastKnown || !previousClose?.price) return this.i18n.t('price.only', { description });
+
+        const change = Portfolio.calculateChange(price, previousClose.price);
+        return this.i18n.t('price.withChange', { description, change: this.i18n.formatPercent(change, { signed: true }) });
+    }
+
+    /**
+     * Notes when a gift predates the stored exchange rates, so its cost was
+     * converted at a later rate than the one on the day it was given
+     */
+    createFXNote(rows) {
+        if (this.fx.missing) {
+            return html`<br><small>${this.i18n.t('gift.fxMissing', { currency: this.fx.missing })}</small>`;
+        }
+
+        const approximate = rows.filter(row => row.rateDate && row.rateDate > row.giftDate);
+        if (approximate.length === 0) return '';
+
+        const firstRateDate = this.i18n.formatDate(approximate[0].rateDate);
+        return html`<br><small>${this.i18n.t('gift.fxNote', { currency: this.fx.currency, date: firstRateDate })}</small>`;
+    }
+
+    /**
+     * Describes an amount of metal in the unit it was given in, e.g. "5 oz of Silver"
+     */
+    describeAmount(quantity, metal) {
+        return this.i18n.t('gift.amount', { quantity: this.i18n.formatQuantity(quantity), metal: this.i18n.metal(metal) });
+    }
+
+    /**
+     * Describes a percentage change, e.g. "an increase of 4.2%"
+     */
+    describeChange(changePercent) {
+        const change = Math.round(changePercent * 10) / 10;
+        const percent = this.i18n.formatPercent(Math.abs(change));
+        return this.i18n.t(change >= 0 ? 'change.increase' : 'change.decrease', { percent });
+    }
+
+    /**
+     * Gets the label and CSS class for the value, based on how fresh the price is
+     */
+    getPriceLabel(currentPriceData) {
+        if (currentPriceData.isLastKnown) {
+            return { priceLabel: this.i18n.t('value.lastKnown'), priceClass: 'price last-known' };
+        }
+
+        if (currentPriceData.isDelayed) {
+            return {
+                priceLabel: this.i18n.t('value.delayed', { time: this.i18n.describeTimeAgo(currentPriceData.timestamp) }),
+                priceClass: 'price delayed'
+            };
+        }
+
+        return { priceLabel: this.i18n.t('value.current'), priceClass: 'price' };
     }
 
     /**
@@ -78,75 +423,226 @@ export class UIRenderer {
      */
     createStatusIcon(currentPriceData) {
         if (!currentPriceData?.price) {
-            return `
+            return html`
                 <div class="tooltip status-icon error">
-                    <span class="tooltiptext">No price data available</span>
+                    <span class="tooltiptext">${this.i18n.t('status.none')}</span>
                 </div>
             `;
         }
 
+        const { i18n } = this;
+        const source = { source: currentPriceData.source };
+        const time = { time: i18n.describeTimeAgo(currentPriceData.timestamp) };
         let iconClass, tooltipText;
 
         if (currentPriceData.isLive) {
             iconClass = 'reliable';
-            tooltipText = `Live price from ${currentPriceData.source}`;
+            tooltipText = i18n.t('status.live', source);
+        } else if (currentPriceData.isDelayed) {
+            iconClass = 'delayed';
+            tooltipText = html`${i18n.t('status.delayed', source)}<br>${i18n.t('status.quoted', time)}`;
         } else if (currentPriceData.isLastKnown) {
             iconClass = 'warning';
-            const timeAgo = Utils.getTimeAgo(currentPriceData.timestamp);
-            tooltipText = `Last known price from ${currentPriceData.source}<br>Updated: ${timeAgo}`;
+            tooltipText = html`${i18n.t('status.lastKnown', source)}<br>${i18n.t('status.updated', time)}`;
         } else {
             iconClass = 'warning';
-            tooltipText = `Cached price from ${currentPriceData.source}`;
+            tooltipText = i18n.t('status.cached', source);
         }
 
-        return `
+        const consensus = currentPriceData.consensus && this.createConsensusDetails(currentPriceData.consensus);
+
+        return html`
             <div class="tooltip status-icon ${iconClass}">
-                <span class="tooltiptext">${tooltipText}</span>
+                <span class="tooltiptext">${tooltipText}${consensus}</span>
             </div>
         `;
     }
 
+    /**
+     * Creates tooltip lines describing which sources agreed on a consensus price
+     */
+    createConsensusDetails(consensus) {
+        const { i18n } = this;
+        const formatDeviation = value => i18n.formatPercent(value, { signed: true, digits: 2 });
+        const formatUSD = price => i18n.formatCurrency(price, FXRates.BASE);
+
+        const lines = items => items.map((item, i) => html`${i > 0 ? html`<br>` : ''}${item}`);
+
+        const agreed = lines(consensus.sources
+            .map(s => `${s.source}: ${formatUSD(s.price)} (${formatDeviation(s.deviationPercent)})`));
+
+        const rejected = lines(consensus.rejected
+            .map(r => `${r.source}: ${formatUSD(r.price)} (${r.reason})`));
+
+        const heading = consensus.agreed
+            ? i18n.t('consensus.agreed', { count: consensus.sources.length, spread: i18n.formatPercent(consensus.spreadPercent, { digits: 2 }) })
+            : i18n.t('consensus.notEnough', { count: consensus.sources.length, required: consensus.minSources });
+
+        return html`<br><br>${heading}<br>${agreed}${rejected.length > 0 ? html`<br><br>${i18n.t('consensus.discarded')}<br>${rejected}` : ''}`;
+    }
+
     /**
      * Creates the main gift content HTML
      */
-    createGiftContent(config, currentPriceData, timeDescription, silverDescription, formattedGiftDate, statusIcon) {
+    createGiftContent(config, metal, currentPriceData, timeDescription, metalDescription, formattedGiftDate, statusIcon) {
+        const { i18n } = this;
+        const metalForms = i18n.metal(metal);
+        const age = Utils.getTimeDifference(config.giftDate);
+        const giver = html`<strong>${config.giverName}</strong>`;
+        const intro = html`
+            ${i18n.html('gift.hello', { name: html`<strong>${config.recipientName}</strong>` })}<br><br>
+            ${this.createAnniversary(age)}
+            ${age?.future
+                ? i18n.html('gift.arriving', { time: timeDescription, giver, amount: metalDescription })
+                : i18n.html('gift.gaveYou', { time: i18n.capitalise(timeDescription), giver, amount: metalDescription })}<br><br>
+        `;
+
         if (!currentPriceData?.price) {
-            return `
+            return html`
                 ${statusIcon}
                 <div class="message">
-                    Hello <strong>${config.recipientName}</strong>,<br><br>
-                    ${timeDescription}, <strong>${config.giverName}</strong> gave you ${silverDescription}.<br><br>
-                    <strong>Silver price data is temporarily unavailable.</strong><br>
-                    Your silver is still valuable - we just can't show the price right now.
-                </div>
-                <div class="chart-container">
-                    <canvas id="priceChart"></canvas>
+                    ${intro}
+                    <strong>${i18n.t('gift.unavailable', { metal: metalForms })}</strong><br>
+                    ${i18n.t('gift.stillValuable', { metal: metalForms })}
                 </div>
             `;
         }
 
-        const currentValue = currentPriceData.price;
-        const initialValue = config.initialPrice;
-        const change = ((currentValue - initialValue) / initialValue * 100).toFixed(1);
-        const changeText = change >= 0 ? `an increase of ${change}%` : `a decrease of ${Math.abs(change)}%`;
+        const summary = Portfolio.summarise([config], currentPriceData.price, this.fx);
+        const { priceLabel, priceClass } = this.getPriceLabel(currentPriceData);
 
-        const silverOz = parseFloat(config.silverAmount);
-        const totalCurrentValue = (currentValue * silverOz).toFixed(2);
+        // A gift still to come may not have a price yet to compare with
+        let changeText = '';
 
-        const priceLabel = currentPriceData.isLastKnown ? 'Last known value' : 'Current value';
-        const priceClass = currentPriceData.isLastKnown ? 'price last-known' : 'price';
+        if (summary.change !== null) {
+            const change = this.describeChange(summary.change);
 
-        return `
+            changeText = html`${age?.future
+                ? i18n.t('gift.changeOnCost', { change, cost: this.formatMoney(summary.costBasis) })
+                : i18n.t('gift.changeSince', { change, date: formattedGiftDate })}<br>`;
+        }
+
+        return html`
             ${statusIcon}
             <div class="message">
-                Hello <strong>${config.recipientName}</strong>,<br><br>
-                ${timeDescription}, <strong>${config.giverName}</strong> gave you ${silverDescription}.<br><br>
-                ${priceLabel} of that silver:
+                ${intro}
+                ${i18n.t('gift.valueOfThat', { label: priceLabel, metal: metalForms })}
             </div>
-            <div class="${priceClass}">${Utils.formatCurrency(totalCurrentValue)}</div>
+            <div class="${priceClass}">${this.formatMoney(summary.currentValue)}</div>
             <div class="message">
-                That's ${changeText} since ${formattedGiftDate}!<br>
-                <small>(Silver price: $${currentValue.toFixed(2)}/oz)</small>
+                ${changeText}
+                <small>${this.describePrice(metal, currentPriceData)}</small>${this.createFXNote(summary.gifts)}
+            </div>
+        `;
+    }
+
+    /**
+     * Creates a greeting for the anniversary of a gift, when today is one
+     */
+    createAnniversary(age) {
+        if (!age || age.future || age.years === 0 || age.months !== 0 || age.days !== 0) return '';
+
+        const greeting = this.i18n.t('gift.anniversary', { count: age.years, ordinal: this.i18n.formatOrdinal(age.years) });
+        return html`<strong>🎉 ${greeting}</strong><br><br>`;
+    }
+
+    /**
+     * Creates the gift page content for a recipient with several gifts
+     */
+    createPortfolioContent(config, gifts, metal, currentPriceData, statusIcon) {
+        const { i18n } = this;
+        const metalForms = i18n.metal(metal);
+        const totalOunces = gifts.reduce((sum, gift) => sum + gift.quantity.troyOunces, 0);
+        const intro = html`
+            ${i18n.html('gift.hello', { name: html`<strong>${config.recipientName}</strong>` })}<br><br>
+            ${i18n.t('gift.portfolio', {
+                date: i18n.formatDate(gifts[0].giftDate),
+                gifts: i18n.t('gift.gifts', { count: gifts.length }),
+                metal: metalForms,
+                total: i18n.formatQuantity(Utils.createQuantity(1, totalOunces, 'oz'))
+            })}<br><br>
+        `;
+
+        if (!currentPriceData?.price) {
+            return html`
+                ${statusIcon}
+                <div class="message">
+                    ${intro}
+                    <strong>${i18n.t('gift.unavailable', { metal: metalForms })}</strong><br>
+                    ${i18n.t('gift.stillValuable', { metal: metalForms })}
+                </div>
+                ${this.createGiftTable(Portfolio.summarise(gifts, null, this.fx).gifts)}
+            `;
+        }
+
+        const summary = Portfolio.summarise(gifts, currentPriceData.price, this.fx);
+        const { priceLabel, priceClass } = this.getPriceLabel(currentPriceData);
+
+        return html`
+            ${statusIcon}
+            <div class="message">
+                ${intro}
+                ${i18n.t('gift.valueOfYours', { label: priceLabel, metal: metalForms })}
+            </div>
+            <div class="${priceClass}">${this.formatMoney(summary.currentValue)}</div>
+            <div class="message">
+                ${summary.change === null
+                    ? ''
+                    : html`${i18n.t('gift.changeOnCost', { change: this.describeChange(summary.change), cost: this.formatMoney(summary.costBasis) })}<br>`}
+                <small>${this.describePrice(metal, currentPriceData)}</small>${this.createFXNote(summary.gifts)}
+            </div>
+            ${this.createGiftTable(summary.gifts)}
+        `;
+    }
+
+    /**
+     * Creates a table listing each gift with its cost, value and change
+     */
+    createGiftTable(rows) {
+        const { i18n } = this;
+        const formatChange = change => change === null || isNaN(change)
+            ? '-'
+            : html`<span class="${change >= 0 ? 'gain' : 'loss'}">${i18n.formatPercent(change, { signed: true })}</span>`;
+
+        const body = rows.map(row => html`
+            <tr>
+                <td>${i18n.formatDate(row.giftDate)}</td>
+                <td>${row.giverName}</td>
+                <td>${i18n.formatQuantity(row.quantity)}</td>
+                <td>${row.priceThen ? i18n.t('price.perOunce', { price: this.formatMoney(row.priceThen) }) : '-'}</td>
+                <td>${row.value === null ? '-' : this.formatMoney(row.value)}</td>
+                <td>${formatChange(row.change)}</td>
+            </tr>
+        `);
+
+        return html`
+            <table class="gift-table">
+                <thead>
+                    <tr>
+                        <th>${i18n.t('table.date')}</th>
+                        <th>${i18n.t('table.from')}</th>
+                        <th>${i18n.t('table.amount')}</th>
+                        <th>${i18n.t('table.priceThen')}</th>
+                        <th>${i18n.t('table.valueNow')}</th>
+                        <th>${i18n.t('table.change')}</th>
+                    </tr>
+                </thead>
+                <tbody>${body}</tbody>
+            </table>
+        `;
+    }
+
+    /**
+     * Creates the chart with its range and price/value buttons
+     */
+    createChartSection() {
+        const buttons = (options, kind, labels, selected) => options
+            .map(option => html`<button type="button" data-chart-${kind}="${option.id}" class="${option.id === selected ? 'active' : ''}">${this.i18n.t(`${labels}.${option.id}`)}</button>`);
+
+        return html`
+            <div class="chart-controls">
+                <div class="chart-buttons">${buttons(UIRenderer.CHART_MODES, 'mode', 'chart.modes', 'price')}</div>
+                <div class="chart-buttons">${buttons(UIRenderer.CHART_RANGES, 'range', 'chart.ranges', 'gift')}</div>
             </div>
             <div class="chart-container">
                 <canvas id="priceChart"></canvas>
@@ -155,57 +651,195 @@ export class UIRenderer {
     }
 
     /**
-     * Creates price chart using Chart.js
+     * Wires up the chart's range and price/value buttons
+     */
+    bindChartControls() {
+        this.contentDiv.querySelectorAll('[data-chart-mode]').forEach(button => {
+            button.addEventListener('click', () => this.setChartMode(button.dataset.chartMode));
+        });
+
+        this.contentDiv.querySelectorAll('[data-chart-range]').forEach(button => {
+            button.addEventListener('click', () => this.setChartRange(button.dataset.chartRange));
+        });
+    }
+
+    /**
+     * Switches the chart between price per ounce and the value of the holding
+     */
+    setChartMode(mode) {
+        this.chartState.mode = mode;
+        this.markActiveButton('mode', mode);
+        this.createChart(this.chartState.history, this.chartState.recipientName, this.metal);
+    }
+
+    /**
+     * Loads and charts another time range
      */
-    createChart(dailyPrices, recipientName) {
+    async setChartRange(rangeId) {
+        const { loadHistory, gifts } = this.chartState;
+        if (!loadHistory) return;
+
+        const range = UIRenderer.CHART_RANGES.find(r => r.id === rangeId);
+        this.chartState.range = rangeId;
+        this.markActiveButton('range', rangeId);
+
+        const history = await loadHistory(this.getRangeStart(rangeId, gifts[0].giftDate), range?.resolution);
+
+        // Ignore a slow load if another range was picked in the meantime
+        if (this.chartState.range !== rangeId) return;
+
+        this.chartState.history = history;
+        this.createChart(history, this.chartState.recipientName, this.metal);
+    }
+
+    /**
+     * Gets the first date of a chart range, or null for all stored history
+     */
+    getRangeStart(rangeId, giftDate) {
+        if (rangeId === 'gift') return giftDate;
+
+        const range = UIRenderer.CHART_RANGES.find(r => r.id === rangeId);
+        const start = new Date();
+
+        if (range?.days) {
+            start.setUTCDate(start.getUTCDate() - range.days);
+        } else if (range?.months) {
+            start.setUTCMonth(start.getUTCMonth() - range.months);
+        } else {
+            return null;
+        }
+
+        return start.toISOString().slice(0, 10);
+    }
+
+    /**
+     * Highlights the selected button in a group of chart buttons
+     */
+    markActiveButton(kind, id) {
+        this.contentDiv.querySelectorAll(`[data-chart-${kind}]`).forEach(button => {
+            button.classList.toggle('active', button.getAttribute(`data-chart-${kind}`) === id);
+        });
+    }
+
+    /**
+     * Works out the ounces held and what they cost at each point of the chart.
+     * Weekly and monthly points count gifts made during their period.
+     */
+    getHoldings(prices, resolution) {
+        const { gifts } = this.chartState;
+
+        return prices.map(entry => {
+            const held = gifts.filter(gift => PriceHistory.periodStart(gift.giftDate, resolution) <= entry.date);
+            return {
+                ounces: held.reduce((sum, gift) => sum + gift.ounces, 0),
+                cost: held.reduce((sum, gift) => sum + gift.cost, 0)
+            };
+        });
+    }
+
+    /**
+     * Creates price chart using Chart.js, in the display currency. It shows
+     * either the price per ounce against what the metal cost per ounce, or the
+     * value of the recipient's holding against what it cost, with a marker at
+     * each gift. Weekly and monthly histories plot each period's closing price,
+     * and intraday histories each sample the collector kept.
+     */
+    createChart({ resolution, prices: history }, recipientName, metal) {
+        const { i18n } = this;
+        const currency = this.fx?.currency || FXRates.BASE;
+        const period = ['weekly', 'monthly'].includes(resolution) ? i18n.t(`chart.periods.${resolution}`) : '';
+        const mode = this.chartState?.mode || 'price';
+        const metalForms = i18n.metal(metal);
+
         try {
             if (typeof Chart === 'undefined') {
                 this.showFallbackChart();
                 return;
             }
 
-            if (!Array.isArray(dailyPrices) || dailyPrices.length === 0) {
-                this.showNoDataChart();
+            this.chart?.destroy();
+            this.chart = null;
+
+            if (!Array.isArray(history) || history.length === 0) {
+                const firstGift = this.chartState?.gifts[0];
+
+                if (Utils.getTimeDifference(firstGift?.giftDate)?.future) {
+                    this.showArrivingChart(firstGift.giftDate);
+                } else {
+                    this.showNoDataChart();
+                }
                 return;
             }
 
-            const ctx = document.getElementById('priceChart');
+            const ctx = this.getChartCanvas();
             if (!ctx) return;
 
-            new Chart(ctx, {
+            const { prices, labels, series } = this.getChartSeries(history, resolution);
+            const wording = mode === 'value'
+                ? {
+                    label: i18n.t('chart.value', { metal: metalForms, currency, period }),
+                    baselineLabel: i18n.t('chart.whatItCost'),
+                    axis: i18n.t('chart.valueAxis', { currency })
+                }
+                : {
+                    label: i18n.t('chart.price', { metal: metalForms, currency, period }),
+                    baselineLabel: i18n.t('chart.priceWhenGiven'),
+                    axis: i18n.t('chart.priceAxis', { currency })
+                };
+
+            const giftIndexes = this.chartState.gifts
+                .map(gift => PriceHistory.periodStart(gift.giftDate, resolution))
+                .filter(start => start >= prices[0].date)
+                .map(start => prices.findIndex(d => d.date >= start))
+                .filter(index => index !== -1);
+
+            this.chart = new Chart(ctx, {
                 type: 'line',
                 data: {
-                    labels: dailyPrices.map(d => d.date),
+                    labels,
                     datasets: [{
-                        label: 'Silver Price (USD/oz)',
-                        data: dailyPrices.map(d => d.price),
-                        borderColor: '#3498db',
-                        backgroundColor: 'rgba(52, 152, 219, 0.1)',
+                        label: wording.label,
+                        data: series.data,
+                        borderColor: metal.color,
+                        backgroundColor: metal.fill,
                         borderWidth: 2,
                         fill: true,
-                        tension: 0.1
+                        tension: 0.1,
+                        pointRadius: 0
+                    }, {
+                        label: wording.baselineLabel,
+                        data: series.baseline,
+                        borderColor: '#7f8c8d',
+                        borderDash: [6, 4],
+                        borderWidth: 1.5,
+                        fill: false,
+                        stepped: true,
+                        pointRadius: 0
                     }]
                 },
                 options: {
                     responsive: true,
                     maintainAspectRatio: false,
+                    locale: i18n.locale,
+                    interaction: { mode: 'index', intersect: false },
                     plugins: {
                         title: {
                             display: true,
-                            text: `Silver Price History - ${recipientName}'s Gift`
+                            text: i18n.t('chart.title', { metal: metalForms, name: recipientName })
                         },
                         legend: { display: true }
                     },
                     scales: {
                         y: {
                             beginAtZero: false,
-                            title: { display: true, text: 'Price (USD/oz)' }
+                            title: { display: true, text: wording.axis }
                         },
                         x: {
-                            title: { display: true, text: 'Date' }
+                            title: { display: true, text: i18n.t('chart.date') }
                         }
                     }
-                }
+                },
+                plugins: [this.createGiftMarkerPlugin(giftIndexes)]
             });
         } catch (error) {
             console.error('Error creating chart:', error);
@@ -213,14 +847,125 @@ export class UIRenderer {
         }
     }
 
+    /**
+     * Works out a chart's points in the display currency, with the refreshed
+     * prices added: { prices, labels, series: { data, baseline } }, where the
+     * series is the price or the holding's value as the chart's mode picks
+     */
+    getChartSeries(history, resolution) {
+        const prices = FXRates.convertSeries(this.withLivePrice(history, resolution), this.fx?.history, this.fx?.currency || FXRates.BASE);
+        const holdings = this.getHoldings(prices, resolution);
+        const firstGift = this.chartState.gifts[0];
+        const finite = values => values.map(value => Number.isFinite(value) ? value : null);
+
+        // Before the first gift the price baseline stays at that gift's price
+        const series = this.chartState.mode === 'value'
+            ? {
+                data: prices.map((d, i) => holdings[i].ounces > 0 ? d.price * holdings[i].ounces : null),
+                baseline: finite(holdings.map(h => h.ounces > 0 ? h.cost : null))
+            }
+            : {
+                data: prices.map(d => d.price),
+                baseline: finite(holdings.map(h => h.ounces > 0 ? h.cost / h.ounces : firstGift.priceThen))
+            };
+
+        return { prices, labels: prices.map(d => this.formatChartLabel(d.date, resolution)), series };
+    }
+
+    /**
+     * Puts the refreshed prices into the chart already drawn, updating its
+     * data in place rather than recreating it
+     */
+    updateChart() {
+        const { history, recipientName } = this.chartState;
+        const chart = this.chart;
+
+        if (!chart || !Array.isArray(history.prices) || history.prices.length === 0) {
+            this.createChart(history, recipientName, this.metal);
+            return;
+        }
+
+        try {
+            const { labels, series } = this.getChartSeries(history.prices, history.resolution);
+
+            chart.data.labels = labels;
+            chart.data.datasets[0].data = series.data;
+            chart.data.datasets[1].data = series.baseline;
+            chart.update('none');
+        } catch (error) {
+            console.error('Error updating chart:', error);
+            this.createChart(history, recipientName, this.metal);
+        }
+    }
+
+    /**
+     * Formats a chart point's date; intraday points show their local time
+     */
+    formatChartLabel(date, resolution) {
+        if (resolution !== 'intraday') return date;
+
+        return this.i18n.formatDateTime(date, {
+            day: 'numeric',
+            month: 'short',
+            hour: '2-digit',
+            minute: '2-digit'
+        });
+    }
+
+    /**
+     * Gets the chart canvas, putting it back if a message replaced it
+     */
+    getChartCanvas() {
+        const chartContainer = document.querySelector('.chart-container');
+        if (!chartContainer) return null;
+
+        if (!document.getElementById('priceChart')) {
+            chartContainer.innerHTML = '<canvas id="priceChart"></canvas>';
+        }
+
+        return document.getElementById('priceChart');
+    }
+
+    /**
+     * Creates a Chart.js plugin drawing a dashed vertical line at each gift
+     */
+    createGiftMarkerPlugin(giftIndexes) {
+        return {
+            id: 'giftMarkers',
+            afterDatasetsDraw(chart) {
+                const { ctx, chartArea, scales } = chart;
+
+                ctx.save();
+                ctx.strokeStyle = '#e67e22';
+                ctx.fillStyle = '#e67e22';
+                ctx.lineWidth = 1.5;
+                ctx.setLineDash([4, 4]);
+                ctx.font = '12px sans-serif';
+                ctx.textAlign = 'center';
+
+                for (const index of giftIndexes) {
+                    const x = scales.x.getPixelForValue(index);
+
+                    ctx.beginPath();
+                    ctx.moveTo(x, chartArea.top);
+                    ctx.lineTo(x, chartArea.bottom);
+                    ctx.stroke();
+                    ctx.fillText('🎁', x, chartArea.top + 14);
+                }
+
+                ctx.restore();
+            }
+        };
+    }
+
     /**
      * Shows fallback chart message
      */
     showFallbackChart() {
         this.showChartMessage(
-            '📈 Price History Chart',
-            'Chart temporarily unavailable',
-            'Your silver\'s value is still being tracked!'
+            this.i18n.t('chart.heading'),
+            this.i18n.t('chart.unavailable'),
+            this.i18n.t('chart.stillTracked', { metal: this.i18n.metal(this.metal) })
         );
     }
 
@@ -229,9 +974,20 @@ export class UIRenderer {
      */
     showNoDataChart() {
         this.showChartMessage(
-            '📈 Price History Chart',
-            'No historical price data available yet',
-            'Check back in a few days to see your silver\'s price history!'
+            this.i18n.t('chart.heading'),
+            this.i18n.t('chart.noData'),
+            this.i18n.t('chart.checkBack', { metal: this.i18n.metal(this.metal) })
+        );
+    }
+
+    /**
+     * Shows when the price history starts, in place of the chart, for a gift still to come
+     */
+    showArrivingChart(giftDate) {
+        this.showChartMessage(
+            this.i18n.t('chart.heading'),
+            this.i18n.t('chart.arriving', { date: this.i18n.formatDate(giftDate) }),
+            this.i18n.t('chart.startsThen', { metal: this.i18n.metal(this.metal) })
         );
     }
 
@@ -242,11 +998,11 @@ export class UIRenderer {
         const chartContainer = document.querySelector('.chart-container');
         if (!chartContainer) return;
 
-        chartContainer.innerHTML = `
+        chartContainer.innerHTML = html`
             <div class="fallback-chart">
                 <h3>${title}</h3>
                 <p>${message}</p>
-                ${subMessage ? `<p>${subMessage}</p>` : ''}
+                ${subMessage ? html`<p>${subMessage}</p>` : ''}
             </div>
         `;
     }
@@ -258,18 +1014,62 @@ export class UIRenderer {
         this.contentDiv.classList.remove('loading');
 
         const recipientOptions = Object.keys(recipients)
-            .map(id => `<option value="${id}">${recipients[id].recipientName}</option>`)
-            .join('');
+            .map(id => html`<option value="${id}">${recipients[id].recipientName}</option>`);
 
-        this.contentDiv.innerHTML = `
+        this.contentDiv.innerHTML = html`
             <div class="recipient-selector">
-                <h2>Select Your Silver Gift</h2>
-                <select onchange="selectRecipient(this.value)">
-                    <option value="">Choose recipient...</option>
+                <h2>${this.i18n.t('selector.title')}</h2>
+                <select>
+                    <option value="">${this.i18n.t('selector.choose')}</option>
                     ${recipientOptions}
                 </select>
             </div>
         `;
+
+        this.contentDiv.querySelector('select').addEventListener('change', event => {
+            this.selectRecipient(event.target.value);
+        });
+    }
+
+    /**
+     * Shown instead of the recipient selector when gifts only open from
+     * their private links
+     */
+    showGiftLinkNeeded(hasToken) {
+        this.contentDiv.classList.remove('loading');
+
+        this.contentDiv.innerHTML = html`
+            <div class="recipient-selector">
+                <h2>${this.i18n.t('giftLink.title')}</h2>
+                <p>${this.i18n.t(hasToken ? 'giftLink.broken' : 'giftLink.needed')}</p>
+            </div>
+        `;
+    }
+
+    /**
+     * Opens the gift page of the chosen recipient
+     */
+    selectRecipient(recipientId) {
+        if (recipientId) {
+            window.location.href = `?recipient=${encodeURIComponent(recipientId)}`;
+        }
+    }
+
+    /**
+     * Shows each problem found in a recipient's settings, with where it is
+     */
+    showConfigErrors(recipientId, errors) {
+        this.contentDiv.classList.remove('loading');
+
+        this.contentDiv.innerHTML = html`
+            <div class="error">
+                <h3>${this.i18n.t('errors.configTitle')}</h3>
+                <p>${this.i18n.html('errors.configFix', { id: html`<code>${recipientId}</code>` })}</p>
+                <ul class="config-errors">
+                    ${errors.map(error => html`<li><code>${error.path}</code> ${ConfigValidator.describe(error, this.i18n)}</li>`)}
+                </ul>
+            </div>
+        `;
     }
 
     /**
@@ -278,12 +1078,14 @@ export class UIRenderer {
     showError(message) {
         this.contentDiv.classList.remove('loading');
 
-        this.contentDiv.innerHTML = `
+        this.contentDiv.innerHTML = html`
             <div class="error">
-                <h3>⚠️ Error</h3>
+                <h3>${this.i18n.t('errors.title')}</h3>
                 <p>${message}</p>
-                <button onclick="location.reload()">Try Again</button>
+                <button type="button">${this.i18n.t('errors.retry')}</button>
             </div>
         `;
+
+        this.contentDiv.querySelector('.error button').addEventListener('click', () => location.reload());
     }
 }
@@ -0,0 +1,41 @@
+/**
+ * Weight units and conversions used for prices and gift amounts
+ */
+export class Units {
+    static GRAMS_PER_TROY_OUNCE = 31.1034768;
+
+    static gramsPerUnit = {
+        'troy-ounce': Units.GRAMS_PER_TROY_OUNCE,
+        'ounce': 28.349523125,
+        'gram': 1,
+        'kilogram': 1000,
+        'tola': 11.6638038
+    };
+
+    /**
+     * Returns the number of grams in one of the given unit
+     */
+    static toGrams(unit) {
+        const grams = Units.gramsPerUnit[unit];
+
+        if (!grams) {
+            throw new Error(`Unknown weight unit: ${unit}`);
+        }
+
+        return grams;
+    }
+
+    /**
+     * Converts a weight from one unit to another
+     */
+    static convertWeight(value, from, to) {
+        return value * Units.toGrams(from) / Units.toGrams(to);
+    }
+
+    /**
+     * Converts a price quoted per `from` unit into a price per `to` unit
+     */
+    static convertPrice(price, from, to) {
+        return price * Units.toGrams(to) / Units.toGrams(from);
+    }
+}
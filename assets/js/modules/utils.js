@@ -1,93 +1,141 @@
+import { Units } from './units.js';
+
 /**
  * Utility functions for the Silver Gift Tracker
  */
 export class Utils {
-    static months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+    // Accepted spellings for each quantity unit, and the Units name they convert with
+    static quantityUnits = {
+        oz: { unit: 'troy-ounce', names: ['oz', 'ozt', 'oz t', 'toz', 'troy oz', 'troy ounce', 'troy ounces', 'ounce', 'ounces'] },
+        g: { unit: 'gram', names: ['g', 'gram', 'grams', 'gramme', 'grammes'] },
+        kg: { unit: 'kilogram', names: ['kg', 'kilo', 'kilos', 'kilogram', 'kilograms'] },
+        tola: { unit: 'tola', names: ['tola', 'tolas'] }
+    };
 
     /**
-     * Converts a number to its ordinal form (1st, 2nd, 3rd, etc.)
+     * Parses an amount of metal such as "5 oz", "10 toz", "100 g", "1 kg",
+     * "1/10 oz coin", "2 x 10 oz bars", "kilo bar" or "1 oz Maple Leaf": words
+     * after the unit, such as a product name, are ignored. Plain numbers are
+     * troy ounces. Returns null if the amount can't be understood.
      */
-    static getOrdinalSuffix(num) {
-        const j = num % 10;
-        const k = num % 100;
+    static parseQuantity(amount) {
+        if (typeof amount === 'number') {
+            return amount > 0 && Number.isFinite(amount) ? Utils.createQuantity(1, amount, 'oz') : null;
+        }
 
-        if (k >= 11 && k <= 13) return num + 'th';
+        if (typeof amount !== 'string') return null;
 
-        switch (j) {
-            case 1: return num + 'st';
-            case 2: return num + 'nd';
-            case 3: return num + 'rd';
-            default: return num + 'th';
-        }
+        const text = amount.trim().toLowerCase().replace(/(\d),(?=\d{3}\b)/g, '$1');
+        const [, countText, sizeText, rest] = /^(?:(\d+(?:\.\d+)?)\s*[x×*]\s*)?(\d+(?:\.\d+)?(?:\s*\/\s*\d+)?)?\s*(.*)$/.exec(text);
+        const unit = Utils.findUnit(rest);
+
+        // Without a unit, only "coin", "bar" or "round" may follow the number
+        if (!unit && (!sizeText || !/^(?:(?:coins?|bars?|rounds?)\s*)?$/.test(rest))) return null;
+
+        const count = countText ? parseFloat(countText) : 1;
+        const [numerator, denominator = 1] = (sizeText || '1').split('/').map(part => parseFloat(part));
+        const size = numerator / denominator;
+
+        if (!(count > 0) || !(size > 0) || !Number.isFinite(size)) return null;
+
+        return Utils.createQuantity(count, size, unit || 'oz');
     }
 
     /**
-     * Formats a date string in British style (e.g., '25th Dec, 2025')
+     * Finds the quantity unit a lower-case text starts with, e.g. "oz" in
+     * "oz maple leaf", or null. The longest spelling wins, and it mustn't run
+     * on into a word, so "5 gold coins" isn't read as grams.
      */
-    static formatBritishDate(dateString) {
-        try {
-            const date = new Date(dateString);
-            if (isNaN(date.getTime())) return dateString;
+    static findUnit(text) {
+        const spellings = Object.entries(Utils.quantityUnits)
+            .flatMap(([unit, { names }]) => names.map(name => ({ unit, name })))
+            .sort((a, b) => b.name.length - a.name.length);
 
-            const day = date.getDate();
-            const month = Utils.months[date.getMonth()];
-            const year = date.getFullYear();
+        return spellings.find(({ name }) => text.startsWith(name) && !/[a-z]/.test(text.charAt(name.length)))?.unit ?? null;
+    }
 
-            return `${Utils.getOrdinalSuffix(day)} ${month}, ${year}`;
-        } catch (error) {
-            console.error('Error formatting British date:', error);
-            return dateString;
-        }
+    /**
+     * Builds a quantity, normalised to troy ounces for valuation
+     */
+    static createQuantity(count, size, unit) {
+        const value = count * size;
+        const troyOunces = Units.convertWeight(value, Utils.quantityUnits[unit].unit, 'troy-ounce');
+
+        return { count, size, unit, value, troyOunces };
     }
 
     /**
-     * Formats a number as USD currency
+     * Formats a quantity in the unit it was given in, e.g. "15,422 oz" or "100 g"
      */
-    static formatCurrency(amount) {
-        return parseFloat(amount).toLocaleString('en-US', {
-            style: 'currency',
-            currency: 'USD'
-        });
+    static formatQuantity(quantity, locale = 'en-GB') {
+        const value = quantity.value.toLocaleString(locale, { maximumFractionDigits: 4 });
+        return `${value} ${quantity.unit}`;
     }
 
     /**
-     * Calculates time elapsed since a given timestamp
+     * Calculates time elapsed since a given timestamp, in the largest whole
+     * unit: { unit: 'minute' | 'hour' | 'day' | 'week' | 'month' | 'year', count },
+     * { unit: 'now' } under a minute, { unit: 'future' } if it hasn't happened
+     * yet, or null if it can't be read. Months and years are calendar ones.
+     * I18n.describeTimeAgo puts it into words.
      */
-    static getTimeAgo(timestamp) {
-        if (!timestamp) return 'unknown time';
+    static getTimeAgo(timestamp, now = new Date()) {
+        if (!timestamp) return null;
 
-        try {
-            const now = new Date();
-            const then = new Date(timestamp);
-            const diffMs = now - then;
+        const diffMs = now - new Date(timestamp);
+        if (isNaN(diffMs)) return null;
+        if (diffMs < 0) return { unit: 'future' };
 
-            if (diffMs < 0) return 'recently';
+        const diffMinutes = Math.floor(diffMs / (1000 * 60));
+        const diffHours = Math.floor(diffMs / (1000 * 60 * 60));
+        const diffDays = Math.floor(diffMs / (1000 * 60 * 60 * 24));
 
-            const diffMinutes = Math.floor(diffMs / (1000 * 60));
-            const diffHours = Math.floor(diffMs / (1000 * 60 * 60));
-            const diffDays = Math.floor(diffMs / (1000 * 60 * 60 * 24));
+        if (diffMinutes < 1) return { unit: 'now' };
+        if (diffMinutes < 60) return { unit: 'minute', count: diffMinutes };
+        if (diffHours < 24) return { unit: 'hour', count: diffHours };
+        if (diffDays < 7) return { unit: 'day', count: diffDays };
 
-            if (diffMinutes < 1) return 'just now';
-            if (diffMinutes < 60) return `${diffMinutes} minute${diffMinutes === 1 ? '' : 's'} ago`;
-            if (diffHours < 24) return `${diffHours} hour${diffHours === 1 ? '' : 's'} ago`;
-            if (diffDays < 7) return `${diffDays} day${diffDays === 1 ? '' : 's'} ago`;
-            if (diffDays < 30) return `${Math.floor(diffDays / 7)} week${Math.floor(diffDays / 7) === 1 ? '' : 's'} ago`;
-            if (diffDays < 365) return `${Math.floor(diffDays / 30)} month${Math.floor(diffDays / 30) === 1 ? '' : 's'} ago`;
+        const { years, months } = Utils.getTimeDifference(new Date(timestamp), now);
 
-            return `${Math.floor(diffDays / 365)} year${Math.floor(diffDays / 365) === 1 ? '' : 's'} ago`;
-        } catch (error) {
-            console.error('Error calculating time ago:', error);
-            return 'unknown time';
+        if (years > 0) return { unit: 'year', count: years };
+        if (months > 0) return { unit: 'month', count: months };
+
+        return { unit: 'week', count: Math.floor(diffDays / 7) };
+    }
+
+    /**
+     * Parses a provider timestamp (ISO string, Unix seconds/milliseconds or bare date) into a Date
+     */
+    static parseTimestamp(value) {
+        if (value === undefined || value === null || value === '') return null;
+
+        let date;
+
+        if (typeof value === 'number' || /^\d+(\.\d+)?$/.test(value)) {
+            // Values below 1e12 would be milliseconds before 2001, so they must be seconds
+            const number = Number(value);
+            date = new Date(number < 1e12 ? number * 1000 : number);
+        } else if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+            // Bare dates such as a trading day are treated as midday UTC, like stored daily prices
+            date = new Date(`${value}T12:00:00Z`);
+        } else if (/^\d{4}-\d{2}-\d{2}[ T]\d{2}:\d{2}(:\d{2}(\.\d+)?)?$/.test(value)) {
+            // Date-times without a timezone are assumed to be UTC rather than local time
+            date = new Date(`${value.replace(' ', 'T')}Z`);
+        } else {
+            date = new Date(value);
         }
+
+        return isNaN(date.getTime()) ? null : date;
     }
 
     /**
-     * Extracts recipient ID from URL query parameters
+     * Gets a query parameter from the page's URL, as written, or null.
+     * Callers parse and normalise the value themselves.
      */
-    static getRecipientFromUrl() {
+    static getQueryParam(name) {
         try {
             const urlParams = new URLSearchParams(window.location.search);
-            return urlParams.get('recipient');
+            return urlParams.get(name);
         } catch (error) {
             console.error('Error parsing URL parameters:', error);
             return null;
@@ -95,23 +143,79 @@ export class Utils {
     }
 
     /**
-     * Calculates time description between two dates
+     * Reads a date as a calendar day, { year, month, day }. Date-only strings
+     * such as "2024-09-23" are that day wherever the browser is, where Date
+     * would read them as UTC midnight, the day before west of Greenwich.
+     * Timestamps give their local day. Returns null if it can't be read.
      */
-    static getTimeDifference(giftDate) {
-        const today = new Date();
-        const diffTime = Math.abs(today - new Date(giftDate));
-        const diffDays = Math.floor(diffTime / (1000 * 60 * 60 * 24));
-        const years = Math.floor(diffDays / 365);
-        const remainingDays = diffDays % 365;
-
-        if (years > 0 && remainingDays > 0) {
-            return `${years} ${years === 1 ? 'year' : 'years'}, ${remainingDays} ${remainingDays === 1 ? 'day' : 'days'} ago`;
-        } else if (years > 0) {
-            return `${years} ${years === 1 ? 'year' : 'years'} ago`;
-        } else if (remainingDays > 0) {
-            return `${remainingDays} ${remainingDays === 1 ? 'day' : 'days'} ago`;
-        } else {
-            return 'today';
+    static parseCalendarDate(value) {
+        const match = typeof value === 'string' && /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+
+        if (match) {
+            const [year, month, day] = match.slice(1).map(Number);
+            return day >= 1 && month >= 1 && month <= 12 && day <= Utils.daysInMonth(year, month) ? { year, month, day } : null;
         }
+
+        const date = value instanceof Date ? value : new Date(value);
+        if (isNaN(date.getTime())) return null;
+
+        return { year: date.getFullYear(), month: date.getMonth() + 1, day: date.getDate() };
+    }
+
+    /**
+     * Gets the number of days in a month, counting months from 1
+     */
+    static daysInMonth(year, month) {
+        return new Date(Date.UTC(year, month, 0)).getUTCDate();
+    }
+
+    /**
+     * Counts days since 1970 for a calendar day, so days can be subtracted
+     */
+    static dayNumber({ year, month, day }) {
+        return Date.UTC(year, month - 1, day) / (1000 * 60 * 60 * 24);
+    }
+
+    /**
+     * Moves a calendar day on by whole months, keeping to the end of shorter
+     * months: a month after 31st January is 28th or 29th February
+     */
+    static addMonths({ year, month, day }, count) {
+        const index = year * 12 + month - 1 + count;
+        const target = { year: Math.floor(index / 12), month: index % 12 + 1 };
+
+        return { ...target, day: Math.min(day, Utils.daysInMonth(target.year, target.month)) };
+    }
+
+    /**
+     * Calculates the calendar time between a gift date and today as
+     * { years, months, days, totalDays, future }, where `future` means the
+     * gift date hasn't come yet and the time counts down to it. A gift on
+     * 29th February has its anniversary on 28th February in other years.
+     * Returns null if either date can't be read. I18n.describeTimeSince puts
+     * it into words.
+     */
+    static getTimeDifference(giftDate, today = new Date()) {
+        const gift = Utils.parseCalendarDate(giftDate);
+        const now = Utils.parseCalendarDate(today);
+        if (!gift || !now) return null;
+
+        const future = Utils.dayNumber(gift) > Utils.dayNumber(now);
+        const [start, end] = future ? [now, gift] : [gift, now];
+
+        let months = (end.year - start.year) * 12 + end.month - start.month;
+        let anniversary = Utils.addMonths(start, months);
+
+        if (Utils.dayNumber(anniversary) > Utils.dayNumber(end)) {
+            anniversary = Utils.addMonths(start, --months);
+        }
+
+        return {
+            years: Math.floor(months / 12),
+            months: months % 12,
+            days: Utils.dayNumber(end) - Utils.dayNumber(anniversary),
+            totalDays: Utils.dayNumber(end) - Utils.dayNumber(start),
+            future
+        };
     }
-}
+}
\ No newline at end of file
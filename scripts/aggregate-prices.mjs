@@ -0,0 +1,73 @@
+#!/usr/bin/env node
+import { access } from 'node:fs/promises';
+import path from 'node:path';
+import { Metals } from '../assets/js/modules/metals.js';
+import { PriceHistory } from '../assets/js/modules/price-history.js';
+import { readJSON, writeJSON } from './lib/files.mjs';
+import { isMain, parseArgs } from './lib/cli.mjs';
+
+/**
+ * Rolls daily prices up into weekly and monthly files
+ *
+ * daily-prices.json only keeps the last two years, so weekly-prices.json and
+ * monthly-prices.json (and their per-metal equivalents) hold the long-term
+ * history and are never trimmed. Run after every collection.
+ *
+ * Usage: node scripts/aggregate-prices.mjs [--data-dir data] [--metal gold,silver]
+ */
+
+const AGGREGATE_RESOLUTIONS = PriceHistory.RESOLUTIONS.filter(resolution => resolution !== 'daily');
+
+/**
+ * Updates the weekly and monthly files for one metal from its daily prices
+ */
+export async function aggregateMetal(metal, dataDir = 'data') {
+    const dailyPrices = await readJSON(path.join(dataDir, Metals.pricesFile(metal)), []);
+    const counts = {};
+
+    for (const resolution of AGGREGATE_RESOLUTIONS) {
+        const file = path.join(dataDir, Metals.pricesFile(metal, resolution));
+        const existing = await readJSON(file, []);
+        const updated = PriceHistory.merge(existing, dailyPrices, resolution);
+
+        if (JSON.stringify(updated) !== JSON.stringify(existing)) {
+            await writeJSON(file, updated);
+            console.log(`📊 Updated ${Metals.pricesFile(metal, resolution)} (${updated.length} entries)`);
+        }
+
+        counts[resolution] = updated.length;
+    }
+
+    return counts;
+}
+
+/**
+ * Aggregates every metal that has a daily price file
+ */
+export async function aggregate({ dataDir = 'data', metals = null } = {}) {
+    const results = {};
+
+    for (const metal of metals || Object.keys(Metals.definitions)) {
+        try {
+            await access(path.join(dataDir, Metals.pricesFile(metal)));
+        } catch {
+            continue;
+        }
+
+        results[metal] = await aggregateMetal(metal, dataDir);
+    }
+
+    return results;
+}
+
+if (isMain(import.meta.url)) {
+    const args = parseArgs(process.argv.slice(2));
+
+    aggregate({
+        dataDir: args['data-dir'],
+        metals: typeof args.metal === 'string' ? args.metal.split(',') : null
+    }).catch(error => {
+        console.error('❌ Aggregation failed:', error);
+        process.exit(1);
+    });
+}
@@ -0,0 +1,133 @@
+#!/usr/bin/env node
+import path from 'node:path';
+import { Metals } from '../assets/js/modules/metals.js';
+import { createCollectorProvider, recordError, MAX_DAILY_ENTRIES } from './collect-prices.mjs';
+import { aggregateMetal } from './aggregate-prices.mjs';
+import { readJSON, writeJSON } from './lib/files.mjs';
+import { isMain, parseArgs } from './lib/cli.mjs';
+import { metalsInUse, earliestGiftDate } from './lib/recipients.mjs';
+
+/**
+ * Fetches historical daily prices for a date range and merges them into the price files
+ *
+ * Uses the providers in data/apis.json that have a `history` URL template.
+ * Backfilled entries are marked `"backfilled": true` with the provider as their
+ * source, and never replace a price that was already collected. The whole range
+ * is rolled into the weekly and monthly files before daily-prices.json is
+ * trimmed back to its usual two years, so older prices are kept there.
+ *
+ * Without --from, each metal is backfilled from its earliest gift date, or
+ * from --to if every gift is still to come.
+ *
+ * Usage: node scripts/backfill-prices.mjs [--metal silver,gold] [--from 2022-12-25]
+ *        [--to 2024-01-01] [--data-dir data] [--apis data/apis.json]
+ */
+
+/**
+ * Merges backfilled prices into existing daily prices; existing dates win
+ */
+export function mergePrices(existing, backfilled) {
+    const dates = new Set(existing.map(entry => entry.date));
+    const added = backfilled
+        .filter(entry => !dates.has(entry.date))
+        .map(entry => ({ ...entry, backfilled: true }));
+
+    return {
+        prices: [...existing, ...added].sort((a, b) => a.date.localeCompare(b.date)),
+        added: added.length
+    };
+}
+
+/**
+ * Backfills one metal's prices between two dates
+ */
+export async function backfillMetal(metal, { dataDir, apisFile, from, to, env }) {
+    const { id, name, symbol } = Metals.get(metal);
+    const pricesFile = path.join(dataDir, Metals.pricesFile(id));
+    const errorFile = path.join(dataDir, 'error-log.json');
+    const failures = [];
+
+    const provider = createCollectorProvider(env, {
+        onAttemptFailed: (api, attempt, error) => failures.push(`${api.name} attempt ${attempt}: ${error.message}`)
+    });
+
+    console.log(`🚀 Backfilling ${name.toLowerCase()} prices from ${from} to ${to}`);
+
+    const config = provider.prepareConfig(await readJSON(apisFile, null), symbol);
+    const { prices, missing } = await provider.getHistory(config, from, to);
+
+    const existing = await readJSON(pricesFile, []);
+    const merged = mergePrices(existing, prices);
+
+    if (merged.added > 0) {
+        // Aggregate the full history before trimming the daily file
+        await writeJSON(pricesFile, merged.prices);
+        await aggregateMetal(id, dataDir);
+        await writeJSON(pricesFile, merged.prices.slice(-MAX_DAILY_ENTRIES));
+    }
+
+    console.log(`📊 Added ${merged.added} ${name.toLowerCase()} prices (${prices.length - merged.added} already stored)`);
+
+    if (missing.length > 0) {
+        const ranges = missing.map(([start, end]) => `${start} to ${end}`).join(', ');
+        console.log(`❌ Could not fetch ${name.toLowerCase()} prices for ${ranges}`);
+
+        await recordError(errorFile, {
+            timestamp: new Date().toISOString().replace(/\.\d{3}Z$/, 'Z'),
+            date: to,
+            metal: id,
+            error: `Failed to backfill ${name.toLowerCase()} prices for ${ranges}`,
+            details: failures.join('\n') || 'No available API has a history URL'
+        });
+    }
+
+    return { added: merged.added, missing };
+}
+
+/**
+ * Backfills every metal in use, or the given metals
+ */
+export async function backfill({
+    dataDir = 'data',
+    apisFile = path.join(dataDir, 'apis.json'),
+    metals = null,
+    from = null,
+    to = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString().slice(0, 10),
+    env = process.env
+} = {}) {
+    const results = {};
+
+    for (const metal of metals || await metalsInUse(dataDir)) {
+        const earliest = from || await earliestGiftDate(dataDir, metal);
+
+        // A gift still to come has no history yet, so the range never starts after it ends
+        const start = earliest && earliest > to ? to : earliest;
+
+        if (!start) {
+            console.log(`⏭️ No ${metal} gifts to backfill, pass --from to choose a date`);
+            continue;
+        }
+
+        results[metal] = await backfillMetal(metal, { dataDir, apisFile, from: start, to, env });
+    }
+
+    return results;
+}
+
+if (isMain(import.meta.url)) {
+    const args = parseArgs(process.argv.slice(2));
+
+    backfill({
+        dataDir: args['data-dir'],
+        apisFile: args.apis,
+        metals: typeof args.metal === 'string' ? args.metal.split(',') : null,
+        from: typeof args.from === 'string' ? args.from : null,
+        ...(typeof args.to === 'string' && { to: args.to })
+    }).then(results => {
+        const failed = Object.values(results).some(result => result.missing.length > 0);
+        process.exit(failed ? 1 : 0);
+    }).catch(error => {
+        console.error('❌ Backfill failed:', error);
+        process.exit(1);
+    });
+}
@@ -0,0 +1,239 @@
+#!/usr/bin/env node
+import path from 'node:path';
+import { mkdir, readdir, rm, writeFile } from 'node:fs/promises';
+import { Metals } from '../assets/js/modules/metals.js';
+import { FXRates } from '../assets/js/modules/fx-rates.js';
+import { Portfolio } from '../assets/js/modules/portfolio.js';
+import { PriceHistory } from '../assets/js/modules/price-history.js';
+import { SafeHTML } from '../assets/js/modules/safe-html.js';
+import { Utils } from '../assets/js/modules/utils.js';
+import { I18n } from '../assets/js/modules/i18n.js';
+import { Certificate } from '../assets/js/modules/certificate.js';
+import { readJSON } from './lib/files.mjs';
+import { isMain, parseArgs } from './lib/cli.mjs';
+import { loadRecipients } from './lib/recipients.mjs';
+import { loadHistories } from './fill-initial-prices.mjs';
+import { Raster } from './lib/png.mjs';
+
+const { html } = SafeHTML;
+
+/**
+ * Builds link previews for each recipient's gift page
+ *
+ * For every recipient in recipients.json, share/<id>/index.html carries Open
+ * Graph and Twitter card tags with the gift's value and a 1200×630
+ * share/<id>/preview.png, then sends visitors on to ?recipient=<id>. Share
+ * https://you.github.io/silver-tracker/share/<id>/ instead of the ?recipient=
+ * link for it to unfurl with the picture. The text is in the recipient's
+ * `locale`, or English. Link previews need absolute URLs, so
+ * pass the site's address with --base-url.
+ *
+ * Previews are public, so none are built for gifts kept private with
+ * gift-links.mjs, and previews of recipients who are gone are removed.
+ *
+ * Usage: node scripts/build-previews.mjs --base-url https://you.github.io/silver-tracker/
+ *        [--data-dir data] [--out share]
+ */
+
+const WIDTH = 1200;
+const HEIGHT = 630;
+
+/**
+ * Gets the prices since a date in US dollars, at the resolution the page charts
+ */
+function seriesSince(histories, fromDate) {
+    const resolution = PriceHistory.chooseResolution(fromDate);
+    const daily = histories.daily.filter(entry => entry.date >= fromDate);
+
+    if (resolution === 'daily' && daily.length >= 2) return daily;
+
+    const start = PriceHistory.periodStart(fromDate, resolution === 'daily' ? 'weekly' : resolution);
+    const entries = histories[resolution === 'daily' ? 'weekly' : resolution].filter(entry => entry.date >= start);
+
+    return PriceHistory.toSeries(entries);
+}
+
+/**
+ * Works out what a recipient's preview shows, in their currency and language
+ */
+function describeGift(id, config, { histories, latest, fxHistory }) {
+    const i18n = new I18n(config.locale);
+    const metal = Metals.get(config.metal);
+    const gifts = Portfolio.getGifts(Portfolio.withStoredPrices(config, histories));
+    const currency = FXRates.normalise(config.currency) || FXRates.BASE;
+    const rate = FXRates.latest(fxHistory, currency);
+    const fx = rate ? { currency, rate: rate.rate, history: fxHistory } : { currency: FXRates.BASE, rate: 1, history: [] };
+
+    const lastDaily = histories.daily.reduce((last, entry) => !last || entry.date > last.date ? entry : last, null);
+    const price = latest[metal.id]?.price ?? lastDaily?.price ?? null;
+    const summary = Portfolio.summarise(gifts, price, fx);
+    const givers = [...new Set(gifts.map(gift => gift.giverName))];
+    const prices = FXRates.convertSeries(seriesSince(histories, gifts[0].giftDate), fx.history, fx.currency);
+    const metalForms = i18n.metal(metal);
+
+    const quantity = gifts.length > 1 ? Utils.createQuantity(1, summary.totalOunces, 'oz') : gifts[0].quantity;
+    const given = i18n.t('preview.description', {
+        givers: i18n.formatList(givers),
+        name: config.recipientName,
+        amount: i18n.t('gift.amount', { quantity: i18n.formatQuantity(quantity), metal: metalForms }),
+        date: i18n.formatDate(gifts[0].giftDate)
+    });
+    const worth = summary.change === null
+        ? null
+        : i18n.t(summary.change >= 0 ? 'preview.worthUp' : 'preview.worthDown', {
+            value: i18n.formatCurrency(summary.currentValue, fx.currency),
+            percent: i18n.formatPercent(Math.abs(summary.change))
+        });
+
+    return {
+        id,
+        i18n,
+        metal,
+        currency: fx.currency,
+        summary,
+        prices: prices.map(entry => entry.price).filter(Number.isFinite),
+        baseline: summary.costBasis === null ? null : summary.costBasis / summary.costedOunces,
+        title: i18n.t('preview.title', { name: config.recipientName, metal: metalForms }),
+        description: [given, worth].filter(Boolean).join(' ')
+    };
+}
+
+/**
+ * Draws the preview image: the metal, the change since the gift, its value
+ * and a chart of the price since
+ */
+export function drawPreview({ i18n, metal, currency, summary, prices, baseline }) {
+    const accent = Certificate.COLORS[metal.id] || Certificate.COLORS.silver;
+    const raster = new Raster(WIDTH, HEIGHT, '#fffdf7');
+
+    raster.rect(0, 0, WIDTH, 16, accent);
+    raster.rect(0, HEIGHT - 16, WIDTH, 16, accent);
+
+    raster.disc(1060, 140, 72, accent);
+    raster.disc(1060, 140, 58, '#fffdf7');
+    raster.disc(1060, 140, 50, accent);
+
+    // The pixel font only has ASCII letters, so the label stays in English
+    raster.text(`${metal.name} gift`, 80, 70, 7, accent);
+
+    if (summary.change !== null) {
+        const change = i18n.formatPercent(summary.change, { signed: true });
+        raster.text(change, 80, 150, 18, summary.change >= 0 ? '#27ae60' : '#c0392b');
+
+        const value = i18n.formatNumber(summary.currentValue, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+        raster.text(`${value} ${currency}`, 80, 310, 7, '#2c3e50');
+    }
+
+    if (prices.length >= 2) {
+        const box = { x: 80, y: 400, width: WIDTH - 160, height: 170 };
+        const values = Number.isFinite(baseline) ? [...prices, baseline] : prices;
+        const min = Math.min(...values);
+        const span = Math.max(...values) - min || 1;
+        const y = value => box.y + box.height - (value - min) / span * box.height;
+        const points = prices.map((price, index) => [box.x + index / (prices.length - 1) * box.width, y(price)]);
+
+        raster.area(points, box.y + box.height, accent, { width: 6 });
+
+        if (Number.isFinite(baseline)) {
+            raster.line(box.x, y(baseline), box.x + box.width, y(baseline), '#95a5a6', 2, [14, 10]);
+        }
+    }
+
+    return raster.toPNG();
+}
+
+/**
+ * Builds the page link previews are read from, which forwards to the gift
+ */
+export function previewPage({ id, i18n, title, description }, baseUrl) {
+    const shareUrl = new URL(`share/${encodeURIComponent(id)}/`, baseUrl).href;
+    const giftUrl = new URL(`?recipient=${encodeURIComponent(id)}`, baseUrl).href;
+
+    const page = html`<!DOCTYPE html>
+<html lang="${i18n.locale}">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta name="referrer" content="no-referrer">
+    <title>${title}</title>
+    <meta name="description" content="${description}">
+    <meta property="og:type" content="website">
+    <meta property="og:title" content="${title}">
+    <meta property="og:description" content="${description}">
+    <meta property="og:url" content="${shareUrl}">
+    <meta property="og:image" content="${shareUrl}preview.png">
+    <meta property="og:image:width" content="${WIDTH}">
+    <meta property="og:image:height" content="${HEIGHT}">
+    <meta property="og:image:alt" content="${title}">
+    <meta name="twitter:card" content="summary_large_image">
+    <meta http-equiv="refresh" content="0; url=${giftUrl}">
+    <link rel="canonical" href="${giftUrl}">
+</head>
+<body>
+    <p><a href="${giftUrl}">${i18n.t('preview.open', { title })}</a></p>
+</body>
+</html>
+`;
+
+    return String(page);
+}
+
+/**
+ * Writes share/<id>/ for each recipient and removes previews of recipients
+ * who are gone or kept private, returning the IDs built
+ */
+export async function buildPreviews({ dataDir = 'data', outDir = 'share', baseUrl } = {}) {
+    if (!baseUrl) throw new Error('Pass the site address with --base-url, link previews need absolute URLs');
+
+    const sealed = await readJSON(path.join(dataDir, 'gifts.json'), null);
+    const recipients = sealed ? {} : await loadRecipients(dataDir);
+    const latest = await readJSON(path.join(dataDir, 'latest-prices.json'), {});
+    const fxHistory = await readJSON(path.join(dataDir, 'fx-rates.json'), []);
+    const histories = {};
+    const built = [];
+
+    if (sealed) console.log('⏭️ Gifts are kept private with gift links, so no previews are built');
+
+    for (const [id, config] of Object.entries(recipients)) {
+        const metal = Metals.get(config.metal).id;
+        histories[metal] ??= await loadHistories(dataDir, metal);
+
+        try {
+            const preview = describeGift(id, config, { histories: histories[metal], latest, fxHistory });
+            const dir = path.join(outDir, id);
+
+            await mkdir(dir, { recursive: true });
+            await writeFile(path.join(dir, 'preview.png'), drawPreview(preview));
+            await writeFile(path.join(dir, 'index.html'), previewPage(preview, baseUrl));
+
+            built.push(id);
+            console.log(`🖼️ ${id}: ${preview.description}`);
+        } catch (error) {
+            console.error(`❌ ${id}: ${error.message}`);
+        }
+    }
+
+    const existing = await readdir(outDir, { withFileTypes: true }).catch(() => []);
+
+    for (const entry of existing) {
+        if (entry.isDirectory() && !(entry.name in recipients)) {
+            await rm(path.join(outDir, entry.name), { recursive: true });
+            console.log(`🗑️ Removed the preview for ${entry.name}`);
+        }
+    }
+
+    return built;
+}
+
+if (isMain(import.meta.url)) {
+    const args = parseArgs(process.argv.slice(2));
+
+    buildPreviews({
+        dataDir: args['data-dir'],
+        outDir: args.out,
+        baseUrl: typeof args['base-url'] === 'string' ? args['base-url'] : null
+    }).catch(error => {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    });
+}
@@ -0,0 +1,278 @@
+#!/usr/bin/env node
+import path from 'node:path';
+import { Metals } from '../assets/js/modules/metals.js';
+import { readJSON, writeJSON } from './lib/files.mjs';
+import { isMain, parseArgs } from './lib/cli.mjs';
+import { metalsInUse } from './lib/recipients.mjs';
+import { backfillMetal } from './backfill-prices.mjs';
+import { aggregateMetal } from './aggregate-prices.mjs';
+
+/**
+ * Checks the daily price files for missing days, duplicate dates, unsorted
+ * entries and price spikes, and reports each problem with the error-log.json
+ * entries for the same days.
+ *
+ * With --repair, duplicates are removed (the first entry for a date is kept),
+ * entries are sorted and gaps are backfilled from providers with a `history`
+ * URL. With --interpolate, gaps that could not be backfilled are filled by
+ * linear interpolation; those entries have `"source": "interpolated"` and
+ * `"interpolated": true`. The weekly and monthly files are then updated.
+ * Spikes are only reported, as they may be real moves.
+ *
+ * Exits with status 1 if any problem remains, or with --fail-on-spikes any spike.
+ *
+ * Usage: node scripts/check-prices.mjs [--metal silver,gold] [--data-dir data]
+ *        [--apis data/apis.json] [--skip-weekends] [--repair] [--interpolate]
+ *        [--fail-on-spikes]
+ */
+
+const DAY = 24 * 60 * 60 * 1000;
+const DEFAULT_SPIKE_PERCENT = 30;
+
+/**
+ * Adds a number of days to a YYYY-MM-DD date
+ */
+function addDays(date, days) {
+    return new Date(new Date(`${date}T00:00:00Z`).getTime() + days * DAY).toISOString().slice(0, 10);
+}
+
+/**
+ * Checks whether a YYYY-MM-DD date is a Saturday or Sunday
+ */
+function isWeekend(date) {
+    return [0, 6].includes(new Date(`${date}T00:00:00Z`).getUTCDay());
+}
+
+/**
+ * Finds the problems in a list of daily prices. A spike is a change larger
+ * than `spikePercent` per day between entries, as the collector allows.
+ * Returns { gaps: [{ from, to, days }], duplicates: [{ date, count }],
+ *   unsorted: [{ index, date, after }], spikes: [{ date, price, previous, changePercent, days }] }
+ */
+export function findIssues(prices, { spikePercent = DEFAULT_SPIKE_PERCENT, skipWeekends = false } = {}) {
+    const unsorted = [];
+    const counts = new Map();
+
+    prices.forEach((entry, index) => {
+        counts.set(entry.date, (counts.get(entry.date) || 0) + 1);
+
+        if (index > 0 && entry.date < prices[index - 1].date) {
+            unsorted.push({ index, date: entry.date, after: prices[index - 1].date });
+        }
+    });
+
+    const duplicates = [...counts]
+        .filter(([, count]) => count > 1)
+        .map(([date, count]) => ({ date, count }));
+
+    const sorted = [...new Map(prices.map(entry => [entry.date, entry])).values()]
+        .filter(entry => entry.date)
+        .sort((a, b) => a.date.localeCompare(b.date));
+
+    const gaps = [];
+    const spikes = [];
+
+    for (let i = 1; i < sorted.length; i++) {
+        const previous = sorted[i - 1];
+        const entry = sorted[i];
+
+        const missing = [];
+        for (let date = addDays(previous.date, 1); date < entry.date; date = addDays(date, 1)) {
+            if (!skipWeekends || !isWeekend(date)) missing.push(date);
+        }
+
+        if (missing.length > 0) {
+            gaps.push({ from: missing[0], to: missing[missing.length - 1], days: missing.length });
+        }
+
+        const changePercent = (entry.price - previous.price) / previous.price * 100;
+        const days = Math.max(1, Math.round((new Date(entry.date) - new Date(previous.date)) / DAY));
+
+        if (Math.abs(changePercent) > spikePercent * days) {
+            spikes.push({ date: entry.date, price: entry.price, previous: previous.price, changePercent, days });
+        }
+    }
+
+    return { gaps, duplicates, unsorted, spikes };
+}
+
+/**
+ * Gets the error-log.json entries for a metal between two dates.
+ * Entries written before other metals were collected have no metal and are silver's.
+ */
+export function errorsFor(errors, metal, from, to = from) {
+    return errors.filter(error =>
+        (error.metal || Metals.DEFAULT) === metal && !error.currency &&
+        error.date >= from && error.date <= to
+    );
+}
+
+/**
+ * Removes duplicate dates, keeping the first entry for each, and sorts by date
+ */
+export function dedupeAndSort(prices) {
+    const seen = new Set();
+
+    return prices
+        .filter(entry => !seen.has(entry.date) && seen.add(entry.date))
+        .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * Fills the given gaps by linear interpolation between the prices either side,
+ * flagging each added entry as interpolated
+ */
+export function interpolateGaps(prices, gaps, { skipWeekends = false } = {}) {
+    const added = [];
+
+    for (const gap of gaps) {
+        const before = prices.filter(entry => entry.date < gap.from).at(-1);
+        const after = prices.find(entry => entry.date > gap.to);
+        if (!before || !after) continue;
+
+        const span = (new Date(after.date) - new Date(before.date)) / DAY;
+
+        for (let date = gap.from; date <= gap.to; date = addDays(date, 1)) {
+            if (skipWeekends && isWeekend(date)) continue;
+
+            const fraction = (new Date(date) - new Date(before.date)) / DAY / span;
+            const price = before.price + (after.price - before.price) * fraction;
+
+            added.push({ date, price: Math.round(price * 1e6) / 1e6, source: 'interpolated', interpolated: true });
+        }
+    }
+
+    return {
+        prices: dedupeAndSort([...prices, ...added]),
+        added: added.length
+    };
+}
+
+/**
+ * Counts the problems in a metal's issues; spikes only count when `spikes` is set
+ */
+export function countProblems(issues, { spikes = false } = {}) {
+    return issues.gaps.length + issues.duplicates.length + issues.unsorted.length + (spikes ? issues.spikes.length : 0);
+}
+
+/**
+ * Prints the problems found in one metal's prices, with matching error-log entries
+ */
+function report(name, file, issues, errors, metal) {
+    const logged = (from, to) => errorsFor(errors, metal, from, to)
+        .map(error => `\n      ↳ ${error.timestamp}: ${error.error}`)
+        .join('');
+
+    const total = countProblems(issues);
+    const spikes = issues.spikes.length > 0 ? `, ${issues.spikes.length} spike${issues.spikes.length === 1 ? '' : 's'} to review` : '';
+    console.log(`${total === 0 ? '✅' : '⚠️'} ${name}: ${file}, ${total} problem${total === 1 ? '' : 's'}${spikes}`);
+
+    for (const gap of issues.gaps) {
+        const range = gap.from === gap.to ? gap.from : `${gap.from} to ${gap.to}`;
+        console.log(`   📭 Missing ${gap.days} day${gap.days === 1 ? '' : 's'}: ${range}${logged(gap.from, gap.to)}`);
+    }
+
+    for (const duplicate of issues.duplicates) {
+        console.log(`   📑 ${duplicate.count} entries for ${duplicate.date}`);
+    }
+
+    for (const entry of issues.unsorted) {
+        console.log(`   🔀 Entry ${entry.index} (${entry.date}) comes after ${entry.after}`);
+    }
+
+    for (const spike of issues.spikes) {
+        const change = `${spike.changePercent >= 0 ? '+' : ''}${spike.changePercent.toFixed(1)}%`;
+        const over = spike.days === 1 ? '' : ` over ${spike.days} days`;
+        console.log(`   📈 Spike on ${spike.date}: ${spike.previous} → ${spike.price} (${change}${over})${logged(spike.date)}`);
+    }
+
+    return total;
+}
+
+/**
+ * Checks, and optionally repairs, one metal's daily prices
+ */
+export async function checkMetal(metal, { dataDir, apisFile, skipWeekends, repair, interpolate, env }) {
+    const { id, name, symbol } = Metals.get(metal);
+    const file = Metals.pricesFile(id);
+    const pricesFile = path.join(dataDir, file);
+    const apis = await readJSON(apisFile, {});
+    const errors = await readJSON(path.join(dataDir, 'error-log.json'), []);
+    const spikePercent = apis?.validation?.[symbol]?.maxDailyChangePercent ?? DEFAULT_SPIKE_PERCENT;
+    const options = { spikePercent, skipWeekends };
+
+    let prices = await readJSON(pricesFile, []);
+    let issues = findIssues(prices, options);
+    report(name, file, issues, errors, id);
+
+    if (!repair) return issues;
+
+    if (issues.duplicates.length > 0 || issues.unsorted.length > 0) {
+        prices = dedupeAndSort(prices);
+        await writeJSON(pricesFile, prices);
+        console.log(`🔧 Removed duplicates and sorted ${file}`);
+    }
+
+    for (const gap of findIssues(prices, options).gaps) {
+        await backfillMetal(id, { dataDir, apisFile, from: gap.from, to: gap.to, env });
+    }
+
+    prices = await readJSON(pricesFile, []);
+    const remaining = findIssues(prices, options).gaps;
+
+    if (interpolate && remaining.length > 0) {
+        const result = interpolateGaps(prices, remaining, { skipWeekends });
+        prices = result.prices;
+        await writeJSON(pricesFile, prices);
+        console.log(`🔧 Interpolated ${result.added} missing ${name.toLowerCase()} prices`);
+    }
+
+    await aggregateMetal(id, dataDir);
+
+    issues = findIssues(prices, options);
+    console.log('🔁 After repair:');
+    report(name, file, issues, errors, id);
+
+    return issues;
+}
+
+/**
+ * Checks every metal in use, or the given metals
+ */
+export async function check({
+    dataDir = 'data',
+    apisFile = path.join(dataDir, 'apis.json'),
+    metals = null,
+    skipWeekends = false,
+    repair = false,
+    interpolate = false,
+    env = process.env
+} = {}) {
+    const results = {};
+
+    for (const metal of metals || await metalsInUse(dataDir)) {
+        results[metal] = await checkMetal(metal, { dataDir, apisFile, skipWeekends, repair, interpolate, env });
+    }
+
+    return results;
+}
+
+if (isMain(import.meta.url)) {
+    const args = parseArgs(process.argv.slice(2));
+
+    check({
+        dataDir: args['data-dir'],
+        apisFile: args.apis,
+        metals: typeof args.metal === 'string' ? args.metal.split(',') : null,
+        skipWeekends: Boolean(args['skip-weekends']),
+        repair: Boolean(args.repair),
+        interpolate: Boolean(args.interpolate)
+    }).then(results => {
+        const spikes = Boolean(args['fail-on-spikes']);
+        const problems = Object.values(results).some(issues => countProblems(issues, { spikes }) > 0);
+        process.exit(problems ? 1 : 0);
+    }).catch(error => {
+        console.error('❌ Price check failed:', error);
+        process.exit(1);
+    });
+}
@@ -0,0 +1,403 @@
+#!/usr/bin/env node
+import path from 'node:path';
+import { PriceProvider } from '../assets/js/modules/price-provider.js';
+import { Metals } from '../assets/js/modules/metals.js';
+import { FXRates } from '../assets/js/modules/fx-rates.js';
+import { readJSON, writeJSON } from './lib/files.mjs';
+import { isMain, parseArgs, setOutputs } from './lib/cli.mjs';
+import { metalsInUse, currenciesInUse, giftDatesIn } from './lib/recipients.mjs';
+
+/**
+ * Server-side precious metal price collector
+ *
+ * Uses the same provider configuration (data/apis.json) and PriceProvider
+ * fetch/extract/validate logic as the browser APIManager. API keys are read from
+ * environment variables named after each provider's `authentication` field,
+ * upper-cased (e.g. "vantage" -> VANTAGE).
+ *
+ * Silver is always collected, along with any other metal given to a recipient
+ * in recipients.json, unless --metal lists the metals to collect. Exchange rates
+ * are collected into fx-rates.json for every recipient `currency` other than USD,
+ * unless --currency lists them. Gifts older than the stored rates for their
+ * currency get the rate of their day from providers with a `history` URL.
+ *
+ * Every successful price is also kept, with its quote time, in a rolling
+ * intraday file (intraday-prices.json) covering the last two weeks. The first
+ * price of each day is that day's `price` in daily-prices.json; later prices
+ * update the day's high, low and close.
+ *
+ * The latest price of each metal is also published in latest-prices.json, so
+ * the page can show it without calling providers whose keys only the
+ * collector has (those marked "collector-only" in apis.json).
+ *
+ * Usage: node scripts/collect-prices.mjs [--data-dir data] [--apis data/apis.json]
+ *        [--metal gold,silver] [--currency GBP,PLN] [--consensus]
+ */
+
+export const MAX_DAILY_ENTRIES = 730;
+const INTRADAY_DAYS = 14;
+const MAX_ERROR_ENTRIES = 1000;
+const FX_HISTORY_DAYS = 7;
+
+/**
+ * Creates a PriceProvider whose keys come from the environment. Other
+ * PriceProvider options, such as `sleep`, override the collector's defaults.
+ */
+export function createCollectorProvider(env = process.env, { onAttemptFailed = null, onRejected = null, ...options } = {}) {
+    return new PriceProvider({
+        getKey: name => env[name.toUpperCase().replace(/[^A-Z0-9]/g, '_')] || null,
+        timeout: 30000,
+        maxAttempts: 5,
+        retryDelay: 2000,
+        ...options,
+        onAttemptFailed,
+        onRejected
+    });
+}
+
+/**
+ * Adds today's price to daily-prices.json. If the date is already present its
+ * price is kept, and the new price only updates the day's high, low and close.
+ */
+export async function recordPrice(file, entry) {
+    const prices = await readJSON(file, []);
+    const existing = prices.find(p => p.date === entry.date);
+
+    if (existing) {
+        existing.open ??= existing.price;
+        existing.high = Math.max(existing.high ?? existing.price, entry.price);
+        existing.low = Math.min(existing.low ?? existing.price, entry.price);
+        existing.close = entry.price;
+
+        await writeJSON(file, prices);
+        console.log(`📅 Already have data for ${entry.date}, updated high/low/close`);
+        return false;
+    }
+
+    const updated = [...prices, { ...entry, open: entry.price, high: entry.price, low: entry.price, close: entry.price }]
+        .sort((a, b) => a.date.localeCompare(b.date))
+        .slice(-MAX_DAILY_ENTRIES);
+
+    await writeJSON(file, updated);
+    console.log(`📊 Added price data for ${entry.date}`);
+    return true;
+}
+
+/**
+ * Adds a price sample to the rolling intraday file, dropping samples older than
+ * INTRADAY_DAYS and repeats of a quote time already stored
+ */
+export async function recordIntraday(file, entry, now = new Date()) {
+    const samples = await readJSON(file, []);
+
+    if (samples.some(sample => sample.timestamp === entry.timestamp)) {
+        console.log(`⏱️ Already have intraday price quoted at ${entry.timestamp}`);
+        return false;
+    }
+
+    const cutoff = new Date(now.getTime() - INTRADAY_DAYS * 24 * 60 * 60 * 1000).toISOString();
+    const updated = [...samples, entry]
+        .filter(sample => sample.timestamp >= cutoff)
+        .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+
+    await writeJSON(file, updated);
+    console.log(`⏱️ Added intraday price for ${entry.timestamp}`);
+    return true;
+}
+
+/**
+ * Publishes a metal's latest price in latest-prices.json, unless a newer quote
+ * is already there
+ */
+export async function recordLatest(file, metal, entry) {
+    const latest = await readJSON(file, {});
+
+    if (latest[metal]?.timestamp > entry.timestamp) {
+        console.log(`📰 Already published a newer ${metal} price`);
+        return false;
+    }
+
+    await writeJSON(file, { ...latest, [metal]: entry });
+    console.log(`📰 Published latest ${metal} price`);
+    return true;
+}
+
+/**
+ * Appends an entry to error-log.json
+ */
+export async function recordError(file, entry) {
+    const errors = await readJSON(file, []);
+
+    const updated = [...errors, entry]
+        .sort((a, b) => a.timestamp.localeCompare(b.timestamp))
+        .slice(-MAX_ERROR_ENTRIES);
+
+    await writeJSON(file, updated);
+    console.log(`📝 Logged error to ${file}`);
+}
+
+/**
+ * Fetches a quote for a metal or currency symbol, logging rejected values and
+ * failures to error-log.json with the given extra fields (e.g. { metal: 'gold' })
+ */
+async function fetchQuote(symbol, label, logFields, { dataDir, apisFile, consensus, env, timestamp, lastPrice, providerOptions }) {
+    const date = timestamp.slice(0, 10);
+    const errorFile = path.join(dataDir, 'error-log.json');
+    const failures = [];
+    const rejections = [];
+    const provider = createCollectorProvider(env, {
+        ...providerOptions,
+        onAttemptFailed: (api, attempt, error) => {
+            failures.push({ api, message: `${api.name} attempt ${attempt}: ${error.message}` });
+        },
+        onRejected: (api, error) => rejections.push(error)
+    });
+
+    console.log(`🚀 Starting ${label} fetch at ${timestamp}`);
+
+    const config = provider.prepareConfig(await readJSON(apisFile, null), symbol);
+
+    if (consensus) {
+        config.consensus.enabled = true;
+    }
+
+    const result = await provider.getPrice(config, lastPrice);
+
+    for (const rejection of rejections) {
+        await recordError(errorFile, {
+            timestamp,
+            date,
+            ...logFields,
+            error: `Rejected ${label} from ${rejection.api.name}`,
+            details: rejection.reason,
+            value: rejection.value,
+            api_endpoint: rejection.api.url
+        });
+    }
+
+    if (result) {
+        console.log(`✅ SUCCESS: Got reliable ${label} data: ${result.price} from ${result.source}`);
+        return result;
+    }
+
+    console.log(`❌ FAILED: No reliable ${label} data available after all attempts`);
+
+    const tried = [...failures.map(f => f.api), ...rejections.map(r => r.api)];
+    const names = [...new Set(tried.map(api => api.name))];
+    const endpoints = [...new Set(tried.map(api => api.url))];
+    await recordError(errorFile, {
+        timestamp,
+        date,
+        ...logFields,
+        error: `Failed to fetch ${label} from ${names.join(', ') || 'any API'}`,
+        details: [...failures.map(f => f.message), ...rejections.map(r => r.message)].join('\n'),
+        api_endpoint: endpoints.join(', ')
+    });
+    return null;
+}
+
+/**
+ * Fetches the current price of one metal and updates its data files
+ */
+export async function collectMetal(metal, options) {
+    const { id, name, symbol } = Metals.get(metal);
+    const pricesFile = path.join(options.dataDir, Metals.pricesFile(id));
+    const prices = await readJSON(pricesFile, []);
+
+    const result = await fetchQuote(symbol, `${name.toLowerCase()} price`, { metal: id }, {
+        ...options,
+        lastPrice: prices[prices.length - 1] ?? null
+    });
+
+    if (result) {
+        await recordPrice(pricesFile, {
+            date: options.timestamp.slice(0, 10),
+            price: result.price,
+            source: result.source
+        });
+
+        await recordIntraday(path.join(options.dataDir, Metals.pricesFile(id, 'intraday')), {
+            timestamp: result.timestamp.replace(/\.\d{3}Z$/, 'Z'),
+            price: result.price,
+            source: result.source
+        });
+
+        await recordLatest(path.join(options.dataDir, 'latest-prices.json'), id, {
+            price: result.price,
+            source: result.source,
+            timestamp: result.timestamp.replace(/\.\d{3}Z$/, 'Z'),
+            fetchedAt: result.fetchedAt.replace(/\.\d{3}Z$/, 'Z')
+        });
+    }
+
+    return result;
+}
+
+/**
+ * Fetches today's exchange rates for the given currencies and adds them to fx-rates.json.
+ * Like daily prices, the first rate collected each day is kept.
+ */
+export async function collectExchangeRates(currencies, options) {
+    const date = options.timestamp.slice(0, 10);
+    const ratesFile = path.join(options.dataDir, 'fx-rates.json');
+    const history = await readJSON(ratesFile, []);
+    const today = history.find(entry => entry.date === date) || { date, rates: {}, source: '' };
+    const sources = new Set(today.source ? today.source.split('+') : []);
+    const results = {};
+
+    for (const currency of currencies) {
+        if (today.rates[currency]) {
+            console.log(`📅 Already have ${currency} rate for ${date}, skipping duplicate`);
+            continue;
+        }
+
+        const stored = FXRates.latest(history, currency);
+        const result = await fetchQuote(currency, `${currency} exchange rate`, { currency }, {
+            ...options,
+            consensus: false,
+            lastPrice: stored && { price: stored.rate, date: stored.date }
+        });
+
+        if (result) {
+            today.rates[currency] = result.price;
+            sources.add(result.source);
+        }
+
+        results[currency] = result;
+    }
+
+    if (Object.values(results).some(Boolean)) {
+        today.source = [...sources].join('+');
+
+        const updated = [...history.filter(entry => entry.date !== date), today]
+            .sort((a, b) => a.date.localeCompare(b.date));
+
+        await writeJSON(ratesFile, updated);
+        console.log(`💱 Updated exchange rates for ${date}`);
+    }
+
+    return results;
+}
+
+/**
+ * Adds the exchange rate on each gift date that has no stored rate from the
+ * week before it, such as gifts from before rates were collected, so their
+ * cost isn't worked out at a later rate. The rate kept is the last one quoted
+ * on or before the gift date, as there are none at weekends. Gift dates that
+ * can't be fetched are logged, and are costed at the nearest stored rate.
+ */
+export async function backfillExchangeRates(currencies, options) {
+    const ratesFile = path.join(options.dataDir, 'fx-rates.json');
+    const errorFile = path.join(options.dataDir, 'error-log.json');
+    const today = options.timestamp.slice(0, 10);
+    const day = 24 * 60 * 60 * 1000;
+    const history = await readJSON(ratesFile, []);
+    const added = [];
+
+    for (const currency of currencies) {
+        const dates = (await giftDatesIn(options.dataDir, currency)).filter(date => {
+            const stored = FXRates.rateOn(history, currency, date);
+            return date <= today && (!stored || stored.date > date || Date.parse(date) - Date.parse(stored.date) >= FX_HISTORY_DAYS * day);
+        });
+
+        if (dates.length === 0) continue;
+
+        const failures = [];
+        const provider = createCollectorProvider(options.env, {
+            ...options.providerOptions,
+            onAttemptFailed: (api, attempt, error) => failures.push(`${api.name} attempt ${attempt}: ${error.message}`)
+        });
+        const config = provider.prepareConfig(await readJSON(options.apisFile, null), currency);
+
+        for (const date of dates) {
+            const from = new Date(Date.parse(date) - (FX_HISTORY_DAYS - 1) * day).toISOString().slice(0, 10);
+            const { prices } = await provider.getHistory(config, from, date);
+            const rate = prices[prices.length - 1];
+
+            if (!rate) {
+                console.log(`❌ Could not fetch the ${currency} exchange rate for the gift on ${date}`);
+                await recordError(errorFile, {
+                    timestamp: options.timestamp,
+                    date: today,
+                    currency,
+                    error: `Failed to backfill the ${currency} exchange rate for ${date}`,
+                    details: failures.join('\n') || 'No available API has a history URL'
+                });
+                continue;
+            }
+
+            const entry = history.find(existing => existing.date === rate.date);
+
+            if (entry) {
+                entry.rates[currency] ??= rate.price;
+            } else {
+                history.push({ date: rate.date, rates: { [currency]: rate.price }, source: rate.source, backfilled: true });
+            }
+
+            added.push(`${currency} ${rate.date}`);
+        }
+    }
+
+    if (added.length > 0) {
+        await writeJSON(ratesFile, history.sort((a, b) => a.date.localeCompare(b.date)));
+        console.log(`💱 Backfilled exchange rates for gifts: ${added.join(', ')}`);
+    }
+
+    return added;
+}
+
+/**
+ * Fetches current prices for every metal and currency in use and updates the
+ * data files. `providerOptions` are passed on to createCollectorProvider.
+ */
+export async function collect({
+    dataDir = 'data',
+    apisFile = path.join(dataDir, 'apis.json'),
+    metals = null,
+    currencies = null,
+    consensus = false,
+    env = process.env,
+    providerOptions = {}
+} = {}) {
+    const timestamp = new Date().toISOString().replace(/\.\d{3}Z$/, 'Z');
+    const options = { dataDir, apisFile, consensus, env, timestamp, providerOptions };
+    const results = {};
+
+    for (const metal of metals || await metalsInUse(dataDir)) {
+        results[metal] = await collectMetal(metal, options);
+    }
+
+    const currencyList = currencies || await currenciesInUse(dataDir);
+    const rates = await collectExchangeRates(currencyList, options);
+    await backfillExchangeRates(currencyList, options);
+
+    const collected = Object.entries(results).filter(([, result]) => result);
+    const failed = [
+        ...Object.keys(results).filter(metal => !results[metal]),
+        ...Object.keys(rates).filter(currency => !rates[currency]).map(currency => `${currency} rate`)
+    ];
+
+    await setOutputs({
+        success: collected.length > 0,
+        date: timestamp.slice(0, 10),
+        summary: collected.map(([metal, result]) => `${Metals.get(metal).name} $${result.price} from ${result.source}`).join(', '),
+        failed: failed.join(', ')
+    });
+
+    return { ...results, rates };
+}
+
+if (isMain(import.meta.url)) {
+    const args = parseArgs(process.argv.slice(2));
+
+    collect({
+        dataDir: args['data-dir'],
+        apisFile: args.apis,
+        metals: typeof args.metal === 'string' ? args.metal.split(',') : null,
+        currencies: typeof args.currency === 'string' ? args.currency.split(',').map(FXRates.normalise) : null,
+        consensus: Boolean(args.consensus)
+    }).catch(error => {
+        console.error('❌ Collector failed:', error);
+        process.exit(1);
+    });
+}
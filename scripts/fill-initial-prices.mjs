@@ -0,0 +1,113 @@
+#!/usr/bin/env node
+import path from 'node:path';
+import { Metals } from '../assets/js/modules/metals.js';
+import { PriceHistory } from '../assets/js/modules/price-history.js';
+import { Utils } from '../assets/js/modules/utils.js';
+import { readJSON, readJSONWithLayout, writeJSON } from './lib/files.mjs';
+import { isMain, parseArgs } from './lib/cli.mjs';
+
+/**
+ * Fills in missing `initialPrice` values in recipients.json from the stored prices
+ *
+ * Each gift without an initialPrice gets the price on its giftDate (or the last
+ * day before it with a price), falling back to the average for its week or month
+ * when the daily prices don't go back that far. Run backfill-prices.mjs first
+ * for gifts older than the stored history. Gifts still to come are left until
+ * their day.
+ *
+ * Usage: node scripts/fill-initial-prices.mjs [--recipient bart] [--data-dir data]
+ *        [--recipients data/recipients.json] [--dry-run]
+ */
+
+/**
+ * Loads the stored daily, weekly and monthly prices for a metal
+ */
+export async function loadHistories(dataDir, metal) {
+    const histories = {};
+
+    for (const resolution of PriceHistory.RESOLUTIONS) {
+        histories[resolution] = await readJSON(path.join(dataDir, Metals.pricesFile(metal, resolution)), []);
+    }
+
+    return histories;
+}
+
+/**
+ * Gets the gift objects of a recipient that an initialPrice belongs on:
+ * each entry of `gifts`, or the recipient itself for a single gift
+ */
+function giftsOf(recipient) {
+    return Array.isArray(recipient.gifts) ? recipient.gifts : [recipient];
+}
+
+/**
+ * Fills in missing initial prices, returning a list of the changes made
+ */
+export async function fillInitialPrices({
+    dataDir = 'data',
+    file = path.join(dataDir, 'recipients.json'),
+    recipient = null,
+    dryRun = false
+} = {}) {
+    const { data: recipients, layout } = await readJSONWithLayout(file, {});
+    const histories = {};
+    const changes = [];
+
+    for (const [id, config] of Object.entries(recipients)) {
+        if (recipient && id !== recipient) continue;
+
+        const metal = Metals.get(config.metal).id;
+
+        for (const gift of giftsOf(config)) {
+            if (gift.initialPrice !== undefined && gift.initialPrice !== null && gift.initialPrice !== '') continue;
+
+            if (!gift.giftDate) {
+                console.log(`⏭️ ${id}: gift from ${gift.giverName || 'unknown'} has no giftDate`);
+                continue;
+            }
+
+            if (Utils.getTimeDifference(gift.giftDate)?.future) {
+                console.log(`⏭️ ${id}: gift on ${gift.giftDate} is still to come`);
+                continue;
+            }
+
+            histories[metal] ??= await loadHistories(dataDir, metal);
+            const found = PriceHistory.priceOn(gift.giftDate, histories[metal]);
+
+            if (!found) {
+                console.log(`❌ ${id}: no stored ${metal} price for ${gift.giftDate}, backfill it first`);
+                changes.push({ recipient: id, giftDate: gift.giftDate, price: null });
+                continue;
+            }
+
+            gift.initialPrice = Math.round(found.price * 100) / 100;
+
+            const note = found.resolution === 'daily' ? `on ${found.date}` : `${found.resolution} average from ${found.date}`;
+            console.log(`✅ ${id}: ${gift.giftDate} initialPrice ${gift.initialPrice} (${note})`);
+            changes.push({ recipient: id, giftDate: gift.giftDate, price: gift.initialPrice, ...found });
+        }
+    }
+
+    if (!dryRun && changes.some(change => change.price !== null)) {
+        await writeJSON(file, recipients, layout);
+        console.log(`📝 Updated ${file}`);
+    }
+
+    return changes;
+}
+
+if (isMain(import.meta.url)) {
+    const args = parseArgs(process.argv.slice(2));
+
+    fillInitialPrices({
+        dataDir: args['data-dir'],
+        file: args.recipients,
+        recipient: typeof args.recipient === 'string' ? args.recipient : null,
+        dryRun: Boolean(args['dry-run'])
+    }).then(changes => {
+        process.exit(changes.some(change => change.price === null) ? 1 : 0);
+    }).catch(error => {
+        console.error('❌ Filling initial prices failed:', error);
+        process.exit(1);
+    });
+}
@@ -0,0 +1,140 @@
+#!/usr/bin/env node
+import { access } from 'node:fs/promises';
+import path from 'node:path';
+import { Metals } from '../assets/js/modules/metals.js';
+import { FXRates } from '../assets/js/modules/fx-rates.js';
+import { GiftTokens } from '../assets/js/modules/gift-tokens.js';
+import { ConfigValidator } from '../assets/js/modules/config-validator.js';
+import { readJSON, readJSONWithLayout, writeJSON } from './lib/files.mjs';
+import { isMain, parseArgs } from './lib/cli.mjs';
+import { validateConfig } from './lib/config.mjs';
+
+/**
+ * Makes private ?gift= links and publishes the gifts they open
+ *
+ * Each recipient without a `token` is given a random one, saved in the
+ * recipients file, and data/gifts.json is written with every recipient's
+ * settings encrypted with their token. Only each gift's metal, currency and
+ * first gift date are left readable, for the collector. Once gifts.json is
+ * published the page only opens gifts from these links and no longer lists
+ * recipients. The recipients file holds every token, so it must be kept out
+ * of the published data directory: the script refuses to run while it, or a
+ * leftover recipients.json, is there, and only gifts.json is published.
+ *
+ * Re-run after changing a recipient; manage-config.mjs does this itself.
+ * --renew gives recipients new tokens, so their old links stop working.
+ *
+ * Usage: node scripts/gift-links.mjs --recipients ../gift-recipients.json [--data-dir data]
+ *        [--base-url https://you.github.io/silver-tracker/] [--renew bart,sam]
+ */
+
+/**
+ * Gets the dates of a recipient's gifts, oldest first
+ */
+function giftDates(config) {
+    return (Array.isArray(config.gifts) ? config.gifts : [config]).map(gift => gift.giftDate).sort();
+}
+
+/**
+ * Checks that tokens can't be published: the recipients file must be outside
+ * the data directory, and no recipients.json may be left in it.
+ * Throws an error saying what to move if not.
+ */
+export async function checkRecipientsFile(dataDir, recipientsFile) {
+    if (!recipientsFile) {
+        throw new Error('Pass --recipients with the path of your recipients file, outside the published data directory');
+    }
+
+    const relative = path.relative(path.resolve(dataDir), path.resolve(recipientsFile));
+
+    if (!relative.startsWith('..') && !path.isAbsolute(relative)) {
+        throw new Error(
+            `${recipientsFile} is published with the site, so anyone could read every gift token. ` +
+            `Move it out of ${dataDir} and pass its new path with --recipients`
+        );
+    }
+
+    const published = path.join(dataDir, 'recipients.json');
+
+    if (await access(published).then(() => true, () => false)) {
+        throw new Error(`${published} is still published with the site. Remove it (and git rm --cached it), so only gifts.json is published`);
+    }
+}
+
+/**
+ * Issues missing (or renewed) tokens and writes gifts.json, returning each
+ * recipient's link
+ */
+export async function publishGifts({
+    dataDir = 'data',
+    recipientsFile,
+    renew = [],
+    baseUrl = ''
+} = {}) {
+    await checkRecipientsFile(dataDir, recipientsFile);
+
+    const { data: recipients, layout } = await readJSONWithLayout(recipientsFile, {});
+    const { errors, warnings } = ConfigValidator.partition(await validateConfig('recipients', recipients));
+
+    warnings.forEach(warning => console.warn(`   ⚠️ ${ConfigValidator.format(warning)}`));
+
+    if (errors.length > 0) {
+        errors.forEach(error => console.error(`   ❌ ${ConfigValidator.format(error)}`));
+        throw new Error(`Fix ${recipientsFile} before publishing gifts`);
+    }
+
+    const issued = Object.entries(recipients)
+        .filter(([id, recipient]) => !recipient.token || renew.includes(id))
+        .map(([id, recipient]) => {
+            recipient.token = GiftTokens.generate();
+            return id;
+        });
+
+    if (issued.length > 0) {
+        await writeJSON(recipientsFile, recipients, layout);
+        console.log(`🔑 New links for ${issued.join(', ')} saved in ${recipientsFile}`);
+    }
+
+    const giftsFile = path.join(dataDir, 'gifts.json');
+    const existing = await readJSON(giftsFile, {});
+    const entries = [];
+    const links = {};
+
+    for (const [id, { token, ...config }] of Object.entries(recipients)) {
+        const lookupId = await GiftTokens.lookupId(token);
+        const previous = await GiftTokens.open(existing, token);
+        const currency = FXRates.normalise(config.currency);
+        const publicFields = { metal: Metals.get(config.metal).id, ...(currency && { currency }), since: giftDates(config)[0] };
+
+        // Unchanged gifts keep their ciphertext, so gifts.json only changes when a gift does
+        const unchanged = JSON.stringify(previous) === JSON.stringify({ id, config });
+        entries.push([lookupId, unchanged ? existing.gifts[lookupId] : await GiftTokens.seal(id, config, token, publicFields)]);
+
+        links[id] = `${baseUrl}?gift=${token}`;
+        console.log(`🔗 ${id} (${config.recipientName}): ${links[id]}`);
+    }
+
+    // Sorted by hash, so the order doesn't match recipients.json
+    const gifts = Object.fromEntries(entries.sort(([a], [b]) => a.localeCompare(b)));
+
+    if (JSON.stringify({ gifts }) !== JSON.stringify(existing)) {
+        await writeJSON(giftsFile, { gifts });
+        console.log(`📝 Updated ${giftsFile} (${entries.length} gifts)`);
+    }
+
+    return links;
+}
+
+if (isMain(import.meta.url)) {
+    const args = parseArgs(process.argv.slice(2));
+
+    publishGifts({
+        dataDir: args['data-dir'],
+        recipientsFile: args.recipients,
+        renew: typeof args.renew === 'string' ? args.renew.split(',') : [],
+        baseUrl: typeof args['base-url'] === 'string' ? args['base-url'] : ''
+    }).catch(error => {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    });
+}
@@ -0,0 +1,44 @@
+import { appendFile } from 'node:fs/promises';
+import { pathToFileURL } from 'node:url';
+
+/**
+ * Checks whether a module was run directly rather than imported
+ */
+export function isMain(moduleUrl) {
+    return Boolean(process.argv[1]) && moduleUrl === pathToFileURL(process.argv[1]).href;
+}
+
+/**
+ * Parses --name value pairs and bare --flags from the command line.
+ * Other arguments are collected, in order, in `_`.
+ */
+export function parseArgs(argv) {
+    const args = { _: [] };
+
+    for (let i = 0; i < argv.length; i++) {
+        if (!argv[i].startsWith('--')) {
+            args._.push(argv[i]);
+            continue;
+        }
+
+        const next = argv[i + 1];
+        if (next === undefined || next.startsWith('--')) {
+            args[argv[i].slice(2)] = true;
+        } else {
+            args[argv[i].slice(2)] = next;
+            i++;
+        }
+    }
+
+    return args;
+}
+
+/**
+ * Exposes the outcome to later workflow steps
+ */
+export async function setOutputs(outputs) {
+    if (!process.env.GITHUB_OUTPUT) return;
+
+    const lines = Object.entries(outputs).map(([key, value]) => `${key}=${value}`);
+    await appendFile(process.env.GITHUB_OUTPUT, lines.join('\n') + '\n');
+}
@@ -0,0 +1,24 @@
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { ConfigValidator } from '../../assets/js/modules/config-validator.js';
+import { readJSON } from './files.mjs';
+
+const SCHEMA_DIR = fileURLToPath(new URL('../../data/schemas/', import.meta.url));
+
+/**
+ * Loads a JSON schema from data/schemas, or null if it is missing
+ */
+export async function loadSchema(name) {
+    return await readJSON(path.join(SCHEMA_DIR, `${name}.schema.json`), null);
+}
+
+/**
+ * Validates recipients.json or apis.json data against its schema
+ */
+export async function validateConfig(name, data) {
+    const schema = await loadSchema(name);
+
+    return name === 'recipients'
+        ? ConfigValidator.validateRecipients(data, schema)
+        : ConfigValidator.validateAPIs(data, schema);
+}
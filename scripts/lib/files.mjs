@@ -0,0 +1,56 @@
+import { readFile, writeFile } from 'node:fs/promises';
+
+/**
+ * Reads a JSON file, returning the fallback if it is missing or empty
+ */
+export async function readJSON(file, fallback) {
+    try {
+        const text = await readFile(file, 'utf8');
+        return text.trim() ? JSON.parse(text) : fallback;
+    } catch (error) {
+        if (error.code === 'ENOENT') return fallback;
+        throw error;
+    }
+}
+
+/**
+ * Reads a hand-edited JSON file with its layout (indent, line ending, whether
+ * it ends in a newline and whether short lists sit on one line), so writeJSON
+ * can keep that layout
+ */
+export async function readJSONWithLayout(file, fallback) {
+    let text;
+
+    try {
+        text = await readFile(file, 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') return { data: fallback, layout: {} };
+        throw error;
+    }
+
+    return {
+        data: text.trim() ? JSON.parse(text) : fallback,
+        layout: {
+            indent: text.match(/^[ \t]+(?=")/m)?.[0] ?? 2,
+            eol: text.includes('\r\n') ? '\r\n' : '\n',
+            finalNewline: /\n$/.test(text),
+            inlineArrays: /:\s*\[[^\n[\]{}]+\]/.test(text)
+        }
+    };
+}
+
+/**
+ * Writes JSON in the same layout jq produced. Hand-edited files such as
+ * recipients.json pass their own indent and line ending to keep their layout.
+ */
+export async function writeJSON(file, data, { indent = 2, eol = '\n', finalNewline = true, inlineArrays = false } = {}) {
+    let text = JSON.stringify(data, null, indent);
+
+    if (inlineArrays) {
+        // Lists of plain values go on one line, as in apis.json's "assets"
+        text = text.replace(/\[\n\s*([^[\]{}]*?)\n\s*\]/g, (match, items) => `[${items.split(/,\n\s*/).join(', ')}]`);
+    }
+
+    text += finalNewline ? '\n' : '';
+    await writeFile(file, eol === '\n' ? text : text.replaceAll('\n', eol));
+}
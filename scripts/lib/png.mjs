@@ -0,0 +1,220 @@
+import { deflateSync } from 'node:zlib';
+
+/**
+ * A minimal RGB raster for drawing preview images without a canvas package:
+ * rectangles, thick lines, discs, filled areas under a line and blocky text
+ * in a 5×7 pixel font, saved as PNG.
+ */
+export class Raster {
+    // Rows of each glyph, five bits wide, top to bottom
+    static FONT = {
+        ' ': [0, 0, 0, 0, 0, 0, 0],
+        '0': [14, 17, 19, 21, 25, 17, 14],
+        '1': [4, 12, 4, 4, 4, 4, 14],
+        '2': [14, 17, 1, 2, 4, 8, 31],
+        '3': [30, 1, 1, 14, 1, 1, 30],
+        '4': [2, 6, 10, 18, 31, 2, 2],
+        '5': [31, 16, 30, 1, 1, 17, 14],
+        '6': [6, 8, 16, 30, 17, 17, 14],
+        '7': [31, 1, 2, 4, 8, 8, 8],
+        '8': [14, 17, 17, 14, 17, 17, 14],
+        '9': [14, 17, 17, 15, 1, 2, 12],
+        '+': [0, 4, 4, 31, 4, 4, 0],
+        '-': [0, 0, 0, 31, 0, 0, 0],
+        '.': [0, 0, 0, 0, 0, 12, 12],
+        ',': [0, 0, 0, 0, 12, 4, 8],
+        '%': [24, 25, 2, 4, 8, 19, 3],
+        '/': [1, 1, 2, 4, 8, 16, 16],
+        A: [14, 17, 17, 31, 17, 17, 17],
+        B: [30, 17, 17, 30, 17, 17, 30],
+        C: [14, 17, 16, 16, 16, 17, 14],
+        D: [30, 17, 17, 17, 17, 17, 30],
+        E: [31, 16, 16, 30, 16, 16, 31],
+        F: [31, 16, 16, 30, 16, 16, 16],
+        G: [14, 17, 16, 23, 17, 17, 15],
+        H: [17, 17, 17, 31, 17, 17, 17],
+        I: [14, 4, 4, 4, 4, 4, 14],
+        J: [7, 2, 2, 2, 2, 18, 12],
+        K: [17, 18, 20, 24, 20, 18, 17],
+        L: [16, 16, 16, 16, 16, 16, 31],
+        M: [17, 27, 21, 21, 17, 17, 17],
+        N: [17, 17, 25, 21, 19, 17, 17],
+        O: [14, 17, 17, 17, 17, 17, 14],
+        P: [30, 17, 17, 30, 16, 16, 16],
+        Q: [14, 17, 17, 17, 21, 18, 13],
+        R: [30, 17, 17, 30, 20, 18, 17],
+        S: [15, 16, 16, 14, 1, 1, 30],
+        T: [31, 4, 4, 4, 4, 4, 4],
+        U: [17, 17, 17, 17, 17, 17, 14],
+        V: [17, 17, 17, 17, 17, 10, 4],
+        W: [17, 17, 17, 21, 21, 21, 10],
+        X: [17, 17, 10, 4, 10, 17, 17],
+        Y: [17, 17, 10, 4, 4, 4, 4],
+        Z: [31, 1, 2, 4, 8, 16, 31]
+    };
+
+    constructor(width, height, background = '#ffffff') {
+        this.width = width;
+        this.height = height;
+        this.pixels = Buffer.alloc(width * height * 3);
+        this.rect(0, 0, width, height, background);
+    }
+
+    /**
+     * Parses a #rrggbb colour
+     */
+    static rgb(color) {
+        const value = parseInt(color.slice(1), 16);
+        return [value >> 16 & 255, value >> 8 & 255, value & 255];
+    }
+
+    /**
+     * Blends a colour into one pixel
+     */
+    plot(x, y, [r, g, b], alpha = 1) {
+        x = Math.round(x);
+        y = Math.round(y);
+        if (x < 0 || y < 0 || x >= this.width || y >= this.height) return;
+
+        const i = (y * this.width + x) * 3;
+        this.pixels[i] += Math.round((r - this.pixels[i]) * alpha);
+        this.pixels[i + 1] += Math.round((g - this.pixels[i + 1]) * alpha);
+        this.pixels[i + 2] += Math.round((b - this.pixels[i + 2]) * alpha);
+    }
+
+    /**
+     * Fills a rectangle
+     */
+    rect(x, y, width, height, color, alpha = 1) {
+        const rgb = Raster.rgb(color);
+
+        for (let row = Math.max(0, Math.round(y)); row < Math.min(this.height, Math.round(y + height)); row++) {
+            for (let column = Math.max(0, Math.round(x)); column < Math.min(this.width, Math.round(x + width)); column++) {
+                this.plot(column, row, rgb, alpha);
+            }
+        }
+    }
+
+    /**
+     * Fills a disc
+     */
+    disc(cx, cy, radius, color) {
+        const rgb = Raster.rgb(color);
+
+        for (let y = -radius; y <= radius; y++) {
+            for (let x = -radius; x <= radius; x++) {
+                if (x * x + y * y <= radius * radius) this.plot(cx + x, cy + y, rgb);
+            }
+        }
+    }
+
+    /**
+     * Draws a line of a given width, optionally dashed as [on, off] lengths
+     */
+    line(x0, y0, x1, y1, color, width = 1, dash = null) {
+        const length = Math.hypot(x1 - x0, y1 - y0);
+        const radius = Math.max(0, Math.round(width / 2) - 1);
+
+        for (let step = 0; step <= length; step++) {
+            if (dash && step % (dash[0] + dash[1]) >= dash[0]) continue;
+
+            const t = length === 0 ? 0 : step / length;
+            this.disc(x0 + (x1 - x0) * t, y0 + (y1 - y0) * t, radius, color);
+        }
+    }
+
+    /**
+     * Draws a line through points and shades the area down to `bottom`
+     */
+    area(points, bottom, color, { width = 4, fillAlpha = 0.15 } = {}) {
+        const rgb = Raster.rgb(color);
+
+        for (let i = 1; i < points.length; i++) {
+            const [x0, y0] = points[i - 1];
+            const [x1, y1] = points[i];
+
+            for (let x = Math.round(x0); x < Math.round(x1); x++) {
+                const top = y0 + (y1 - y0) * (x - x0) / (x1 - x0 || 1);
+                for (let y = Math.round(top); y < bottom; y++) this.plot(x, y, rgb, fillAlpha);
+            }
+        }
+
+        for (let i = 1; i < points.length; i++) {
+            this.line(...points[i - 1], ...points[i], color, width);
+        }
+    }
+
+    /**
+     * Measures text drawn at a scale (pixels per font pixel)
+     */
+    static textWidth(text, scale) {
+        return text.length * 6 * scale - scale;
+    }
+
+    /**
+     * Draws text in the pixel font, upper-cased, with unknown characters left blank
+     */
+    text(text, x, y, scale, color) {
+        [...String(text).toUpperCase()].forEach((char, index) => {
+            const rows = Raster.FONT[char] || Raster.FONT[' '];
+            const left = x + index * 6 * scale;
+
+            rows.forEach((bits, row) => {
+                for (let column = 0; column < 5; column++) {
+                    if (bits & (16 >> column)) this.rect(left + column * scale, y + row * scale, scale, scale, color);
+                }
+            });
+        });
+    }
+
+    /**
+     * Encodes the raster as a PNG
+     */
+    toPNG() {
+        const rows = Buffer.alloc((this.width * 3 + 1) * this.height);
+
+        for (let y = 0; y < this.height; y++) {
+            this.pixels.copy(rows, y * (this.width * 3 + 1) + 1, y * this.width * 3, (y + 1) * this.width * 3);
+        }
+
+        const header = Buffer.alloc(13);
+        header.writeUInt32BE(this.width, 0);
+        header.writeUInt32BE(this.height, 4);
+        header.set([8, 2, 0, 0, 0], 8);
+
+        return Buffer.concat([
+            Buffer.from([137, 80, 78, 71, 13, 10, 26, 10]),
+            Raster.chunk('IHDR', header),
+            Raster.chunk('IDAT', deflateSync(rows, { level: 9 })),
+            Raster.chunk('IEND', Buffer.alloc(0))
+        ]);
+    }
+
+    /**
+     * Builds a PNG chunk with its length and CRC
+     */
+    static chunk(type, data) {
+        const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+        const chunk = Buffer.alloc(body.length + 8);
+
+        chunk.writeUInt32BE(data.length, 0);
+        body.copy(chunk, 4);
+        chunk.writeUInt32BE(Raster.crc32(body), body.length + 4);
+
+        return chunk;
+    }
+
+    /**
+     * Calculates the CRC-32 PNG chunks end with
+     */
+    static crc32(bytes) {
+        let crc = -1;
+
+        for (const byte of bytes) {
+            crc ^= byte;
+            for (let bit = 0; bit < 8; bit++) crc = crc >>> 1 ^ (crc & 1 ? 0xedb88320 : 0);
+        }
+
+        return (crc ^ -1) >>> 0;
+    }
+}
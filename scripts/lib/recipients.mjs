@@ -0,0 +1,84 @@
+import path from 'node:path';
+import { Metals } from '../../assets/js/modules/metals.js';
+import { FXRates } from '../../assets/js/modules/fx-rates.js';
+import { readJSON } from './files.mjs';
+
+/**
+ * Loads recipients.json from a data directory
+ */
+export async function loadRecipients(dataDir) {
+    return await readJSON(path.join(dataDir, 'recipients.json'), {});
+}
+
+/**
+ * Gets the metal, currency and gift dates of every recipient: from
+ * recipients.json, and from the unencrypted fields of gifts.json for
+ * recipients kept private (see gift-links.mjs)
+ */
+export async function loadGiftSummaries(dataDir) {
+    const recipients = await loadRecipients(dataDir);
+    const sealed = await readJSON(path.join(dataDir, 'gifts.json'), {});
+
+    return [
+        ...Object.values(recipients).map(recipient => ({
+            metal: recipient.metal,
+            currency: recipient.currency,
+            giftDates: (Array.isArray(recipient.gifts) ? recipient.gifts : [recipient]).map(gift => gift.giftDate)
+        })),
+        ...Object.values(sealed.gifts || {}).map(gift => ({
+            metal: gift.metal,
+            currency: gift.currency,
+            giftDates: [gift.since]
+        }))
+    ];
+}
+
+/**
+ * Works out which metals to collect: silver plus every metal a recipient was given
+ */
+export async function metalsInUse(dataDir) {
+    const summaries = await loadGiftSummaries(dataDir);
+    const metals = summaries.map(summary => Metals.get(summary.metal).id);
+
+    return [...new Set([Metals.DEFAULT, ...metals])];
+}
+
+/**
+ * Works out which currencies recipients' gifts are shown in, other than US dollars
+ */
+export async function currenciesInUse(dataDir) {
+    const summaries = await loadGiftSummaries(dataDir);
+    const currencies = summaries.map(summary => FXRates.normalise(summary.currency));
+
+    return [...new Set(currencies)].filter(currency => currency && currency !== FXRates.BASE);
+}
+
+/**
+ * Gets the dates of every gift shown in a currency, oldest first
+ */
+export async function giftDatesIn(dataDir, currency) {
+    const summaries = await loadGiftSummaries(dataDir);
+
+    const dates = summaries
+        .filter(summary => FXRates.normalise(summary.currency) === currency)
+        .flatMap(summary => summary.giftDates)
+        .filter(Boolean);
+
+    return [...new Set(dates)].sort();
+}
+
+/**
+ * Gets the date of the earliest gift of a metal, or null if nobody was given it
+ */
+export async function earliestGiftDate(dataDir, metal) {
+    const summaries = await loadGiftSummaries(dataDir);
+    const { id } = Metals.get(metal);
+
+    const dates = summaries
+        .filter(summary => Metals.get(summary.metal).id === id)
+        .flatMap(summary => summary.giftDates)
+        .filter(Boolean)
+        .sort();
+
+    return dates[0] ?? null;
+}
@@ -0,0 +1,423 @@
+#!/usr/bin/env node
+import { access } from 'node:fs/promises';
+import path from 'node:path';
+import { Metals } from '../assets/js/modules/metals.js';
+import { FXRates } from '../assets/js/modules/fx-rates.js';
+import { PriceHistory } from '../assets/js/modules/price-history.js';
+import { ConfigValidator } from '../assets/js/modules/config-validator.js';
+import { Utils } from '../assets/js/modules/utils.js';
+import { readJSON, readJSONWithLayout, writeJSON } from './lib/files.mjs';
+import { isMain, parseArgs } from './lib/cli.mjs';
+import { loadSchema, validateConfig } from './lib/config.mjs';
+import { loadHistories } from './fill-initial-prices.mjs';
+import { checkRecipientsFile, publishGifts } from './gift-links.mjs';
+
+/**
+ * Lists, adds, edits and removes recipients and price providers, and checks
+ * recipients.json and apis.json against the schemas in data/schemas
+ *
+ * Every change is validated before it is written, and nothing is written if
+ * it adds a problem. A gift added without --price gets the stored price on its
+ * date as its initialPrice (run backfill-prices.mjs first for older gifts),
+ * except a gift still to come, whose price fill-initial-prices.mjs fills in
+ * once the day has come.
+ * Gifts are numbered from 1 in the order `recipients list` shows them.
+ * When gifts are published for private links, data/gifts.json is updated
+ * after each change to a recipient (see gift-links.mjs).
+ *
+ * Usage: node scripts/manage-config.mjs validate
+ *        node scripts/manage-config.mjs recipients list
+ *        node scripts/manage-config.mjs recipients add <id> --name <name> --giver <name> --date <YYYY-MM-DD>
+ *             --amount <weight> [--price <usd>] [--metal silver] [--currency PLN] [--locale pl] [--refresh 5]
+ *        node scripts/manage-config.mjs recipients add-gift <id> --giver <name> --date <YYYY-MM-DD>
+ *             --amount <weight> [--price <usd>]
+ *        node scripts/manage-config.mjs recipients edit <id> [--gift <n>] [any option above]
+ *             [--price suggest] [--unset currency,locale,refresh]
+ *        node scripts/manage-config.mjs recipients remove <id> [--gift <n>]
+ *        node scripts/manage-config.mjs providers list
+ *        node scripts/manage-config.mjs providers add <name> --url <url> --price-path <path> [--auth none]
+ *             [--priority <n>] [--time-path <path>] [--assets XAG,XAU] [--type fx] [--description <text>]
+ *             [--max-age-minutes <n>] [--collector-only]
+ *        node scripts/manage-config.mjs providers edit <name> [any option above] [--unset time-path,description]
+ *        node scripts/manage-config.mjs providers remove <name>
+ *        Every command also takes [--data-dir data] [--recipients data/recipients.json] [--dry-run]
+ */
+
+const RECIPIENT_OPTIONS = {
+    name: ['recipientName', String],
+    metal: ['metal', value => Metals.get(value).id],
+    currency: ['currency', value => FXRates.normalise(value) ?? value],
+    locale: ['locale', String],
+    refresh: ['refresh', value => isNaN(value) ? value : Number(value)]
+};
+
+const GIFT_OPTIONS = {
+    giver: ['giverName', String],
+    date: ['giftDate', String],
+    amount: ['amount', value => isNaN(value) ? value : Number(value)],
+    price: ['initialPrice', Number]
+};
+
+const PROVIDER_OPTIONS = {
+    url: ['url', String],
+    'price-path': ['price-path', String],
+    'time-path': ['time-path', String],
+    assets: ['assets', value => value.split(',').map(symbol => symbol.trim().toUpperCase())],
+    type: ['type', String],
+    auth: ['authentication', String],
+    priority: ['priority', Number],
+    'max-age-minutes': ['max-age-minutes', Number],
+    'collector-only': ['collector-only', value => value === true || value === 'true'],
+    description: ['description', String]
+};
+
+/**
+ * Copies the given command-line options onto an object under their config names
+ */
+function applyOptions(target, options, args) {
+    for (const [option, [key, convert]] of Object.entries(options)) {
+        if (args[option] !== undefined && args[option] !== 'suggest') target[key] = convert(args[option]);
+    }
+
+    for (const option of typeof args.unset === 'string' ? args.unset.split(',') : []) {
+        if (options[option]) delete target[options[option][0]];
+    }
+
+    return target;
+}
+
+/**
+ * Checks that the options a command needs were given
+ */
+function requireOptions(args, names) {
+    const missing = names.filter(name => args[name] === undefined || args[name] === true);
+    if (missing.length > 0) throw new Error(`Missing ${missing.map(name => `--${name}`).join(', ')}`);
+}
+
+/**
+ * Applies a change to recipients.json or apis.json, writing it in the file's
+ * own layout unless the change adds a problem. Warnings don't stop a change.
+ */
+async function updateConfig(file, name, change, { dryRun = false } = {}) {
+    const { data, layout } = await readJSONWithLayout(file, name === 'apis' ? { providers: [] } : {});
+    const before = new Set((await validateConfig(name, data)).map(ConfigValidator.format));
+
+    const message = await change(data);
+    const found = await validateConfig(name, data);
+    const problems = found.map(ConfigValidator.format);
+    const added = ConfigValidator.partition(found).errors
+        .map(ConfigValidator.format)
+        .filter(problem => !before.has(problem));
+
+    if (added.length > 0) {
+        added.forEach(problem => console.error(`   ❌ ${problem}`));
+        throw new Error(`Not saving ${file}: the change would add ${added.length} problem${added.length === 1 ? '' : 's'}`);
+    }
+
+    if (!dryRun) await writeJSON(file, data, layout);
+    console.log(`📝 ${message}${dryRun ? ' (dry run, nothing written)' : ` in ${file}`}`);
+
+    problems.forEach(problem => console.warn(`   ⚠️ Still to fix: ${problem}`));
+    return data;
+}
+
+/**
+ * Gets the stored price of a metal on a date, rounded to cents, for a new
+ * gift's initialPrice. Returns { price, date, resolution } or null.
+ */
+export async function suggestInitialPrice(dataDir, metal, date) {
+    const found = PriceHistory.priceOn(date, await loadHistories(dataDir, Metals.get(metal).id));
+    return found && { ...found, price: Math.round(found.price * 100) / 100 };
+}
+
+/**
+ * Fills in a gift's initialPrice from the stored prices when --price was not
+ * given, or was given as "suggest". A gift still to come is left without one.
+ */
+async function fillPrice(gift, metal, args, dataDir) {
+    if (args.price !== undefined && args.price !== 'suggest') return;
+    if (gift.initialPrice !== undefined && args.price !== 'suggest') return;
+
+    if (Utils.getTimeDifference(gift.giftDate)?.future) {
+        console.log(`💡 No initialPrice yet for a gift on ${gift.giftDate}, run fill-initial-prices.mjs once the day has come`);
+        return;
+    }
+
+    const found = await suggestInitialPrice(dataDir, metal, gift.giftDate);
+
+    if (!found) {
+        throw new Error(`No stored ${Metals.get(metal).id} price for ${gift.giftDate}; pass --price or run backfill-prices.mjs first`);
+    }
+
+    gift.initialPrice = found.price;
+
+    const note = found.resolution === 'daily' ? `on ${found.date}` : `${found.resolution} average from ${found.date}`;
+    console.log(`💡 initialPrice ${found.price} (${note})`);
+}
+
+/**
+ * Gets a recipient's gifts as stored: its `gifts` list, or itself for a single gift
+ */
+function giftsOf(recipient) {
+    return Array.isArray(recipient.gifts) ? recipient.gifts : [recipient];
+}
+
+/**
+ * Moves a single-gift recipient's gift into a `gifts` list, keeping the
+ * recipient's position in the file
+ */
+function toGiftList(recipients, id) {
+    const recipient = recipients[id];
+    if (Array.isArray(recipient.gifts)) return recipient.gifts;
+
+    const { giverName, giftDate, silverAmount, amount, initialPrice, ...rest } = recipient;
+    const gift = { giverName, giftDate, amount: amount ?? silverAmount, ...(initialPrice !== undefined && { initialPrice }) };
+    recipients[id] = { ...rest, gifts: [gift] };
+
+    return recipients[id].gifts;
+}
+
+/**
+ * Finds a recipient, or throws if there isn't one with that ID
+ */
+function getRecipient(recipients, id) {
+    if (!id) throw new Error('Give a recipient ID');
+    if (!recipients[id]) throw new Error(`There is no recipient "${id}"`);
+    return recipients[id];
+}
+
+/**
+ * Gets the gift picked with --gift, numbered from 1. It can be left out when
+ * a recipient has a single gift.
+ */
+function getGift(recipient, args) {
+    const gifts = giftsOf(recipient);
+    const number = args.gift === undefined ? (gifts.length === 1 ? 1 : null) : Number(args.gift);
+
+    if (number === null) throw new Error(`This recipient has ${gifts.length} gifts, pick one with --gift 1 to ${gifts.length}`);
+    if (!Number.isInteger(number) || number < 1 || number > gifts.length) {
+        throw new Error(`--gift must be from 1 to ${gifts.length}`);
+    }
+
+    return { gift: gifts[number - 1], number };
+}
+
+/**
+ * Prints every recipient with their gifts and any problems
+ */
+async function listRecipients(recipientsFile) {
+    const recipients = await readJSON(recipientsFile, {});
+    const schema = await loadSchema('recipients');
+
+    for (const [id, recipient] of Object.entries(recipients)) {
+        const details = [recipient.metal || Metals.DEFAULT, recipient.currency, recipient.locale, recipient.refresh && `refresh ${recipient.refresh}`];
+        console.log(`🎁 ${id}: ${recipient.recipientName} (${details.filter(Boolean).join(', ')})`);
+
+        giftsOf(recipient).forEach((gift, index) => {
+            const price = gift.initialPrice === undefined ? 'no initialPrice' : `$${gift.initialPrice}/oz`;
+            console.log(`   ${index + 1}. ${gift.giftDate} ${gift.amount ?? gift.silverAmount} from ${gift.giverName}, ${price}`);
+        });
+
+        for (const error of ConfigValidator.validateRecipients(recipients, schema, id)) {
+            console.log(`   ⚠️ ${ConfigValidator.format(error)}`);
+        }
+    }
+}
+
+/**
+ * Runs a `recipients` command
+ */
+export async function manageRecipients(action, id, args, {
+    dataDir = 'data',
+    recipientsFile = path.join(dataDir, 'recipients.json'),
+    dryRun = false
+} = {}) {
+    if (action === 'list') return await listRecipients(recipientsFile);
+
+    // With private links, refuse before saving anything if tokens would be published
+    const published = await access(path.join(dataDir, 'gifts.json')).then(() => true, () => false);
+    if (published) await checkRecipientsFile(dataDir, recipientsFile);
+
+    const recipients = await updateConfig(recipientsFile, 'recipients', async recipients => {
+        if (action === 'add') {
+            if (!id) throw new Error('Give the new recipient an ID, e.g. recipients add bart');
+            if (recipients[id]) throw new Error(`"${id}" already exists, use edit or add-gift`);
+            requireOptions(args, ['name', 'giver', 'date', 'amount']);
+
+            const recipient = applyOptions({}, RECIPIENT_OPTIONS, args);
+            applyOptions(recipient, GIFT_OPTIONS, args);
+            await fillPrice(recipient, recipient.metal, args, dataDir);
+
+            recipients[id] = recipient;
+            return `Added ${id}`;
+        }
+
+        const recipient = getRecipient(recipients, id);
+
+        if (action === 'add-gift') {
+            requireOptions(args, ['giver', 'date', 'amount']);
+
+            const gift = applyOptions({}, GIFT_OPTIONS, args);
+            await fillPrice(gift, recipient.metal, args, dataDir);
+            toGiftList(recipients, id).push(gift);
+
+            return `Added a gift from ${gift.giverName} to ${id}`;
+        }
+
+        if (action === 'edit') {
+            applyOptions(recipient, RECIPIENT_OPTIONS, args);
+
+            if (Object.keys(GIFT_OPTIONS).some(option => args[option] !== undefined)) {
+                const { gift, number } = getGift(recipient, args);
+                const options = { ...GIFT_OPTIONS };
+                const hadPrice = gift.initialPrice !== undefined;
+
+                // Gifts saved before amounts could be in grams keep their silverAmount key
+                if (gift.amount === undefined && gift.silverAmount !== undefined) {
+                    options.amount = ['silverAmount', GIFT_OPTIONS.amount[1]];
+                }
+
+                applyOptions(gift, options, args);
+                await fillPrice(gift, recipient.metal, args, dataDir);
+
+                if (hadPrice && args.date !== undefined && args.price === undefined) {
+                    console.log(`💡 initialPrice kept at ${gift.initialPrice}, pass --price suggest to use the price on ${gift.giftDate}`);
+                }
+
+                return `Updated gift ${number} of ${id}`;
+            }
+
+            return `Updated ${id}`;
+        }
+
+        if (action === 'remove') {
+            if (args.gift === undefined) {
+                delete recipients[id];
+                return `Removed ${id}`;
+            }
+
+            const { number } = getGift(recipient, args);
+            if (giftsOf(recipient).length === 1) throw new Error(`That is ${id}'s only gift, remove the recipient instead`);
+
+            recipient.gifts.splice(number - 1, 1);
+            return `Removed gift ${number} of ${id}`;
+        }
+
+        throw new Error(`Unknown recipients command "${action}", use list, add, add-gift, edit or remove`);
+    }, { dryRun });
+
+    if (!dryRun && published) {
+        await publishGifts({ dataDir, recipientsFile });
+    }
+
+    return recipients;
+}
+
+/**
+ * Gets the list of providers from apis.json, in either of its forms
+ */
+function providersOf(config) {
+    return Array.isArray(config) ? config : config.providers ??= [];
+}
+
+/**
+ * Runs a `providers` command
+ */
+export async function manageProviders(action, name, args, { dataDir = 'data', dryRun = false } = {}) {
+    if (action === 'list') {
+        const config = await readJSON(path.join(dataDir, 'apis.json'), { providers: [] });
+        const errors = await validateConfig('apis', config);
+
+        providersOf(config).forEach((provider, index) => {
+            const details = [
+                provider.type === 'fx' ? 'exchange rates' : (provider.assets || [provider.asset || 'XAG']).join(', '),
+                provider.authentication === 'none' ? 'no key' : `key ${provider.authentication}`,
+                provider['collector-only'] && 'collector only',
+                provider.history && 'history'
+            ];
+            console.log(`🔌 ${provider.priority}. ${provider.name} (${details.filter(Boolean).join(', ')})`);
+
+            const prefix = Array.isArray(config) ? `[${index}]` : `providers[${index}]`;
+            errors
+                .filter(error => error.path === prefix || error.path.startsWith(`${prefix}.`))
+                .forEach(error => console.log(`   ⚠️ ${ConfigValidator.format(error)}`));
+        });
+
+        return;
+    }
+
+    if (!name) throw new Error('Give a provider name');
+
+    return await updateConfig(path.join(dataDir, 'apis.json'), 'apis', async config => {
+        const providers = providersOf(config);
+        const index = providers.findIndex(provider => provider.name === name);
+
+        if (action === 'add') {
+            if (index !== -1) throw new Error(`There is already a provider "${name}", use edit`);
+            requireOptions(args, ['url', 'price-path']);
+
+            const priority = Math.max(0, ...providers.map(provider => provider.priority || 0)) + 1;
+            providers.push(applyOptions({ name }, PROVIDER_OPTIONS, { auth: 'none', priority, ...args }));
+
+            return `Added ${name}`;
+        }
+
+        if (index === -1) throw new Error(`There is no provider "${name}"`);
+
+        if (action === 'edit') {
+            applyOptions(providers[index], PROVIDER_OPTIONS, args);
+            return `Updated ${name}`;
+        }
+
+        if (action === 'remove') {
+            providers.splice(index, 1);
+            return `Removed ${name}`;
+        }
+
+        throw new Error(`Unknown providers command "${action}", use list, add, edit or remove`);
+    }, { dryRun });
+}
+
+/**
+ * Checks recipients.json and apis.json, printing every problem and warning.
+ * Returns the number of problems found, not counting warnings.
+ */
+export async function validate({ dataDir = 'data', recipientsFile = path.join(dataDir, 'recipients.json') } = {}) {
+    let total = 0;
+
+    for (const [name, file] of [['recipients', recipientsFile], ['apis', path.join(dataDir, 'apis.json')]]) {
+        const found = await validateConfig(name, await readJSON(file, name === 'apis' ? { providers: [] } : {}));
+        const { errors, warnings } = ConfigValidator.partition(found);
+        const warned = warnings.length > 0 ? `, ${warnings.length} warning${warnings.length === 1 ? '' : 's'}` : '';
+
+        console.log(`${errors.length === 0 ? '✅' : '❌'} ${file}: ${errors.length} problem${errors.length === 1 ? '' : 's'}${warned}`);
+        errors.forEach(error => console.log(`   ${ConfigValidator.format(error)}`));
+        warnings.forEach(warning => console.log(`   ⚠️ ${ConfigValidator.format(warning)}`));
+
+        total += errors.length;
+    }
+
+    return total;
+}
+
+if (isMain(import.meta.url)) {
+    const args = parseArgs(process.argv.slice(2));
+    const [command, action, name] = args._;
+    const options = { dataDir: args['data-dir'], recipientsFile: args.recipients, dryRun: Boolean(args['dry-run']) };
+
+    const run = {
+        validate: async () => await validate(options) > 0 ? 1 : 0,
+        recipients: async () => (await manageRecipients(action || 'list', name, args, options), 0),
+        providers: async () => (await manageProviders(action || 'list', name, args, options), 0)
+    }[command];
+
+    if (!run) {
+        console.error('Usage: node scripts/manage-config.mjs validate | recipients <list|add|add-gift|edit|remove> | providers <list|add|edit|remove>');
+        process.exit(1);
+    }
+
+    run().then(status => process.exit(status)).catch(error => {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    });
+}
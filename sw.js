@@ -0,0 +1,124 @@
+/**
+ * Service worker: keeps the page, scripts and last-fetched data available offline
+ *
+ * - Page loads, scripts and data/ files go to the network first and fall back
+ *   to the cache, so a page never mixes modules from different releases
+ * - Other same-origin files are served from the cache and refreshed in the background
+ * - Requests to price APIs on other origins are left alone
+ *
+ * PRECACHE lists every module app.js imports, so the first visit offline can
+ * start the page (tests/service-worker.test.mjs checks it is complete).
+ * Bump CACHE_VERSION to drop old caches after a release.
+ */
+
+const CACHE_VERSION = 'v3';
+const CACHE_NAME = `gift-tracker-${CACHE_VERSION}`;
+
+const PRECACHE = [
+    './',
+    'index.html',
+    'assets/css/styles.css',
+    'assets/js/chart.min.js',
+    'assets/js/app.js',
+    'assets/js/modules/api-manager.js',
+    'assets/js/modules/certificate.js',
+    'assets/js/modules/config-validator.js',
+    'assets/js/modules/data-manager.js',
+    'assets/js/modules/fx-rates.js',
+    'assets/js/modules/gift-tokens.js',
+    'assets/js/modules/i18n.js',
+    'assets/js/modules/json-path.js',
+    'assets/js/modules/key-store.js',
+    'assets/js/modules/local-cache.js',
+    'assets/js/modules/messages.js',
+    'assets/js/modules/metals.js',
+    'assets/js/modules/portfolio.js',
+    'assets/js/modules/price-history.js',
+    'assets/js/modules/price-provider.js',
+    'assets/js/modules/price-refresher.js',
+    'assets/js/modules/safe-html.js',
+    'assets/js/modules/settings-panel.js',
+    'assets/js/modules/ui-renderer.js',
+    'assets/js/modules/units.js',
+    'assets/js/modules/utils.js'
+];
+
+self.addEventListener('install', event => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(PRECACHE))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith('gift-tracker-') && key !== CACHE_NAME)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', event => {
+    const request = event.request;
+    const url = new URL(request.url);
+
+    if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+    if (request.mode === 'navigate') {
+        // Every recipient shares index.html, so pages are cached without their
+        // query string, which can hold gift tokens or keys from old links
+        event.respondWith(networkFirst(request, { ignoreSearch: true }, url.origin + url.pathname));
+    } else if (url.pathname.includes('/data/') || url.pathname.endsWith('.js')) {
+        event.respondWith(networkFirst(request));
+    } else {
+        event.respondWith(staleWhileRevalidate(event, request));
+    }
+});
+
+/**
+ * Fetches a request and stores a copy of successful responses, under
+ * `cacheKey` if given
+ */
+async function fetchAndCache(request, cacheKey = request) {
+    const response = await fetch(request);
+
+    if (response.ok) {
+        const cache = await caches.open(CACHE_NAME);
+        await cache.put(cacheKey, response.clone());
+    }
+
+    return response;
+}
+
+/**
+ * Tries the network, falling back to the cached copy when offline
+ */
+async function networkFirst(request, matchOptions = {}, cacheKey = request) {
+    try {
+        return await fetchAndCache(request, cacheKey);
+    } catch (error) {
+        const cached = await caches.match(request, matchOptions) ||
+            (request.mode === 'navigate' && await caches.match('index.html'));
+
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+/**
+ * Serves the cached copy straight away and updates it from the network
+ */
+async function staleWhileRevalidate(event, request) {
+    const cached = await caches.match(request);
+    const update = fetchAndCache(request);
+
+    if (cached) {
+        event.waitUntil(update.catch(() => {}));
+        return cached;
+    }
+
+    return update;
+}
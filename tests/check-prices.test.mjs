@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { findIssues, dedupeAndSort, interpolateGaps, countProblems } from '../scripts/check-prices.mjs';
+
+test('finds missing days, optionally skipping weekends', () => {
+    // 2026-10-09 is a Friday and 2026-10-12 the Monday after
+    const prices = [{ date: '2026-10-08', price: 30 }, { date: '2026-10-09', price: 30 }, { date: '2026-10-13', price: 30 }];
+
+    assert.deepEqual(findIssues(prices).gaps, [{ from: '2026-10-10', to: '2026-10-12', days: 3 }]);
+    assert.deepEqual(findIssues(prices, { skipWeekends: true }).gaps, [{ from: '2026-10-12', to: '2026-10-12', days: 1 }]);
+    assert.deepEqual(findIssues(prices.slice(0, 2), { skipWeekends: true }).gaps, []);
+});
+
+test('finds duplicate dates and entries out of order', () => {
+    const prices = [{ date: '2026-10-02', price: 30 }, { date: '2026-10-01', price: 30 }, { date: '2026-10-02', price: 31 }];
+    const issues = findIssues(prices);
+
+    assert.deepEqual(issues.duplicates, [{ date: '2026-10-02', count: 2 }]);
+    assert.deepEqual(issues.unsorted, [{ index: 1, date: '2026-10-01', after: '2026-10-02' }]);
+    assert.deepEqual(issues.gaps, []);
+});
+
+test('finds spikes larger than spikePercent for each day between entries', () => {
+    const prices = [
+        { date: '2026-10-01', price: 30 },
+        { date: '2026-10-02', price: 40 },
+        { date: '2026-10-05', price: 50 },
+        { date: '2026-10-06', price: 30 }
+    ];
+    const { spikes } = findIssues(prices, { spikePercent: 20 });
+
+    assert.deepEqual(spikes.map(spike => [spike.date, spike.days]), [['2026-10-02', 1], ['2026-10-06', 1]]);
+    assert.equal(spikes[1].changePercent, -40);
+    assert.deepEqual(findIssues(prices, { spikePercent: 50 }).spikes, []);
+});
+
+test('leaves spikes out of the problem count unless asked', () => {
+    const issues = findIssues([{ date: '2026-10-01', price: 30 }, { date: '2026-10-02', price: 60 }]);
+
+    assert.equal(issues.spikes.length, 1);
+    assert.equal(countProblems(issues), 0);
+    assert.equal(countProblems(issues, { spikes: true }), 1);
+});
+
+test('keeps the first entry for each date and sorts', () => {
+    const prices = [{ date: '2026-10-02', price: 31 }, { date: '2026-10-01', price: 30 }, { date: '2026-10-02', price: 99 }];
+
+    assert.deepEqual(dedupeAndSort(prices), [{ date: '2026-10-01', price: 30 }, { date: '2026-10-02', price: 31 }]);
+});
+
+test('interpolates gaps along a straight line, flagging the added prices', () => {
+    const prices = [{ date: '2026-10-01', price: 30 }, { date: '2026-10-05', price: 34 }];
+    const result = interpolateGaps(prices, findIssues(prices).gaps);
+
+    assert.equal(result.added, 3);
+    assert.deepEqual(result.prices.map(entry => entry.price), [30, 31, 32, 33, 34]);
+    assert.deepEqual(result.prices[1], { date: '2026-10-02', price: 31, source: 'interpolated', interpolated: true });
+});
+
+test('interpolates only weekdays when skipping weekends, and not past the ends', () => {
+    // 2026-10-09 is a Friday
+    const prices = [{ date: '2026-10-09', price: 30 }, { date: '2026-10-13', price: 34 }];
+    const weekdays = interpolateGaps(prices, [{ from: '2026-10-10', to: '2026-10-12' }], { skipWeekends: true });
+
+    assert.deepEqual(weekdays.prices.map(entry => [entry.date, entry.price]), [['2026-10-09', 30], ['2026-10-12', 33], ['2026-10-13', 34]]);
+    assert.equal(interpolateGaps(prices, [{ from: '2026-10-14', to: '2026-10-15' }]).added, 0);
+});
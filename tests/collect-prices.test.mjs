@@ -0,0 +1,231 @@
+import { test, mock, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+import { mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { collect } from '../scripts/collect-prices.mjs';
+import { readJSON } from '../scripts/lib/files.mjs';
+
+// What each mock provider answers, by path: a price, an HTTP status to fail
+// with, or an object to send as it is
+let responses = {};
+let requests = [];
+let server;
+let baseUrl;
+let dataDir;
+
+before(async () => {
+    server = http.createServer((request, response) => {
+        const name = request.url.slice(1).split('?')[0];
+        const answer = responses[name];
+        requests.push(request.url.slice(1));
+
+        if (typeof answer === 'number' && answer >= 400) {
+            response.writeHead(answer).end();
+            return;
+        }
+
+        response.writeHead(200, { 'Content-Type': 'application/json' });
+        response.end(JSON.stringify(typeof answer === 'object' ? answer : { price: answer, updatedAt: new Date().toISOString() }));
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+afterEach(() => {
+    mock.restoreAll();
+    return rm(dataDir, { recursive: true, force: true });
+});
+
+beforeEach(async () => {
+    responses = {};
+    requests = [];
+
+    // The collector's progress logs share stdout with the test runner, which
+    // can fail to read its results when they are interleaved
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+    dataDir = await mkdtemp(path.join(os.tmpdir(), 'collect-prices-'));
+
+    // Listed out of order, so the test also checks providers are sorted by priority
+    const provider = (name, priority) => ({
+        name,
+        url: `${baseUrl}/${name}`,
+        'price-path': 'price',
+        'time-path': 'updatedAt',
+        assets: ['XAG'],
+        authentication: 'none',
+        priority
+    });
+
+    await writeFile(path.join(dataDir, 'apis.json'), JSON.stringify({
+        validation: { XAG: { min: 5, max: 500 } },
+        providers: [
+            provider('second', 2),
+            provider('first', 1),
+            {
+                name: 'fx',
+                type: 'fx',
+                url: `${baseUrl}/fx`,
+                'price-path': 'price',
+                'time-path': 'updatedAt',
+                history: { url: `${baseUrl}/fx-history?from={start}&to={end}`, 'series-path': 'rates', 'price-path': '{symbol}' },
+                authentication: 'none',
+                priority: 1
+            }
+        ]
+    }));
+});
+
+/**
+ * Runs the collector for silver against the mock providers, without waiting between retries
+ */
+function collectSilver() {
+    return collect({
+        dataDir,
+        metals: ['silver'],
+        currencies: [],
+        env: {},
+        providerOptions: { maxAttempts: 2, sleep: async () => {} }
+    });
+}
+
+/**
+ * Reads the data files the collector writes, null for those it didn't
+ */
+async function readData() {
+    return {
+        daily: await readJSON(path.join(dataDir, 'daily-prices.json'), null),
+        intraday: await readJSON(path.join(dataDir, 'intraday-prices.json'), null),
+        latest: await readJSON(path.join(dataDir, 'latest-prices.json'), null),
+        errors: await readJSON(path.join(dataDir, 'error-log.json'), null)
+    };
+}
+
+test('writes the daily, intraday and latest prices from the first provider', async () => {
+    responses = { first: 31.5, second: 32 };
+
+    const result = await collectSilver();
+    const { daily, intraday, latest, errors } = await readData();
+    const today = new Date().toISOString().slice(0, 10);
+
+    assert.equal(result.silver.source, 'first');
+    assert.deepEqual(requests, ['first']);
+    assert.deepEqual(daily, [{ date: today, price: 31.5, source: 'first', open: 31.5, high: 31.5, low: 31.5, close: 31.5 }]);
+    assert.equal(intraday.length, 1);
+    assert.equal(intraday[0].price, 31.5);
+    assert.equal(latest.silver.price, 31.5);
+    assert.equal(latest.silver.source, 'first');
+    assert.equal(errors, null);
+});
+
+test('updates the high, low and close when the day is already stored', async () => {
+    responses = { first: 31.5 };
+    await collectSilver();
+    responses = { first: 33 };
+    await collectSilver();
+
+    const { daily, latest } = await readData();
+
+    assert.equal(daily.length, 1);
+    assert.equal(daily[0].price, 31.5);
+    assert.equal(daily[0].high, 33);
+    assert.equal(daily[0].close, 33);
+    assert.equal(latest.silver.price, 33);
+});
+
+test('falls through to the next provider when one fails', async () => {
+    responses = { first: 500, second: 32 };
+
+    const result = await collectSilver();
+    const { daily, latest, errors } = await readData();
+
+    assert.equal(result.silver.source, 'second');
+    assert.deepEqual(requests, ['first', 'first', 'second']);
+    assert.equal(daily[0].source, 'second');
+    assert.equal(latest.silver.price, 32);
+    assert.equal(errors, null);
+});
+
+test('logs a rejected price and uses the next provider', async () => {
+    responses = { first: 1, second: 32 };
+
+    const result = await collectSilver();
+    const { errors } = await readData();
+
+    assert.equal(result.silver.source, 'second');
+    assert.deepEqual(requests, ['first', 'second'], 'a rejected price is not retried');
+    assert.equal(errors.length, 1);
+    assert.equal(errors[0].error, 'Rejected silver price from first');
+    assert.equal(errors[0].details, 'below minimum of 5');
+    assert.equal(errors[0].value, 1);
+});
+
+test('logs an error and writes no prices when every provider fails', async () => {
+    responses = { first: 500, second: 503 };
+
+    const result = await collectSilver();
+    const { daily, intraday, latest, errors } = await readData();
+
+    assert.equal(result.silver, null);
+    assert.deepEqual(requests, ['first', 'first', 'second', 'second']);
+    assert.equal(daily, null);
+    assert.equal(intraday, null);
+    assert.equal(latest, null);
+    assert.equal(errors.length, 1);
+    assert.equal(errors[0].metal, 'silver');
+    assert.equal(errors[0].error, 'Failed to fetch silver price from first, second');
+    assert.match(errors[0].details, /first attempt 1: HTTP 500/);
+    assert.match(errors[0].details, /second attempt 2: HTTP 503/);
+});
+
+/**
+ * Writes a recipient given silver in 2024, shown in złoty, and rates stored since 2026
+ */
+async function writeZlotyGift() {
+    await writeFile(path.join(dataDir, 'recipients.json'), JSON.stringify({
+        bart: { recipientName: 'Bart', giverName: 'Luke', currency: 'PLN', giftDate: '2024-09-22', amount: '5 oz', initialPrice: 31 }
+    }));
+    await writeFile(path.join(dataDir, 'fx-rates.json'), JSON.stringify([
+        { date: '2026-01-05', rates: { PLN: 3.6 }, source: 'fx' }
+    ]));
+}
+
+test('fetches the exchange rate on the day of a gift older than the stored rates', async () => {
+    await writeZlotyGift();
+    responses = {
+        fx: 3.7,
+        'fx-history': { rates: { '2024-09-19': { PLN: 3.84 }, '2024-09-20': { PLN: 3.83 } } }
+    };
+
+    await collect({ dataDir, metals: [], env: {}, providerOptions: { maxAttempts: 1 } });
+    const rates = await readJSON(path.join(dataDir, 'fx-rates.json'), null);
+
+    assert.ok(requests.includes('fx-history?from=2024-09-16&to=2024-09-22'), 'the week up to the gift is requested');
+    assert.deepEqual(rates[0], { date: '2024-09-20', rates: { PLN: 3.83 }, source: 'fx', backfilled: true });
+    assert.equal(rates[1].date, '2026-01-05');
+
+    requests = [];
+    await collect({ dataDir, metals: [], env: {}, providerOptions: { maxAttempts: 1 } });
+
+    assert.ok(!requests.some(request => request.startsWith('fx-history')), 'a backfilled rate is not fetched again');
+});
+
+test('logs an error and keeps the stored rates when the gift day can\'t be fetched', async () => {
+    await writeZlotyGift();
+    responses = { fx: 3.7, 'fx-history': 500 };
+
+    await collect({ dataDir, metals: [], env: {}, providerOptions: { maxAttempts: 1 } });
+    const rates = await readJSON(path.join(dataDir, 'fx-rates.json'), null);
+    const { errors } = await readData();
+
+    assert.equal(rates[0].date, '2026-01-05');
+    assert.equal(errors.length, 1);
+    assert.equal(errors[0].currency, 'PLN');
+    assert.equal(errors[0].error, 'Failed to backfill the PLN exchange rate for 2024-09-22');
+    assert.match(errors[0].details, /fx attempt 1: HTTP 500/);
+});
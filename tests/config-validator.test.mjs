@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ConfigValidator } from '../assets/js/modules/config-validator.js';
+import { I18n } from '../assets/js/modules/i18n.js';
+import { loadSchema, validateConfig } from '../scripts/lib/config.mjs';
+import { readJSON } from '../scripts/lib/files.mjs';
+
+const schema = await loadSchema('recipients');
+const gift = { giverName: 'Mum', giftDate: '2024-05-01', amount: '2 oz', initialPrice: 25 };
+
+/**
+ * Validates one recipient, returning "path key" for each error
+ */
+function problemsWith(recipient) {
+    return ConfigValidator.validateRecipients({ sam: recipient }, schema, 'sam').map(error => `${error.path} ${error.key}`);
+}
+
+test('accepts the recipients and providers in data/', async () => {
+    assert.deepEqual(await validateConfig('recipients', await readJSON('data/recipients.json', {})), []);
+    assert.deepEqual(await validateConfig('apis', await readJSON('data/apis.json', {})), []);
+});
+
+test('accepts a single gift and a list of gifts', () => {
+    assert.deepEqual(problemsWith({ recipientName: 'Sam', ...gift }), []);
+    assert.deepEqual(problemsWith({ recipientName: 'Sam', currency: 'pln', locale: 'pl', gifts: [gift, { ...gift, amount: '100 g' }] }), []);
+});
+
+test('reports each mistake with its path', () => {
+    assert.deepEqual(problemsWith({ recipientName: '', gifts: [{ ...gift, giftDate: '2024-02-30', amount: 'a coin' }] }), [
+        'sam.recipientName empty',
+        'sam.gifts[0].giftDate date',
+        'sam.gifts[0].amount amount'
+    ]);
+    assert.deepEqual(problemsWith({ recipientName: 'Sam', ...gift, curency: 'PLN', metal: 'tin' }), [
+        'sam.curency unknownSuggest',
+        'sam.metal enum'
+    ]);
+    assert.deepEqual(problemsWith({ recipientName: 'Sam', gifts: [] }), ['sam.gifts minItems']);
+    assert.deepEqual(problemsWith({ recipientName: 'Sam', ...gift, initialPrice: '25' }), ['sam.initialPrice type']);
+    assert.ok(problemsWith(undefined).includes('sam notFound'));
+});
+
+test('rejects recipient IDs that cannot go in a link', () => {
+    const errors = ConfigValidator.validateRecipients({ 'sam smith': { recipientName: 'Sam', ...gift } }, schema);
+
+    assert.deepEqual(errors.map(error => `${error.path} ${error.key}`), ['["sam smith"] invalidName']);
+});
+
+test('describes errors in the recipient\'s language', () => {
+    const [error] = ConfigValidator.validateRecipients({ sam: { recipientName: 'Sam', ...gift, initialPrice: '25' } }, schema, 'sam');
+
+    assert.equal(ConfigValidator.format(error), 'sam.initialPrice: must be a number, not a string');
+    assert.equal(ConfigValidator.describe(error, new I18n('pl')), 'musi być liczbą, a nie tekstem');
+});
+
+test('checks provider names and key placeholders in apis.json', async () => {
+    const provider = { name: 'a', url: 'https://a.test/?key={akey}', 'price-path': 'price', authentication: 'akey', priority: 1 };
+    const errors = await validateConfig('apis', { providers: [provider, { ...provider, url: 'https://a.test/' }] });
+
+    assert.deepEqual(errors.map(error => `${error.path} ${error.key}`), ['providers[1].name duplicateName', 'providers[1].url keyPlaceholder']);
+});
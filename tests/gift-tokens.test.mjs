@@ -0,0 +1,63 @@
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { GiftTokens } from '../assets/js/modules/gift-tokens.js';
+
+const config = { recipientName: 'Ada', giverName: 'Mum', giftDate: '2024-05-01', amount: '1 oz', initialPrice: 25 };
+
+/**
+ * Seals a gift for a new token, returning the token and a gifts.json with it
+ */
+async function sealGift() {
+    const token = GiftTokens.generate();
+    const entry = await GiftTokens.seal('ada', config, token, { metal: 'silver' });
+
+    return { token, entry, sealed: { gifts: { [await GiftTokens.lookupId(token)]: entry } } };
+}
+
+afterEach(() => {
+    mock.restoreAll();
+});
+
+test('makes tokens that fit in a link', () => {
+    const tokens = new Set(Array.from({ length: 20 }, () => GiftTokens.generate()));
+
+    assert.equal(tokens.size, 20);
+    for (const token of tokens) assert.ok(GiftTokens.isToken(token), token);
+});
+
+test('opens a sealed gift with its token', async () => {
+    const { token, entry, sealed } = await sealGift();
+
+    assert.equal(entry.metal, 'silver');
+    assert.ok(!JSON.stringify(entry).includes('Ada'), 'the settings should not be readable');
+    assert.deepEqual(await GiftTokens.open(sealed, token), { id: 'ada', config });
+});
+
+test('opens nothing with a wrong or malformed token', async () => {
+    const { sealed } = await sealGift();
+
+    assert.equal(await GiftTokens.open(sealed, GiftTokens.generate()), null);
+    assert.equal(await GiftTokens.open(sealed, 'short'), null);
+    assert.equal(await GiftTokens.open(sealed, null), null);
+    assert.equal(await GiftTokens.open(null, GiftTokens.generate()), null);
+});
+
+test('opens nothing when the gift is filed under another token', async () => {
+    const { entry } = await sealGift();
+    const other = GiftTokens.generate();
+    mock.method(console, 'error', () => {});
+
+    assert.equal(await GiftTokens.open({ gifts: { [await GiftTokens.lookupId(other)]: entry } }, other), null);
+    assert.equal(console.error.mock.callCount(), 1);
+});
+
+test('opens nothing when the ciphertext has been tampered with', async () => {
+    const { token, entry, sealed } = await sealGift();
+    const data = GiftTokens.fromBase64(entry.data);
+    data[0] ^= 1;
+    entry.data = GiftTokens.toBase64(data);
+    mock.method(console, 'error', () => {});
+
+    assert.equal(await GiftTokens.open(sealed, token), null);
+    assert.equal(console.error.mock.callCount(), 1);
+});
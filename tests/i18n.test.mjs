@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { I18n } from '../assets/js/modules/i18n.js';
+import { SafeHTML } from '../assets/js/modules/safe-html.js';
+
+const { html } = SafeHTML;
+
+test('picks the Polish one, few and many forms', () => {
+    const i18n = new I18n('pl');
+    const years = count => i18n.t('units.year', { count });
+
+    assert.equal(years(1), '1 rok');
+    assert.equal(years(2), '2 lata');
+    assert.equal(years(4), '4 lata');
+    assert.equal(years(5), '5 lat');
+    assert.equal(years(12), '12 lat');
+    assert.equal(years(22), '22 lata');
+    assert.equal(years(25), '25 lat');
+    assert.equal(years(1.5), '1,5 roku');
+});
+
+test('picks the English one and other forms', () => {
+    const i18n = new I18n('en-GB');
+
+    assert.equal(i18n.t('units.day', { count: 1 }), '1 day');
+    assert.equal(i18n.t('units.day', { count: 2 }), '2 days');
+    assert.equal(i18n.t('units.day', { count: 1000 }), '1,000 days');
+});
+
+test('falls back to English for messages and languages without a translation', () => {
+    assert.equal(new I18n('pl').t('date', { day: '1', month: 'maj', year: '2024' }), '1 maj, 2024');
+    assert.equal(new I18n('de').t('time.ago', { time: '5 Tagen' }), '5 Tagen ago');
+    assert.equal(new I18n('pl').t('time.ago', { time: '5 dni' }), '5 dni temu');
+    assert.equal(new I18n('pl').t('no.such.message'), 'no.such.message');
+});
+
+test('falls back to English for an invalid locale', (t) => {
+    t.mock.method(console, 'warn', () => {});
+    const i18n = new I18n('not a locale!');
+
+    assert.equal(i18n.locale, 'en');
+    assert.equal(i18n.t('units.year', { count: 2 }), '2 years');
+});
+
+test('escapes message text but not SafeHTML parameters', () => {
+    const i18n = new I18n('en');
+    const markup = String(i18n.html('time.ago', { time: html`<strong>${'<5> days'}</strong>` }));
+
+    assert.equal(markup, '<strong>&lt;5&gt; days</strong> ago');
+    assert.equal(String(i18n.html('time.ago', { time: '<b>' })), '&lt;b&gt; ago');
+});
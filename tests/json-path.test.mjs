@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSONPath } from '../assets/js/modules/json-path.js';
+
+const quote = {
+    'Global Quote': { '05. price': '31.25' },
+    data: [{ price: 30 }, { price: 31 }, { price: 32 }],
+    rates: [{ symbol: 'XAU', price: 2400 }, { symbol: 'XAG', price: 31.5 }],
+    "it's": { value: 1 }
+};
+
+test('reads dot-separated keys, with or without the root', () => {
+    assert.equal(JSONPath.evaluate({ data: { price: 30 } }, 'data.price'), 30);
+    assert.equal(JSONPath.evaluate({ data: { price: 30 } }, '$.data.price'), 30);
+    assert.equal(JSONPath.evaluate({ price: 30 }, 'price'), 30);
+});
+
+test('reads bracket-quoted keys with dots, spaces and escaped quotes', () => {
+    assert.equal(JSONPath.evaluate(quote, "['Global Quote']['05. price']"), '31.25');
+    assert.equal(JSONPath.evaluate(quote, '$["Global Quote"]["05. price"]'), '31.25');
+    assert.equal(JSONPath.evaluate(quote, "['it\\'s'].value"), 1);
+});
+
+test('reads array indexes, counting negative ones from the end', () => {
+    assert.equal(JSONPath.evaluate(quote, 'data[0].price'), 30);
+    assert.equal(JSONPath.evaluate(quote, 'data[-1].price'), 32);
+    assert.equal(JSONPath.evaluate(quote, 'data[ 1 ].price'), 31);
+});
+
+test('reads the first element matching a filter', () => {
+    assert.equal(JSONPath.evaluate(quote, "rates[?(@.symbol == 'XAG')].price"), 31.5);
+    assert.equal(JSONPath.evaluate(quote, 'rates[?(@.price > 1000)].symbol'), 'XAU');
+});
+
+test('gives undefined for missing paths', () => {
+    for (const path of ['missing', 'data.price', 'data[5].price', 'data[-4]', "rates[?(@.symbol == 'XPT')].price", 'rates[0].price.value']) {
+        assert.equal(JSONPath.evaluate(quote, path), undefined, path);
+    }
+
+    assert.equal(JSONPath.evaluate(null, 'price'), undefined);
+    assert.equal(JSONPath.evaluate({ toString: 1 }, 'valueOf'), undefined);
+});
+
+test('rejects paths it cannot parse', () => {
+    for (const path of ['', 'data..price', "['unterminated]", 'data[abc]', 'data[0']) {
+        assert.throws(() => JSONPath.parse(path), /JSON path/, path);
+    }
+});
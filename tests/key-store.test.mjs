@@ -0,0 +1,46 @@
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { KeyStore } from '../assets/js/modules/key-store.js';
+
+/**
+ * Creates an in-memory stand-in for localStorage
+ */
+function memoryStorage() {
+    const items = new Map();
+    return {
+        getItem: key => items.get(key) ?? null,
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: key => items.delete(key)
+    };
+}
+
+/**
+ * Imports keys from a link, returning what was moved, the key store and the address left
+ */
+function importFrom(href, names) {
+    const keys = new KeyStore(memoryStorage());
+    const history = { state: null, address: null, replaceState(state, title, address) { this.address = address; } };
+    mock.method(console, 'warn', () => {});
+
+    const imported = keys.importFromUrl(names, { href }, history);
+    mock.restoreAll();
+
+    return { imported, keys, address: history.address };
+}
+
+test('moves the keys providers use out of the link', () => {
+    const { imported, keys, address } = importFrom('https://example.com/?recipient=bart&vantage=abc123#top', ['metalpriceapi', 'vantage']);
+
+    assert.deepEqual(imported, ['vantage']);
+    assert.equal(keys.get('vantage'), 'abc123');
+    assert.equal(address, '/?recipient=bart#top');
+});
+
+test('leaves tracking parameters in the link', () => {
+    const { imported, keys, address } = importFrom('https://example.com/?recipient=bart&utm_source=newsletter&fbclid=xyz', ['vantage']);
+
+    assert.deepEqual(imported, []);
+    assert.equal(keys.get('utm_source'), null);
+    assert.equal(keys.get('fbclid'), null);
+    assert.equal(address, null);
+});
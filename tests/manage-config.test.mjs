@@ -0,0 +1,107 @@
+import { test, mock, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'node:os';
+import path from 'node:path';
+import { mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import { manageRecipients, manageProviders, validate } from '../scripts/manage-config.mjs';
+import { readJSON } from '../scripts/lib/files.mjs';
+
+let dataDir;
+let recipientsFile;
+
+beforeEach(async () => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+    mock.method(console, 'error', () => {});
+    dataDir = await mkdtemp(path.join(os.tmpdir(), 'manage-config-'));
+    recipientsFile = path.join(dataDir, 'recipients.json');
+
+    // Written with Windows line endings and four spaces, which changes must keep
+    const recipients = { bart: { recipientName: 'Bart', giverName: 'Luke', giftDate: '2024-09-23', silverAmount: '5 oz', initialPrice: 31 } };
+    await writeFile(recipientsFile, JSON.stringify(recipients, null, 4).replace(/\n/g, '\r\n') + '\r\n');
+    await writeFile(path.join(dataDir, 'apis.json'), JSON.stringify({ providers: [] }));
+    await writeFile(path.join(dataDir, 'daily-prices.json'), JSON.stringify([{ date: '2026-09-30', price: 45.678 }]));
+});
+
+afterEach(() => {
+    mock.restoreAll();
+    return rm(dataDir, { recursive: true, force: true });
+});
+
+test('adds a recipient with the stored price on the gift date, in the file\'s layout', async () => {
+    await manageRecipients('add', 'ada', { name: 'Ada', giver: 'Mum', date: '2026-10-01', amount: '1 oz', currency: 'pln' }, { dataDir, recipientsFile });
+
+    const text = await readFile(recipientsFile, 'utf8');
+    const { ada } = JSON.parse(text);
+
+    assert.deepEqual(ada, { recipientName: 'Ada', currency: 'PLN', giverName: 'Mum', giftDate: '2026-10-01', amount: '1 oz', initialPrice: 45.68 });
+    assert.ok(text.includes('\r\n    "ada": {'));
+});
+
+test('moves a single gift into a list when another is added', async () => {
+    await manageRecipients('add-gift', 'bart', { giver: 'Ola', date: '2026-09-30', amount: '100 g', price: '40' }, { dataDir, recipientsFile });
+
+    const { bart } = await readJSON(recipientsFile, {});
+
+    assert.deepEqual(bart, {
+        recipientName: 'Bart',
+        gifts: [
+            { giverName: 'Luke', giftDate: '2024-09-23', amount: '5 oz', initialPrice: 31 },
+            { giverName: 'Ola', giftDate: '2026-09-30', amount: '100 g', initialPrice: 40 }
+        ]
+    });
+});
+
+test('refuses a change that adds a problem and writes nothing', async () => {
+    const before = await readFile(recipientsFile, 'utf8');
+
+    await assert.rejects(
+        manageRecipients('edit', 'bart', { date: '2024-02-30', price: '31' }, { dataDir, recipientsFile }),
+        /Not saving .*recipients\.json: the change would add 1 problem$/
+    );
+    assert.equal(await readFile(recipientsFile, 'utf8'), before);
+});
+
+test('writes nothing on a dry run', async () => {
+    const before = await readFile(recipientsFile, 'utf8');
+
+    await manageRecipients('remove', 'bart', {}, { dataDir, recipientsFile, dryRun: true });
+
+    assert.equal(await readFile(recipientsFile, 'utf8'), before);
+});
+
+test('adds a gift still to come without a price, which only warns once it has come', async () => {
+    await manageRecipients('add-gift', 'bart', { giver: 'Ola', date: '2099-12-24', amount: '1 oz' }, { dataDir, recipientsFile });
+
+    const { bart } = await readJSON(recipientsFile, {});
+    assert.equal(bart.gifts[1].initialPrice, undefined);
+    assert.equal(await validate({ dataDir, recipientsFile }), 0);
+
+    bart.gifts[1].giftDate = '2026-09-30';
+    await writeFile(recipientsFile, JSON.stringify({ bart }));
+
+    assert.equal(await validate({ dataDir, recipientsFile }), 0);
+    assert.ok(console.log.mock.calls.some(call => /⚠️ bart\.gifts\[1\]\.initialPrice: is missing/.test(call.arguments[0])));
+});
+
+test('counts the problems in each file', async () => {
+    await writeFile(recipientsFile, JSON.stringify({ bart: { recipientName: 'Bart', gifts: [] } }));
+    await writeFile(path.join(dataDir, 'apis.json'), JSON.stringify({ providers: [{ name: 'a' }] }));
+
+    assert.equal(await validate({ dataDir, recipientsFile }), 5);
+});
+
+test('adds providers after the last priority and removes them', async () => {
+    const apisFile = path.join(dataDir, 'apis.json');
+
+    await manageProviders('add', 'one', { url: 'https://one.test/', 'price-path': 'price' }, { dataDir });
+    await manageProviders('add', 'two', { url: 'https://two.test/?key={twokey}', 'price-path': 'data.price', auth: 'twokey' }, { dataDir });
+
+    const { providers } = await readJSON(apisFile, {});
+    assert.deepEqual(providers.map(provider => [provider.name, provider.priority, provider.authentication]), [['one', 1, 'none'], ['two', 2, 'twokey']]);
+
+    await assert.rejects(manageProviders('edit', 'two', { url: 'https://two.test/' }, { dataDir }), /Not saving/);
+    await manageProviders('remove', 'one', {}, { dataDir });
+
+    assert.deepEqual((await readJSON(apisFile, {})).providers.map(provider => provider.name), ['two']);
+});
@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Portfolio } from '../assets/js/modules/portfolio.js';
+import { ConfigValidator } from '../assets/js/modules/config-validator.js';
+
+const given = { giverName: 'Mum', giftDate: '2024-05-01', amount: '2 oz', initialPrice: 25 };
+const toCome = { giverName: 'Dad', giftDate: '2099-12-25', amount: '1 oz' };
+
+test('values gifts against what they cost', () => {
+    const summary = Portfolio.summarise(Portfolio.getGifts({ gifts: [given] }), 30);
+
+    assert.equal(summary.currentValue, 60);
+    assert.equal(summary.costBasis, 50);
+    assert.equal(summary.gain, 10);
+    assert.equal(summary.change, 20);
+});
+
+test('leaves the cost of a gift still to come without a price out of the change', () => {
+    const summary = Portfolio.summarise(Portfolio.getGifts({ gifts: [given, toCome] }), 30);
+    const [, future] = summary.gifts;
+
+    assert.equal(future.priceThen, null);
+    assert.equal(future.cost, null);
+    assert.equal(future.change, null);
+    assert.equal(future.value, 30);
+    assert.equal(summary.currentValue, 90);
+    assert.equal(summary.totalOunces, 3);
+    assert.equal(summary.costedOunces, 2);
+    assert.equal(summary.costBasis, 50);
+    assert.equal(summary.change, 20);
+});
+
+test('has no cost or change when no gift has a price yet', () => {
+    const summary = Portfolio.summarise(Portfolio.getGifts({ gifts: [toCome] }), 30);
+
+    assert.equal(summary.currentValue, 30);
+    assert.equal(summary.costBasis, null);
+    assert.equal(summary.gain, null);
+    assert.equal(summary.change, null);
+});
+
+test('uses the stored price on the day for a gift that has arrived without one', () => {
+    const config = { gifts: [{ giverName: 'Dad', giftDate: '2025-12-25', amount: '1 oz' }] };
+    const histories = {
+        daily: [{ date: '2025-12-24', price: 30.456 }],
+        weekly: [{ date: '2025-12-22', average: 31 }],
+        monthly: []
+    };
+
+    const before = new Date('2025-12-20T12:00:00Z');
+    assert.deepEqual(ConfigValidator.checkRecipient('ada', config, before), []);
+    assert.deepEqual(Portfolio.withStoredPrices(config, histories, before), config);
+
+    const after = new Date('2025-12-26T12:00:00Z');
+    const [warning] = ConfigValidator.checkRecipient('ada', config, after);
+    assert.equal(warning.path, 'ada.gifts[0].initialPrice');
+    assert.equal(warning.warning, true);
+    assert.deepEqual(ConfigValidator.partition([warning]).errors, []);
+
+    const [gift] = Portfolio.getGifts(Portfolio.withStoredPrices(config, histories, after));
+    assert.equal(gift.initialPrice, 30.46);
+    assert.equal(config.gifts[0].initialPrice, undefined);
+});
@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PriceHistory } from '../assets/js/modules/price-history.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const today = new Date('2026-10-18T00:00:00Z');
+
+/**
+ * Gets the YYYY-MM-DD date a number of days before today
+ */
+function daysAgo(days) {
+    return new Date(today.getTime() - days * DAY).toISOString().slice(0, 10);
+}
+
+/**
+ * Creates daily prices for consecutive dates, starting on `from`
+ */
+function daily(from, prices) {
+    const start = Date.parse(`${from}T00:00:00Z`);
+    return prices.map((price, index) => ({ date: new Date(start + index * DAY).toISOString().slice(0, 10), price }));
+}
+
+test('charts daily prices for up to two years', () => {
+    assert.equal(PriceHistory.chooseResolution(null, today), 'daily');
+    assert.equal(PriceHistory.chooseResolution(daysAgo(0), today), 'daily');
+    assert.equal(PriceHistory.chooseResolution(daysAgo(PriceHistory.DAILY_RANGE_DAYS), today), 'daily');
+});
+
+test('charts weekly prices up to five years and monthly prices beyond', () => {
+    assert.equal(PriceHistory.chooseResolution(daysAgo(PriceHistory.DAILY_RANGE_DAYS + 1), today), 'weekly');
+    assert.equal(PriceHistory.chooseResolution(daysAgo(PriceHistory.WEEKLY_RANGE_DAYS), today), 'weekly');
+    assert.equal(PriceHistory.chooseResolution(daysAgo(PriceHistory.WEEKLY_RANGE_DAYS + 1), today), 'monthly');
+    assert.equal(PriceHistory.chooseResolution('2001-01-01', today), 'monthly');
+});
+
+test('merges into an empty file by aggregating every day', () => {
+    const merged = PriceHistory.merge([], daily('2026-10-05', [30, 31, 32, 33, 34, 35, 36, 37]), 'weekly');
+
+    assert.deepEqual(merged.map(entry => [entry.date, entry.open, entry.close, entry.days]), [
+        ['2026-10-05', 30, 36, 7],
+        ['2026-10-12', 37, 37, 1]
+    ]);
+    assert.equal(merged[0].average, 33);
+});
+
+test('recalculates periods the daily prices cover and keeps older ones', () => {
+    const existing = [
+        { date: '2026-09-28', open: 20, high: 21, low: 19, close: 20, average: 20, days: 7 },
+        { date: '2026-10-05', open: 99, high: 99, low: 99, close: 99, average: 99, days: 1 }
+    ];
+    const merged = PriceHistory.merge(existing, daily('2026-10-05', [30, 31, 32]), 'weekly');
+
+    assert.deepEqual(merged.map(entry => [entry.date, entry.close]), [['2026-09-28', 20], ['2026-10-05', 32]]);
+});
+
+test('keeps a stored period the daily prices only partly cover', () => {
+    const existing = [{ date: '2026-10-01', open: 25, high: 26, low: 24, close: 25, average: 25, days: 20 }];
+    const merged = PriceHistory.merge(existing, daily('2026-10-10', [30, 31]).concat(daily('2026-11-02', [40])), 'monthly');
+
+    assert.deepEqual(merged.map(entry => [entry.date, entry.close, entry.days]), [['2026-10-01', 25, 20], ['2026-11-01', 40, 1]]);
+});
+
+test('leaves the stored periods alone without daily prices', () => {
+    const existing = [{ date: '2026-10-01', close: 25 }];
+
+    assert.equal(PriceHistory.merge(existing, [], 'monthly'), existing);
+});
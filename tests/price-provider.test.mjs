@@ -0,0 +1,137 @@
+import { test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { PriceProvider } from '../assets/js/modules/price-provider.js';
+
+const NOW = '2026-10-18T12:00:00.000Z';
+const consensus = { ...PriceProvider.defaultConsensus, enabled: true, maxDeviationPercent: 2, maxChangePercent: 10 };
+
+/**
+ * Creates a provider whose APIs answer with the given prices, by API name
+ */
+function createProvider(prices) {
+    return new PriceProvider({
+        fetch: async url => ({ ok: true, json: async () => ({ price: prices[new URL(url).hostname] }) }),
+        now: () => new Date(NOW),
+        sleep: async () => {},
+        maxAttempts: 1
+    });
+}
+
+/**
+ * Creates an apis.json provider entry that needs no key
+ */
+function api(name, settings = {}) {
+    return { name, url: `https://${name}/price`, authentication: 'none', 'price-path': 'price', priority: 1, ...settings };
+}
+
+beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+});
+
+afterEach(() => {
+    mock.restoreAll();
+});
+
+test('agrees on the median of the quotes', async () => {
+    const provider = createProvider({ a: 30, b: 30.4, c: 30.2 });
+    const result = await provider.tryConsensus([api('a'), api('b'), api('c')], consensus);
+
+    assert.equal(result.price, 30.2);
+    assert.equal(result.source, 'a+b+c');
+    assert.equal(result.consensus.agreed, true);
+    assert.equal(result.reliable, true);
+    assert.deepEqual(result.consensus.rejected, []);
+});
+
+test('discards quotes further than maxDeviationPercent from the median', async () => {
+    const provider = createProvider({ a: 30, b: 30.2, c: 36 });
+    const result = await provider.tryConsensus([api('a'), api('b'), api('c')], consensus);
+
+    assert.equal(result.price, 30.1);
+    assert.equal(result.source, 'a+b');
+    assert.deepEqual(result.consensus.rejected.map(r => r.source), ['c']);
+    assert.match(result.consensus.rejected[0].reason, /from median/);
+});
+
+test('discards quotes too far from the last stored price before taking the median', async () => {
+    const provider = createProvider({ a: 40, b: 30.5, c: 41 });
+    const lastPrice = { price: 30, date: '2026-10-17' };
+    const result = await provider.tryConsensus([api('a'), api('b'), api('c')], consensus, { lastPrice });
+
+    assert.equal(result.price, 30.5);
+    assert.equal(result.consensus.agreed, false);
+    assert.equal(result.reliable, false);
+    assert.deepEqual(result.consensus.rejected.map(r => r.source), ['a', 'c']);
+    assert.match(result.consensus.rejected[0].reason, /from last stored price/);
+});
+
+test('has no consensus price when every quote fails', async () => {
+    const provider = createProvider({});
+
+    assert.equal(await provider.tryConsensus([api('a'), api('b')], consensus), null);
+});
+
+test('inverts rates before the other transforms', () => {
+    const provider = createProvider({});
+
+    assert.equal(provider.applyTransforms(0.04, api('a', { rate_conversion: 'invert' })), 25);
+    assert.equal(provider.applyTransforms(0.04, api('a', { rate_conversion: 'invert', transforms: [{ type: 'multiply', factor: 2 }] })), 50);
+});
+
+test('multiplies and converts prices per unit into prices per troy ounce', () => {
+    const provider = createProvider({});
+
+    assert.equal(provider.applyTransforms(3, api('a', { transforms: [{ type: 'multiply', factor: 10 }] })), 30);
+    assert.ok(Math.abs(provider.applyTransforms(1, api('a', { transforms: [{ type: 'convert', from: 'gram' }] })) - 31.1034768) < 1e-9);
+    assert.ok(Math.abs(provider.applyTransforms(1000, api('a', { transforms: [{ type: 'convert', from: 'kilogram' }] })) - 31.1034768) < 1e-9);
+    assert.throws(() => provider.applyTransforms(1, api('a', { transforms: [{ type: 'square' }] })), /Unknown transform "square" for a/);
+});
+
+test('applies transforms to extracted prices', async () => {
+    const provider = createProvider({ a: 0.5 });
+    const result = await provider.tryConsensus([api('a', { transforms: [{ type: 'multiply', factor: 62 }] })], consensus);
+
+    assert.equal(result.price, 31);
+});
+
+test('allows maxDailyChangePercent for each day since the last stored price', () => {
+    const provider = createProvider({});
+
+    assert.equal(provider.checkChange(33, { price: 30, date: '2026-10-17' }, 10), null);
+
+    const jump = provider.checkChange(34, { price: 30, date: '2026-10-17' }, 10);
+    assert.equal(jump.change.toFixed(1), '13.3');
+    assert.equal(jump.allowed, 10);
+    assert.equal(jump.days, 1);
+
+    assert.equal(provider.checkChange(36, { price: 30, date: '2026-10-15' }, 10), null);
+    assert.equal(provider.checkChange(40, { price: 30, date: '2026-10-15' }, 10).allowed, 30);
+    assert.equal(provider.checkChange(34, { price: 30, date: '2026-10-18T06:00:00Z' }, 10).days, 1);
+});
+
+test('does not compare with a last price older than maxChangeAgeDays', () => {
+    const provider = createProvider({});
+    const days = PriceProvider.maxChangeAgeDays;
+
+    assert.ok(provider.checkChange(60, { price: 30, date: '2026-10-11' }, 10), `${days} days ago is compared`);
+    assert.equal(provider.checkChange(60, { price: 30, date: '2026-10-10' }, 10), null);
+    assert.equal(provider.checkChange(60, null, 10), null);
+    assert.equal(provider.checkChange(60, { price: 30, date: '2026-10-17' }, undefined), null);
+});
+
+test('rejects prices outside the rules for their asset', () => {
+    const provider = createProvider({});
+    const validation = { XAG: { min: 5, max: 500, maxDailyChangePercent: 10, required: ['price-path'] } };
+    const silver = api('a', { asset: 'XAG' });
+    const data = { price: 30 };
+    const lastPrice = { price: 30, date: '2026-10-17' };
+
+    assert.doesNotThrow(() => provider.validatePrice(30, data, silver, { lastPrice, validation }));
+    assert.throws(() => provider.validatePrice(4, data, silver, { validation }), /below minimum of 5/);
+    assert.throws(() => provider.validatePrice(501, data, silver, { validation }), /above maximum of 500/);
+    assert.throws(() => provider.validatePrice(-1, data, silver, { validation }), /not a positive number/);
+    assert.throws(() => provider.validatePrice(30, {}, silver, { validation }), /required field "price" missing/);
+    assert.throws(() => provider.validatePrice(40, data, silver, { lastPrice, validation }), /33\.3% change from last stored price 30 \(1 days ago\) exceeds 10%/);
+    assert.doesNotThrow(() => provider.validatePrice(40, data, api('a', { asset: 'XAG', validation: { maxDailyChangePercent: 50 } }), { lastPrice, validation }));
+});
@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SafeHTML } from '../assets/js/modules/safe-html.js';
+
+const { html } = SafeHTML;
+
+const HOSTILE = '<img src=x onerror=alert(1)>';
+const ESCAPED = '&lt;img src=x onerror=alert(1)&gt;';
+
+test('escapes interpolated strings', () => {
+    const markup = String(html`<strong>${HOSTILE}</strong>`);
+
+    assert.equal(markup, `<strong>${ESCAPED}</strong>`);
+    assert.doesNotMatch(markup, /<img/);
+});
+
+test('escapes quotes so values cannot leave an attribute', () => {
+    const markup = String(html`<option value="${'" onfocus="alert(1)'}">x</option>`);
+
+    assert.equal(markup, '<option value="&quot; onfocus=&quot;alert(1)">x</option>');
+});
+
+test('escapes every special character', () => {
+    assert.equal(SafeHTML.escape(`&<>"'\``), '&amp;&lt;&gt;&quot;&#39;&#96;');
+});
+
+test('inserts nested templates and lists of templates as markup', () => {
+    const items = ['a', HOSTILE].map(item => html`<li>${item}</li>`);
+    const markup = String(html`<ul>${items}</ul>`);
+
+    assert.equal(markup, `<ul><li>a</li><li>${ESCAPED}</li></ul>`);
+});
+
+test('escapes strings inside lists', () => {
+    assert.equal(String(html`<p>${['a', HOSTILE]}</p>`), `<p>a${ESCAPED}</p>`);
+});
+
+test('inserts nothing for null, undefined and false but keeps 0', () => {
+    assert.equal(String(html`<p>${null}${undefined}${false}${0}</p>`), '<p>0</p>');
+});
+
+test('does not trust objects that only look like SafeHTML', () => {
+    const markup = String(html`<p>${{ markup: HOSTILE, toString: () => HOSTILE }}</p>`);
+
+    assert.equal(markup, `<p>${ESCAPED}</p>`);
+});
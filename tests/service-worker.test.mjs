@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'node:path';
+import { existsSync, readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+
+const root = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+/**
+ * Reads the PRECACHE list from sw.js
+ */
+function precached() {
+    const source = readFileSync(path.join(root, 'sw.js'), 'utf8');
+    const list = source.match(/const PRECACHE = \[([^\]]*)\]/)[1];
+
+    return [...list.matchAll(/'([^']+)'/g)].map(match => match[1]);
+}
+
+/**
+ * Finds every module a script imports, directly or through other modules
+ */
+function importGraph(file, found = new Set()) {
+    found.add(file);
+
+    const source = readFileSync(path.join(root, file), 'utf8');
+
+    for (const [, specifier] of source.matchAll(/^import [^'"]*['"]([^'"]+)['"]/gm)) {
+        const imported = path.posix.join(path.posix.dirname(file), specifier);
+        if (!found.has(imported)) importGraph(imported, found);
+    }
+
+    return found;
+}
+
+test('precaches every module the page imports', () => {
+    const missing = [...importGraph('assets/js/app.js')].filter(file => !precached().includes(file));
+
+    assert.deepEqual(missing, []);
+});
+
+test('precaches only files that exist', () => {
+    const missing = precached().filter(file => file !== './' && !existsSync(path.join(root, file)));
+
+    assert.deepEqual(missing, []);
+});
@@ -0,0 +1,147 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { Metals } from '../assets/js/modules/metals.js';
+import { UIRenderer } from '../assets/js/modules/ui-renderer.js';
+
+const HOSTILE = '<img src=x onerror=alert(1)>';
+const ESCAPED = '&lt;img src=x onerror=alert(1)&gt;';
+
+/**
+ * Just enough of the page for UIRenderer: #content keeps the markup it is given
+ */
+function createContent() {
+    const classes = new Set(['loading']);
+
+    return {
+        markup: '',
+        set innerHTML(value) {
+            this.markup = String(value);
+        },
+        get innerHTML() {
+            return this.markup;
+        },
+        classList: {
+            add: name => classes.add(name),
+            remove: name => classes.delete(name),
+            contains: name => classes.has(name)
+        },
+        querySelector: () => ({ addEventListener: () => {}, textContent: '' }),
+        querySelectorAll: () => []
+    };
+}
+
+/**
+ * Lists the names of the elements a piece of markup would create
+ */
+function elementsIn(markup) {
+    return [...String(markup).matchAll(/<([a-z][a-z0-9-]*)/gi)].map(match => match[1].toLowerCase());
+}
+
+function assertRenderedAsText(markup) {
+    assert.ok(String(markup).includes(ESCAPED), 'hostile value should appear as escaped text');
+    assert.ok(!elementsIn(markup).includes('img'), 'hostile value should not create an element');
+}
+
+let content;
+let renderer;
+
+beforeEach(() => {
+    content = createContent();
+    globalThis.document = { getElementById: () => content, documentElement: {} };
+
+    renderer = new UIRenderer();
+    renderer.setLocale('en-GB');
+    renderer.fx = { currency: 'USD', rate: 1, history: [] };
+});
+
+const livePrice = {
+    price: 30,
+    source: HOSTILE,
+    timestamp: new Date().toISOString(),
+    isLive: true
+};
+
+test('shows a hostile recipient and giver name as text', () => {
+    const config = { recipientName: HOSTILE, giverName: HOSTILE, giftDate: '2024-09-23', amount: '5 oz', initialPrice: 25 };
+    const markup = String(renderer.createSummary(config, Metals.get('silver'), livePrice));
+
+    assertRenderedAsText(markup);
+    assert.equal(markup.split(ESCAPED).length - 1, 3, 'recipient, giver and provider should all be escaped');
+});
+
+test('shows hostile giver names in the gift table as text', () => {
+    const config = {
+        recipientName: 'Sam',
+        gifts: [
+            { giverName: HOSTILE, giftDate: '2023-05-01', amount: '1 oz', initialPrice: 23 },
+            { giverName: 'Dad', giftDate: '2024-05-01', amount: '2 oz', initialPrice: 26 }
+        ]
+    };
+
+    assertRenderedAsText(renderer.createSummary(config, Metals.get('silver'), { ...livePrice, source: 'gold-api' }));
+});
+
+test('shows a hostile provider source in the status tooltip as text', () => {
+    assertRenderedAsText(renderer.createStatusIcon(livePrice));
+    assertRenderedAsText(renderer.createStatusIcon({ ...livePrice, isLive: false, isLastKnown: true }));
+});
+
+test('shows hostile consensus sources and reasons as text', () => {
+    const markup = String(renderer.createStatusIcon({
+        ...livePrice,
+        source: 'a+b',
+        consensus: {
+            agreed: true,
+            minSources: 2,
+            spreadPercent: 0.1,
+            sources: [{ source: HOSTILE, price: 30, deviationPercent: 0 }],
+            rejected: [{ source: 'c', price: 40, reason: HOSTILE }]
+        }
+    }));
+
+    assertRenderedAsText(markup);
+    assert.equal(markup.split(ESCAPED).length - 1, 2);
+});
+
+test('shows a hostile error message as text', () => {
+    renderer.showError(HOSTILE);
+
+    assertRenderedAsText(content.innerHTML);
+    assert.deepEqual(elementsIn(content.innerHTML), ['div', 'h3', 'p', 'button']);
+});
+
+test('shows hostile configuration errors as text', () => {
+    renderer.showConfigErrors(HOSTILE, [{ path: HOSTILE, message: HOSTILE }]);
+
+    assertRenderedAsText(content.innerHTML);
+    assert.ok(!elementsIn(content.innerHTML).includes('img'));
+});
+
+test('shows hostile recipient names and IDs in the selector as text', () => {
+    renderer.showRecipientSelector({ [`"${HOSTILE}`]: { recipientName: HOSTILE } });
+
+    assertRenderedAsText(content.innerHTML);
+    assert.ok(content.innerHTML.includes(`value="&quot;${ESCAPED}"`), 'the ID should stay inside its attribute');
+});
+
+test('adds each refreshed price to the chart already drawn', () => {
+    const config = { recipientName: 'Sam', giverName: 'Dad', giftDate: '2024-09-23', amount: '1 oz', initialPrice: 25 };
+    const metal = Metals.get('silver');
+    const history = { resolution: 'intraday', prices: [{ date: '2026-10-18T08:00:00.000Z', price: 30 }] };
+    const chart = { data: { labels: [], datasets: [{ data: [] }, { data: [] }] }, updates: 0, update() { this.updates++; } };
+
+    renderer.page = { config, metal };
+    renderer.metal = metal;
+    renderer.chart = chart;
+    renderer.chartState = { recipientName: 'Sam', gifts: [{ giftDate: '2024-09-23', ounces: 1, cost: 25, priceThen: 25 }], history, mode: 'price' };
+
+    renderer.showRefreshedPrice({ price: 31, timestamp: '2026-10-18T08:05:00.000Z', isLive: true });
+    renderer.showRefreshedPrice({ price: 32, timestamp: '2026-10-18T08:10:00.000Z', isLive: true });
+    renderer.showRefreshedPrice({ price: 29, timestamp: '2026-10-18T08:15:00.000Z', isLastKnown: true });
+
+    assert.equal(renderer.chart, chart);
+    assert.equal(chart.updates, 2);
+    assert.deepEqual(chart.data.datasets[0].data, [30, 31, 32]);
+    assert.deepEqual(chart.data.datasets[1].data, [25, 25, 25]);
+    assert.equal(chart.data.labels.length, 3);
+});
@@ -0,0 +1,82 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Utils } from '../assets/js/modules/utils.js';
+
+/**
+ * Parses an amount into { count, size, unit }, or null
+ */
+function parse(amount) {
+    const quantity = Utils.parseQuantity(amount);
+    return quantity && { count: quantity.count, size: quantity.size, unit: quantity.unit };
+}
+
+test('parses weights in each unit', () => {
+    assert.deepEqual(parse('5 oz'), { count: 1, size: 5, unit: 'oz' });
+    assert.deepEqual(parse('10 ozt'), { count: 1, size: 10, unit: 'oz' });
+    assert.deepEqual(parse('10 toz'), { count: 1, size: 10, unit: 'oz' });
+    assert.deepEqual(parse('2.5 troy ounces'), { count: 1, size: 2.5, unit: 'oz' });
+    assert.deepEqual(parse('1,000 g'), { count: 1, size: 1000, unit: 'g' });
+    assert.deepEqual(parse('1 kg'), { count: 1, size: 1, unit: 'kg' });
+    assert.deepEqual(parse('1 tola'), { count: 1, size: 1, unit: 'tola' });
+    assert.deepEqual(parse(5), { count: 1, size: 5, unit: 'oz' });
+});
+
+test('parses fractions, counts and coins or bars', () => {
+    assert.deepEqual(parse('1/10 oz coin'), { count: 1, size: 0.1, unit: 'oz' });
+    assert.deepEqual(parse('2 x 10 oz bars'), { count: 2, size: 10, unit: 'oz' });
+    assert.deepEqual(parse('kilo bar'), { count: 1, size: 1, unit: 'kg' });
+    assert.deepEqual(parse('5 coins'), { count: 1, size: 5, unit: 'oz' });
+});
+
+test('ignores a product name after the unit', () => {
+    assert.deepEqual(parse('1 oz Maple Leaf'), { count: 1, size: 1, unit: 'oz' });
+    assert.deepEqual(parse('1 oz. Britannia'), { count: 1, size: 1, unit: 'oz' });
+    assert.deepEqual(parse('10 oz tube'), { count: 1, size: 10, unit: 'oz' });
+    assert.deepEqual(parse('2 x 100 g bars (PAMP)'), { count: 2, size: 100, unit: 'g' });
+});
+
+test('rejects amounts without a weight', () => {
+    for (const amount of ['', 'maple leaf', '5 gold coins', '5 tonnes', '0 oz', '1/0 oz', -1, null]) {
+        assert.equal(Utils.parseQuantity(amount), null, JSON.stringify(amount));
+    }
+});
+
+/**
+ * Gets the time from a gift date until midday on a local calendar day
+ */
+function since(giftDate, today) {
+    const { years, months, days, totalDays, future } = Utils.getTimeDifference(giftDate, new Date(`${today}T12:00:00`));
+    return { years, months, days, totalDays, future };
+}
+
+test('counts calendar years, months and days since a gift', () => {
+    assert.deepEqual(since('2024-09-23', '2026-10-18'), { years: 2, months: 0, days: 25, totalDays: 755, future: false });
+    assert.deepEqual(since('2024-09-23', '2024-09-23'), { years: 0, months: 0, days: 0, totalDays: 0, future: false });
+    assert.deepEqual(since('2025-12-31', '2026-01-01'), { years: 0, months: 0, days: 1, totalDays: 1, future: false });
+});
+
+test('counts a month from the end of a month to the end of a shorter one', () => {
+    assert.deepEqual(since('2024-01-31', '2024-02-29'), { years: 0, months: 1, days: 0, totalDays: 29, future: false });
+    assert.deepEqual(since('2023-01-31', '2023-02-28'), { years: 0, months: 1, days: 0, totalDays: 28, future: false });
+    assert.deepEqual(since('2024-01-31', '2024-03-01'), { years: 0, months: 1, days: 1, totalDays: 30, future: false });
+    assert.deepEqual(since('2024-01-31', '2024-03-31'), { years: 0, months: 2, days: 0, totalDays: 60, future: false });
+});
+
+test('has anniversaries of a leap day on 28th February in other years', () => {
+    assert.deepEqual(since('2024-02-29', '2025-02-28'), { years: 1, months: 0, days: 0, totalDays: 365, future: false });
+    assert.deepEqual(since('2024-02-29', '2025-02-27'), { years: 0, months: 11, days: 29, totalDays: 364, future: false });
+    assert.deepEqual(since('2024-02-29', '2025-03-01'), { years: 1, months: 0, days: 1, totalDays: 366, future: false });
+    assert.deepEqual(since('2024-02-29', '2028-02-29'), { years: 4, months: 0, days: 0, totalDays: 1461, future: false });
+});
+
+test('counts down to a gift still to come', () => {
+    assert.deepEqual(since('2026-10-21', '2026-10-18'), { years: 0, months: 0, days: 3, totalDays: 3, future: true });
+    assert.deepEqual(since('2027-11-19', '2026-10-18'), { years: 1, months: 1, days: 1, totalDays: 397, future: true });
+    assert.equal(since('2026-10-19', '2026-10-18').future, true);
+});
+
+test('has no time difference for a date it cannot read', () => {
+    assert.equal(Utils.getTimeDifference('2024-13-01', new Date()), null);
+    assert.equal(Utils.getTimeDifference('soon', new Date()), null);
+    assert.equal(Utils.getTimeDifference(undefined, new Date()), null);
+});